@@ -0,0 +1,158 @@
+/**
+ * Accessibility audits
+ *
+ * Runs the bundled axe-core rule engine inside the page (no network access
+ * needed) and turns its violations into a compact list of rule, impact, help
+ * text and offending selectors, plus annotations that outline each offending
+ * element on a screenshot.
+ */
+
+/* global window, document */
+
+import fs from 'fs/promises';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+// Most severe first
+const IMPACTS = ['critical', 'serious', 'moderate', 'minor'];
+const IMPACT_COLORS = {
+  critical: '#B91C1C',
+  serious: '#EA580C',
+  moderate: '#D97706',
+  minor: '#2563EB',
+};
+const DEFAULT_FAIL_ON = 'serious';
+const DEFAULT_MAX_ANNOTATIONS = 20;
+
+let axeSource = null;
+
+// The axe-core bundle, read once from node_modules
+async function loadAxeSource() {
+  if (!axeSource) {
+    axeSource = await fs.readFile(require.resolve('axe-core/axe.min.js'), 'utf-8');
+  }
+  return axeSource;
+}
+
+// Runs in the page: audit the document (or `include`) with axe
+async function runAxe({ include, exclude, tags, rules }) {
+  const context = include || exclude ? { include: include || document, exclude } : document;
+  const options = { resultTypes: ['violations'] };
+  if (tags?.length) {
+    options.runOnly = { type: 'tag', values: tags };
+  }
+  if (rules) {
+    options.rules = rules;
+  }
+  const result = await window.axe.run(context, options);
+  return result.violations.map(violation => ({
+    rule: violation.id,
+    impact: violation.impact,
+    help: violation.help,
+    helpUrl: violation.helpUrl,
+    nodes: violation.nodes.map(node => ({ target: node.target, html: node.html })),
+  }));
+}
+
+// axe targets are CSS selectors, or selector chains for elements inside iframes and
+// shadow roots. Only plain selectors can be located for annotations.
+function formatTarget(target) {
+  return target.map(part => (Array.isArray(part) ? part.join(' >>> ') : part)).join(' >>> ');
+}
+
+// Normalize a step's `audit` option ("a11y", ["a11y"], or { a11y: { ...options } })
+// into accessibilityAudit action options, or null when the step has no a11y audit
+function resolveAuditOption(audit) {
+  if (!audit) {
+    return null;
+  }
+  if (audit === 'a11y' || (Array.isArray(audit) && audit.includes('a11y'))) {
+    return {};
+  }
+  if (typeof audit === 'object' && !Array.isArray(audit) && audit.a11y) {
+    return audit.a11y === true ? {} : audit.a11y;
+  }
+  return null;
+}
+
+// Throw on a step `audit` option that isn't an a11y audit or has an unknown failOn
+function validateAuditOption(audit, label) {
+  if (audit === undefined) {
+    return;
+  }
+  const options = resolveAuditOption(audit);
+  if (!options) {
+    throw new Error(`${label}: audit must be "a11y", ["a11y"] or { a11y: { ... } }`);
+  }
+  if (options.failOn !== undefined && !IMPACTS.includes(options.failOn)) {
+    throw new Error(`${label}: audit failOn must be one of: ${IMPACTS.join(', ')}`);
+  }
+}
+
+// Run an audit against the current page. Options: include/exclude selectors, axe
+// `tags` (e.g. ["wcag2a", "wcag2aa"]), per-rule `rules` overrides, and `failOn`, the
+// least severe impact that fails the audit.
+async function runAccessibilityAudit(page, options = {}) {
+  const failOn = options.failOn || DEFAULT_FAIL_ON;
+  if (!IMPACTS.includes(failOn)) {
+    throw new Error(`accessibilityAudit failOn must be one of: ${IMPACTS.join(', ')}`);
+  }
+  const alreadyLoaded = await page.evaluate(() => Boolean(window.axe));
+  if (!alreadyLoaded) {
+    await page.evaluate(await loadAxeSource());
+  }
+  const violations = await page.evaluate(runAxe, {
+    include: options.include,
+    exclude: options.exclude,
+    tags: options.tags,
+    rules: options.rules,
+  });
+  violations.sort((a, b) => IMPACTS.indexOf(a.impact) - IMPACTS.indexOf(b.impact));
+
+  const threshold = IMPACTS.indexOf(failOn);
+  const failing = violations.filter(violation => IMPACTS.indexOf(violation.impact) <= threshold);
+  return {
+    url: page.url(),
+    failOn,
+    passed: failing.length === 0,
+    violations: violations.map(violation => ({
+      ...violation,
+      nodes: violation.nodes.map(node => ({
+        selector: formatTarget(node.target),
+        html: node.html,
+      })),
+    })),
+    counts: Object.fromEntries(
+      IMPACTS.map(impact => [impact, violations.filter(v => v.impact === impact).length]),
+    ),
+  };
+}
+
+// Annotations outlining each offending element, most severe first
+function auditAnnotations(audit, max = DEFAULT_MAX_ANNOTATIONS) {
+  const annotations = [];
+  for (const violation of audit.violations) {
+    for (const node of violation.nodes) {
+      if (node.selector.includes('>>>')) {
+        continue;
+      }
+      annotations.push({
+        selector: node.selector,
+        label: `${violation.impact}: ${violation.rule}`,
+        style: 'box',
+        color: IMPACT_COLORS[violation.impact] || IMPACT_COLORS.minor,
+      });
+    }
+  }
+  return annotations.slice(0, max);
+}
+
+export {
+  IMPACTS,
+  DEFAULT_MAX_ANNOTATIONS,
+  resolveAuditOption,
+  validateAuditOption,
+  runAccessibilityAudit,
+  auditAnnotations,
+};
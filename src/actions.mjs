@@ -0,0 +1,694 @@
+/**
+ * Action engine
+ *
+ * Every step action is dispatched through a single registry so the slideshow,
+ * full-video and non-recorded modes all behave the same. Projects can add their
+ * own action types with registerAction() or by listing modules in
+ * `config.actionModules`.
+ */
+
+/* global document, window */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { pathToFileURL } from 'url';
+
+import { getDocumentRect, drawAnnotations, clearAnnotations } from './annotations.mjs';
+import { runAccessibilityAudit, auditAnnotations } from './accessibility.mjs';
+import { resolveConfigPath } from './config-file.mjs';
+import { HIDE_CURSOR_CSS, moveCursor } from './cursor.mjs';
+
+const actionHandlers = new Map();
+
+// Register a handler for an action type. Handlers are called as handler(ctx, action).
+function registerAction(type, handler) {
+  if (!type || typeof type !== 'string') {
+    throw new Error('registerAction: type must be a non-empty string');
+  }
+  if (typeof handler !== 'function') {
+    throw new Error(`registerAction: handler for "${type}" must be a function`);
+  }
+  actionHandlers.set(type, handler);
+}
+
+// List every registered action type (built-in and custom)
+function getActionTypes() {
+  return Array.from(actionHandlers.keys());
+}
+
+// Run a single action against the context's page
+async function executeAction(ctx, action) {
+  if (!action || typeof action !== 'object') {
+    throw new Error('Action must be an object');
+  }
+  const handler = actionHandlers.get(action.type);
+  if (!handler) {
+    throw new Error(`Unknown action type: ${action.type}`);
+  }
+  await handler(ctx, action);
+}
+
+// Load custom action modules listed in config.actionModules (relative to the config file).
+// Each module's default export is called with { registerAction }.
+async function loadActionModules(config) {
+  const modules = config.actionModules || [];
+  for (const modulePath of modules) {
+    const url = pathToFileURL(resolveConfigPath(config, modulePath)).href;
+    let mod;
+    try {
+      mod = await import(url);
+    } catch (error) {
+      throw new Error(`Failed to load action module ${modulePath}: ${error.message}`);
+    }
+    if (typeof mod.default !== 'function') {
+      throw new Error(`Action module ${modulePath} must export a default function`);
+    }
+    await mod.default({ registerAction });
+  }
+}
+
+// Resolve a relative step/action URL against the base URL
+function resolveUrl(url, baseUrl) {
+  return url.startsWith('http') ? url : `${baseUrl}${url}`;
+}
+
+const LOAD_STATES = ['load', 'domcontentloaded', 'networkidle'];
+const WAIT_STRATEGIES = ['fixed', 'none', 'animations', ...LOAD_STATES];
+
+// Pick the waitUntil strategy for an action: action, then step, then config.
+// 'fixed' keeps the legacy per-action sleeps.
+function resolveWaitStrategy(config, step, action = {}) {
+  const strategy = action.waitUntil ?? step?.waitUntil ?? config.waitUntil ?? 'fixed';
+  if (!WAIT_STRATEGIES.includes(strategy)) {
+    throw new Error(
+      `Unknown waitUntil strategy "${strategy}". Use one of: ${WAIT_STRATEGIES.join(', ')}`,
+    );
+  }
+  return strategy;
+}
+
+// Count in-flight requests from now on so we can wait for the network to go quiet
+// after an interaction, including requests the interaction itself started
+function trackNetworkIdle(page, idleMs = 500) {
+  let inflight = 0;
+  let idleSince = Date.now();
+  const onRequest = () => {
+    inflight++;
+  };
+  const onDone = () => {
+    inflight = Math.max(0, inflight - 1);
+    if (inflight === 0) {
+      idleSince = Date.now();
+    }
+  };
+  page.on('request', onRequest);
+  page.on('requestfinished', onDone);
+  page.on('requestfailed', onDone);
+
+  const stop = () => {
+    page.off('request', onRequest);
+    page.off('requestfinished', onDone);
+    page.off('requestfailed', onDone);
+  };
+  return {
+    stop,
+    wait: async timeout => {
+      const deadline = Date.now() + timeout;
+      while (Date.now() < deadline && (inflight > 0 || Date.now() - idleSince < idleMs)) {
+        await page.waitForTimeout(50);
+      }
+      stop();
+    },
+  };
+}
+
+// Wait for running CSS/Web animations to finish; infinite ones (spinners) are ignored
+async function waitForAnimations(page, timeout) {
+  await page
+    .waitForFunction(
+      () =>
+        document
+          .getAnimations()
+          .every(
+            a => a.playState !== 'running' || a.effect?.getComputedTiming().iterations === Infinity,
+          ),
+      undefined,
+      { timeout },
+    )
+    .catch(() => {});
+}
+
+// Wait for the page to settle according to a waitUntil strategy
+async function settlePage(page, strategy, { fixedMs = 500, waitAfter, network, timeout } = {}) {
+  const settleTimeout = timeout ?? 10000;
+  if (strategy === 'fixed') {
+    await page.waitForTimeout(waitAfter ?? fixedMs);
+    return;
+  }
+  if (network) {
+    await network.wait(settleTimeout);
+  } else if (LOAD_STATES.includes(strategy)) {
+    await page.waitForLoadState(strategy, { timeout: settleTimeout }).catch(() => {});
+  }
+  if (strategy !== 'none') {
+    await waitForAnimations(page, settleTimeout);
+  }
+  if (waitAfter) {
+    await page.waitForTimeout(waitAfter);
+  }
+}
+
+// Perform an interaction, then let the page settle so captures show the real result
+async function interact(ctx, action, perform, fixedMs = 500) {
+  const strategy = resolveWaitStrategy(ctx.config, ctx.step, action);
+  const network = strategy === 'networkidle' ? trackNetworkIdle(ctx.page) : null;
+  try {
+    await perform();
+  } catch (error) {
+    network?.stop();
+    throw error;
+  }
+  await settlePage(ctx.page, strategy, {
+    fixedMs,
+    waitAfter: action.waitAfter,
+    network,
+    timeout: ctx.config.settleTimeout,
+  });
+}
+
+// Navigate and settle. Load-state strategies map straight onto goto's waitUntil. The
+// page's default timeout applies, so a navigate action's own `timeout` takes effect.
+async function navigateTo(page, url, { strategy = 'fixed', fixedMs = 500, settleTimeout } = {}) {
+  const waitUntil = LOAD_STATES.includes(strategy)
+    ? strategy
+    : strategy === 'fixed'
+      ? 'networkidle'
+      : 'load';
+  await page.goto(url, { waitUntil });
+  await settlePage(page, strategy, { fixedMs, timeout: settleTimeout });
+}
+
+// Build a URL predicate from a /regex/, a glob with * or **, or a plain substring
+function toUrlMatcher(pattern) {
+  if (pattern instanceof RegExp) {
+    return url => pattern.test(url);
+  }
+  const regexMatch = /^\/(.+)\/([dgimsuy]*)$/.exec(pattern);
+  if (regexMatch) {
+    const regex = new RegExp(regexMatch[1], regexMatch[2]);
+    return url => regex.test(url);
+  }
+  if (pattern.includes('*')) {
+    const source = pattern
+      .split('**')
+      .map(part =>
+        part
+          .split('*')
+          .map(chunk => chunk.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+          .join('[^/]*'),
+      )
+      .join('.*');
+    const regex = new RegExp(`^${source}$`);
+    return url => regex.test(url);
+  }
+  return url => url.includes(pattern);
+}
+
+// Briefly outline an element so recordings show what is being interacted with. Going
+// through a locator (not document.querySelector) lets recorded role= and text= selectors work.
+async function highlightElement(ctx, selector) {
+  if (!ctx.config.showCursor) {
+    return;
+  }
+  try {
+    await ctx.page
+      .locator(selector)
+      .first()
+      .evaluate(
+        el => {
+          el.style.outline = '3px solid #007AFF';
+          el.style.outlineOffset = '2px';
+          setTimeout(() => {
+            el.style.outline = '';
+            el.style.outlineOffset = '';
+          }, 500);
+        },
+        null,
+        { timeout: 2000 },
+      );
+  } catch {
+    // The highlight is cosmetic; the interaction itself reports a missing element
+  }
+}
+
+// Grow a rectangle by `padding` px on every side without going past the page origin
+function padRect(rect, padding = 0) {
+  const x = Math.max(0, rect.x - padding);
+  const y = Math.max(0, rect.y - padding);
+  return {
+    x,
+    y,
+    width: rect.width + padding + (rect.x - x),
+    height: rect.height + padding + (rect.y - y),
+  };
+}
+
+// Take a page, clipped or element-scoped screenshot, painting over `mask` selectors
+async function captureScreenshot(ctx, action, ssPath) {
+  const { page } = ctx;
+  const options = { path: ssPath };
+  if (ctx.config.showCursor) {
+    options.style = HIDE_CURSOR_CSS;
+  }
+  if (action.mask) {
+    options.mask = [].concat(action.mask).map(selector => page.locator(selector));
+    if (action.maskColor) {
+      options.maskColor = action.maskColor;
+    }
+  }
+
+  if (action.selector) {
+    const element = page.locator(action.selector).first();
+    if (!action.padding) {
+      await element.screenshot(options);
+      return;
+    }
+    // Padded element shots clip the full page around the element's document position
+    await element.scrollIntoViewIfNeeded();
+    const rect = await getDocumentRect(page, action.selector);
+    if (!rect) {
+      throw new Error(`Element ${action.selector} is not visible, cannot take screenshot`);
+    }
+    await page.screenshot({ ...options, fullPage: true, clip: padRect(rect, action.padding) });
+    return;
+  }
+
+  if (action.clip) {
+    await page.screenshot({
+      ...options,
+      fullPage: action.fullPage !== false,
+      clip: padRect(action.clip, action.padding),
+    });
+    return;
+  }
+
+  await page.screenshot({ ...options, fullPage: action.fullPage !== false });
+}
+
+registerAction('screenshot', async (ctx, action) => {
+  const ssPath = path.join(ctx.artifactsDir, `${ctx.fileName(action.name || 'screenshot')}.png`);
+  await captureScreenshot(ctx, action, ssPath);
+
+  // Annotated copy sits next to the raw capture: <name>-annotated.png
+  let annotation = {};
+  if (action.annotate?.length) {
+    const annotatedPath = ssPath.replace(/\.png$/, '-annotated.png');
+    const annotations = await drawAnnotations(ctx.page, action.annotate);
+    try {
+      await captureScreenshot(ctx, action, annotatedPath);
+    } finally {
+      await clearAnnotations(ctx.page);
+    }
+    annotation = { annotatedPath, annotations };
+  }
+
+  ctx.addArtifact({
+    type: 'screenshot',
+    name: action.name || 'Screenshot',
+    path: ssPath,
+    // Element and clipped shots can opt out of the report's device frame
+    ...(action.framed === false ? { framed: false } : {}),
+    ...annotation,
+  });
+  // Explicit screenshots also become slideshow frames
+  ctx.slideshow?.frames.push(annotation.annotatedPath || ssPath);
+});
+
+registerAction('click', async (ctx, action) => {
+  await moveCursor(ctx, action.selector);
+  await highlightElement(ctx, action.selector);
+  await interact(ctx, action, () => ctx.page.click(action.selector, { force: true }));
+});
+
+const DEFAULT_TYPING_DELAY_MS = 80;
+// Most slideshow frames captured while one `type` action is typing
+const TYPING_FRAMES = 6;
+
+// Human-paced typing from `typing` on the action or the config: true, or
+// { delayMs, jitter } where jitter is the most milliseconds a keystroke may vary by.
+// `typing: false` on an action falls back to filling the field instantly.
+function resolveTyping(config, action) {
+  const typing = action.typing ?? config.typing;
+  if (!typing) {
+    return null;
+  }
+  const options = typing === true ? {} : typing;
+  return {
+    delayMs: options.delayMs ?? DEFAULT_TYPING_DELAY_MS,
+    jitter: options.jitter ?? 0,
+  };
+}
+
+// Type one character at a time, capturing slideshow frames along the way so the
+// animation shows the field filling up
+async function typeText(ctx, action, typing) {
+  const { page } = ctx;
+  const characters = [...String(action.text)];
+  const frameEvery = Math.ceil(characters.length / TYPING_FRAMES);
+  for (const [index, character] of characters.entries()) {
+    await page.keyboard.type(character);
+    const jitter = (Math.random() * 2 - 1) * typing.jitter;
+    await page.waitForTimeout(Math.max(0, Math.round(typing.delayMs + jitter)));
+    const typed = index + 1;
+    if (ctx.slideshow && typed % frameEvery === 0 && typed < characters.length) {
+      await ctx.slideshow.capture();
+    }
+  }
+}
+
+// Fill an input instantly, or type into it with `typing`. `clear` empties the field before
+// typing (filling always replaces the value) and `pressEnter` submits afterwards.
+registerAction('type', async (ctx, action) => {
+  const typing = resolveTyping(ctx.config, action);
+  const element = ctx.page.locator(action.selector).first();
+  if (typing) {
+    await moveCursor(ctx, action.selector);
+    await highlightElement(ctx, action.selector);
+  }
+  await interact(
+    ctx,
+    action,
+    async () => {
+      if (typing) {
+        if (action.clear) {
+          await element.fill('');
+        }
+        await element.focus();
+        await typeText(ctx, action, typing);
+      } else {
+        await ctx.page.fill(action.selector, action.text);
+      }
+      if (action.pressEnter) {
+        await element.press('Enter');
+      }
+    },
+    300,
+  );
+});
+
+registerAction('scroll', async (ctx, action) => {
+  await interact(ctx, action, () =>
+    ctx.page.evaluate(
+      options => {
+        window.scrollBy(options.x || 0, options.y || 0);
+      },
+      { x: action.x || 0, y: action.y || 0 },
+    ),
+  );
+});
+
+registerAction('wait', async (ctx, action) => {
+  await ctx.page.waitForTimeout(action.ms || 1000);
+});
+
+registerAction('navigate', async (ctx, action) => {
+  await navigateTo(ctx.page, resolveUrl(action.url, ctx.config.baseUrl), {
+    strategy: resolveWaitStrategy(ctx.config, ctx.step, action),
+    settleTimeout: ctx.config.settleTimeout,
+  });
+});
+
+registerAction('hover', async (ctx, action) => {
+  await moveCursor(ctx, action.selector);
+  await highlightElement(ctx, action.selector);
+  await interact(ctx, action, () => ctx.page.hover(action.selector));
+});
+
+// Choose dropdown options by value (`value`/`values`) or visible text (`label`)
+registerAction('select', async (ctx, action) => {
+  let option = action.values || action.value;
+  if (option === undefined && action.label !== undefined) {
+    option = { label: action.label };
+  }
+  if (option === undefined) {
+    throw new Error(`select action for ${action.selector} needs a value, values or label`);
+  }
+  await highlightElement(ctx, action.selector);
+  await interact(ctx, action, () => ctx.page.selectOption(action.selector, option), 300);
+});
+
+// Press a key or key combo (e.g. "Control+K"), on an element when a selector is given
+registerAction('press', async (ctx, action) => {
+  if (!action.key) {
+    throw new Error('press action requires a key');
+  }
+  if (action.selector) {
+    await highlightElement(ctx, action.selector);
+  }
+  await interact(
+    ctx,
+    action,
+    () =>
+      action.selector
+        ? ctx.page.press(action.selector, action.key)
+        : ctx.page.keyboard.press(action.key),
+    300,
+  );
+});
+
+registerAction('check', async (ctx, action) => {
+  await moveCursor(ctx, action.selector);
+  await highlightElement(ctx, action.selector);
+  await interact(ctx, action, () => ctx.page.check(action.selector), 300);
+});
+
+registerAction('uncheck', async (ctx, action) => {
+  await moveCursor(ctx, action.selector);
+  await highlightElement(ctx, action.selector);
+  await interact(ctx, action, () => ctx.page.uncheck(action.selector), 300);
+});
+
+// Attach local fixture files (relative to the config file) to a file input
+registerAction('upload', async (ctx, action) => {
+  const files = [].concat(action.files || action.file || []);
+  if (files.length === 0) {
+    throw new Error(`upload action for ${action.selector} requires a file or files`);
+  }
+  const filePaths = files.map(file => resolveConfigPath(ctx.config, file));
+  for (const filePath of filePaths) {
+    try {
+      await fs.access(filePath);
+    } catch {
+      throw new Error(`Upload fixture not found: ${filePath}`);
+    }
+  }
+  await highlightElement(ctx, action.selector);
+  await interact(ctx, action, () => ctx.page.setInputFiles(action.selector, filePaths));
+});
+
+// Drag one element onto another, e.g. to reorder a list
+registerAction('dragTo', async (ctx, action) => {
+  if (!action.target) {
+    throw new Error(`dragTo action for ${action.selector} requires a target selector`);
+  }
+  await moveCursor(ctx, action.selector);
+  await highlightElement(ctx, action.selector);
+  await highlightElement(ctx, action.target);
+  await interact(ctx, action, () =>
+    ctx.page.locator(action.selector).dragTo(ctx.page.locator(action.target)),
+  );
+});
+
+registerAction('waitForSelector', async (ctx, action) => {
+  await ctx.page.waitForSelector(action.selector, {
+    state: action.state || 'visible',
+    timeout: action.timeout,
+  });
+});
+
+// Wait for a response whose URL matches `url`. With `trigger`, the nested action runs
+// after the listener is attached so a fast response can't slip past.
+registerAction('waitForResponse', async (ctx, action) => {
+  const matchesUrl = toUrlMatcher(action.url);
+  const response = ctx.page.waitForResponse(
+    res => matchesUrl(res.url()) && (action.status === undefined || res.status() === action.status),
+    { timeout: action.timeout },
+  );
+  if (action.trigger) {
+    await executeAction(ctx, action.trigger);
+  }
+  await response;
+});
+
+registerAction('waitForLoadState', async (ctx, action) => {
+  await ctx.page.waitForLoadState(action.state || 'load', { timeout: action.timeout });
+});
+
+// Wait until a JavaScript expression evaluated in the page is truthy
+registerAction('waitForFunction', async (ctx, action) => {
+  await ctx.page.waitForFunction(action.expression, action.arg, {
+    timeout: action.timeout,
+    polling: action.polling,
+  });
+});
+
+// Re-evaluate an expectation until it passes or its timeout runs out.
+// `evaluate` resolves to { passed, actual }.
+async function pollExpectation(ctx, action, evaluate) {
+  const timeout = action.timeout ?? 5000;
+  const deadline = Date.now() + timeout;
+  let result = await evaluate();
+  while (!result.passed && Date.now() < deadline) {
+    await ctx.page.waitForTimeout(100);
+    result = await evaluate();
+  }
+  return result;
+}
+
+// Compare text against `text` (substring, or whole string with `exact`) or a `matches` regex
+function matchesText(actual, action, expected = action.text) {
+  if (actual === null || actual === undefined) {
+    return false;
+  }
+  if (action.matches) {
+    return new RegExp(action.matches).test(actual);
+  }
+  return action.exact ? actual === expected : actual.includes(expected);
+}
+
+function describeText(action, expected = action.text) {
+  if (action.matches) {
+    return `match /${action.matches}/`;
+  }
+  return `${action.exact ? 'equal' : 'contain'} "${expected}"`;
+}
+
+// Register an assertion action. Failures are recorded on the step, never thrown,
+// so the rest of the review keeps running.
+function registerExpectation(type, { evaluate, describe }) {
+  registerAction(type, async (ctx, action) => {
+    const { passed, actual } = await pollExpectation(ctx, action, () => evaluate(ctx, action));
+    const expectation = action.message || describe(action);
+    ctx.recordCheck({
+      passed,
+      expectation,
+      actual,
+      message: passed ? expectation : `${expectation} (got ${JSON.stringify(actual)})`,
+    });
+  });
+}
+
+registerExpectation('expectVisible', {
+  evaluate: async (ctx, action) => {
+    const visible = await ctx.page.locator(action.selector).first().isVisible();
+    return { passed: visible === (action.visible !== false), actual: visible };
+  },
+  describe: action =>
+    `Expected ${action.selector} to be ${action.visible === false ? 'hidden' : 'visible'}`,
+});
+
+registerExpectation('expectText', {
+  evaluate: async (ctx, action) => {
+    const [text = null] = await ctx.page.locator(action.selector).allTextContents();
+    const actual = text === null ? null : text.trim();
+    return { passed: matchesText(actual, action), actual };
+  },
+  describe: action => `Expected ${action.selector} text to ${describeText(action)}`,
+});
+
+registerExpectation('expectUrl', {
+  evaluate: async (ctx, action) => {
+    const actual = ctx.page.url();
+    if (action.url) {
+      return { passed: actual === resolveUrl(action.url, ctx.config.baseUrl), actual };
+    }
+    return { passed: matchesText(actual, action, action.contains), actual };
+  },
+  describe: action =>
+    action.url
+      ? `Expected URL to be ${action.url}`
+      : `Expected URL to ${describeText(action, action.contains)}`,
+});
+
+registerExpectation('expectCount', {
+  evaluate: async (ctx, action) => {
+    const actual = await ctx.page.locator(action.selector).count();
+    const passed =
+      action.count !== undefined
+        ? actual === action.count
+        : actual >= (action.min ?? 0) && actual <= (action.max ?? Infinity);
+    return { passed, actual };
+  },
+  describe: action => {
+    if (action.count !== undefined) {
+      return `Expected ${action.count} × ${action.selector}`;
+    }
+    return `Expected between ${action.min ?? 0} and ${action.max ?? '∞'} × ${action.selector}`;
+  },
+});
+
+registerExpectation('expectAttribute', {
+  evaluate: async (ctx, action) => {
+    const locator = ctx.page.locator(action.selector).first();
+    if ((await ctx.page.locator(action.selector).count()) === 0) {
+      return { passed: false, actual: null };
+    }
+    const actual = await locator.getAttribute(action.name, { timeout: 1000 });
+    if (action.value === undefined && !action.matches) {
+      return { passed: actual !== null, actual };
+    }
+    return {
+      passed: matchesText(actual, { ...action, exact: !action.matches }, action.value),
+      actual,
+    };
+  },
+  describe: action => {
+    const target = `${action.selector} [${action.name}]`;
+    if (action.value === undefined && !action.matches) {
+      return `Expected ${target} to be present`;
+    }
+    return `Expected ${target} to ${describeText({ ...action, exact: true }, action.value)}`;
+  },
+});
+
+// Accessibility audit of the current page with the bundled axe-core engine. Violations
+// are recorded for the report's Accessibility section, offending elements are outlined
+// on an annotated full-page screenshot, and the audit counts as a pass/fail check.
+registerAction('accessibilityAudit', async (ctx, action) => {
+  const audit = await runAccessibilityAudit(ctx.page, action);
+  const name = action.name || 'accessibility';
+  const annotate = auditAnnotations(audit, action.maxAnnotations);
+  let screenshot = null;
+  if (annotate.length > 0) {
+    await executeAction(ctx, { type: 'screenshot', name, fullPage: true, annotate });
+    screenshot = `${ctx.fileName(name)}-annotated.png`;
+  }
+  ctx.recordAudit({ ...audit, name, screenshot });
+
+  const total = audit.violations.length;
+  const breakdown = Object.entries(audit.counts)
+    .filter(([, count]) => count > 0)
+    .map(([impact, count]) => `${count} ${impact}`)
+    .join(', ');
+  ctx.recordCheck({
+    passed: audit.passed,
+    expectation: 'accessibilityAudit',
+    actual: audit.counts,
+    message:
+      total === 0
+        ? 'No accessibility violations'
+        : `${total} accessibility violation${total === 1 ? '' : 's'} (${breakdown})`,
+  });
+});
+
+export {
+  registerAction,
+  getActionTypes,
+  executeAction,
+  loadActionModules,
+  resolveUrl,
+  resolveWaitStrategy,
+  navigateTo,
+  toUrlMatcher,
+  highlightElement,
+};
@@ -0,0 +1,163 @@
+/**
+ * Screenshot annotations
+ *
+ * Draws boxes, arrows and numbered callouts over elements as an SVG overlay
+ * positioned in document coordinates, so the markup survives full-page
+ * captures. The overlay is removed again once the annotated shot is taken.
+ */
+
+/* global document, window */
+
+const OVERLAY_ID = '__browser-review-annotations';
+const DEFAULT_COLOR = '#FF3B30';
+const ANNOTATION_STYLES = ['box', 'arrow', 'callout'];
+
+// Bounding box of the first element matching `selector`, relative to the document
+// rather than the viewport. Returns null when the element is missing or hidden.
+async function getDocumentRect(page, selector, { timeout = 2000 } = {}) {
+  const box = await page
+    .locator(selector)
+    .first()
+    .boundingBox({ timeout })
+    .catch(() => null);
+  if (!box) {
+    return null;
+  }
+  const scroll = await page.evaluate(() => ({ x: window.scrollX, y: window.scrollY }));
+  return { x: box.x + scroll.x, y: box.y + scroll.y, width: box.width, height: box.height };
+}
+
+// Runs in the page: build the SVG overlay for resolved annotation items
+function renderOverlay({ id, items }) {
+  const ns = 'http://www.w3.org/2000/svg';
+  const root = document.documentElement;
+  const svg = document.createElementNS(ns, 'svg');
+  svg.setAttribute('id', id);
+  svg.setAttribute('width', Math.max(root.scrollWidth, root.clientWidth));
+  svg.setAttribute('height', Math.max(root.scrollHeight, root.clientHeight));
+  svg.style.cssText =
+    'position:absolute;top:0;left:0;pointer-events:none;z-index:2147483647;overflow:visible;' +
+    'font:600 14px -apple-system,BlinkMacSystemFont,"Helvetica Neue",Arial,sans-serif';
+  root.appendChild(svg);
+
+  const add = (tag, attrs, text) => {
+    const el = document.createElementNS(ns, tag);
+    for (const [key, value] of Object.entries(attrs)) {
+      el.setAttribute(key, value);
+    }
+    if (text !== undefined) {
+      el.textContent = text;
+    }
+    svg.appendChild(el);
+    return el;
+  };
+
+  for (const item of items) {
+    const { x, y, width, height } = item.rect;
+    let badgeX = x - 4;
+    let badgeY = y - 4;
+
+    if (item.style === 'arrow') {
+      // Arrow coming in from the upper left, pointing at the element's top edge
+      const tipX = x + Math.min(width / 2, 32);
+      const tipY = y;
+      const tailX = Math.max(20, tipX - 90);
+      const tailY = Math.max(20, tipY - 70);
+      const angle = Math.atan2(tipY - tailY, tipX - tailX);
+      const head = (offset, length = 14) =>
+        `${tipX - length * Math.cos(angle + offset)},${tipY - length * Math.sin(angle + offset)}`;
+      add('line', {
+        x1: tailX,
+        y1: tailY,
+        x2: tipX,
+        y2: tipY,
+        stroke: item.color,
+        'stroke-width': 4,
+        'stroke-linecap': 'round',
+      });
+      add('polygon', {
+        points: `${tipX},${tipY} ${head(0.45)} ${head(-0.45)}`,
+        fill: item.color,
+      });
+      badgeX = tailX;
+      badgeY = tailY;
+    } else {
+      add('rect', {
+        x: x - 4,
+        y: y - 4,
+        width: width + 8,
+        height: height + 8,
+        rx: 6,
+        fill: item.style === 'callout' ? `${item.color}14` : 'none',
+        stroke: item.color,
+        'stroke-width': 3,
+      });
+    }
+
+    add('circle', {
+      cx: badgeX,
+      cy: badgeY,
+      r: 14,
+      fill: item.color,
+      stroke: '#fff',
+      'stroke-width': 2,
+    });
+    add(
+      'text',
+      { x: badgeX, y: badgeY + 5, fill: '#fff', 'text-anchor': 'middle' },
+      String(item.number),
+    );
+
+    if (item.style === 'callout' && item.label) {
+      const label = add('text', { x: badgeX + 26, y: badgeY + 5, fill: '#fff' }, item.label);
+      const textWidth = label.getComputedTextLength();
+      const background = document.createElementNS(ns, 'rect');
+      for (const [key, value] of Object.entries({
+        x: badgeX + 18,
+        y: badgeY - 12,
+        width: textWidth + 16,
+        height: 24,
+        rx: 12,
+        fill: item.color,
+      })) {
+        background.setAttribute(key, value);
+      }
+      svg.insertBefore(background, label);
+    }
+  }
+}
+
+// Draw numbered annotations ({ selector, label, style, color }) over the page.
+// Returns the callouts that were drawn; missing elements are skipped with a warning.
+async function drawAnnotations(page, annotations) {
+  const items = [];
+  for (const [index, annotation] of annotations.entries()) {
+    const style = annotation.style || 'box';
+    if (!ANNOTATION_STYLES.includes(style)) {
+      throw new Error(
+        `Unknown annotation style "${style}". Use one of: ${ANNOTATION_STYLES.join(', ')}`,
+      );
+    }
+    const rect = annotation.rect || (await getDocumentRect(page, annotation.selector));
+    if (!rect) {
+      console.warn(`   ⚠️  Annotation target not found: ${annotation.selector}`);
+      continue;
+    }
+    items.push({
+      number: annotation.number ?? index + 1,
+      label: annotation.label || annotation.selector,
+      style,
+      color: annotation.color || DEFAULT_COLOR,
+      rect,
+    });
+  }
+  await page.evaluate(renderOverlay, { id: OVERLAY_ID, items });
+  return items.map(({ number, label, style }) => ({ number, label, style }));
+}
+
+// Remove the annotation overlay
+async function clearAnnotations(page) {
+  await page.evaluate(id => document.getElementById(id)?.remove(), OVERLAY_ID);
+}
+
+export { getDocumentRect, drawAnnotations, clearAnnotations };
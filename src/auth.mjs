@@ -0,0 +1,130 @@
+/**
+ * Authenticated reviews
+ *
+ * Turns the top-level `auth` block into browser context options: a Playwright
+ * storageState file, injected cookies and localStorage entries, HTTP basic
+ * credentials, and the state left behind by a one-time `setupSteps` login flow,
+ * which is cached on disk and reused until it expires or is refreshed.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { resolveConfigPath } from './config-file.mjs';
+
+const AUTH_CACHE_DIR = '.browser-review';
+
+// Read a Playwright storageState JSON file ({ cookies, origins }), relative to the config file
+async function readStorageState(config, file) {
+  const statePath = resolveConfigPath(config, file);
+  try {
+    return JSON.parse(await fs.readFile(statePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`Auth storageState file not found: ${file}`);
+    }
+    throw new Error(`Invalid auth storageState file ${file}: ${error.message}`);
+  }
+}
+
+// Where the state left by setupSteps is cached: `auth.cacheFile`, or a file per baseUrl
+// origin so a login to one site is never loaded into a review of another
+function authCacheFile(config) {
+  if (config.auth.cacheFile) {
+    return config.auth.cacheFile;
+  }
+  const host = new URL(config.baseUrl).host.replace(/[^\w.-]+/g, '-');
+  return `${AUTH_CACHE_DIR}/auth-state-${host}.json`;
+}
+
+// Cached login state, or null when it is missing or older than maxAge minutes
+async function readCachedState(cacheFile, maxAge) {
+  try {
+    if (maxAge) {
+      const { mtimeMs } = await fs.stat(cacheFile);
+      if (Date.now() - mtimeMs > maxAge * 60 * 1000) {
+        return null;
+      }
+    }
+    return JSON.parse(await fs.readFile(cacheFile, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+async function writeCachedState(cacheFile, state) {
+  await fs.mkdir(path.dirname(cacheFile), { recursive: true });
+  await fs.writeFile(cacheFile, JSON.stringify(state, null, 2));
+}
+
+// Cookies without a url or domain are scoped to the review's baseUrl
+function normalizeCookies(cookies = [], baseUrl) {
+  return cookies.map(cookie =>
+    cookie.url || cookie.domain ? cookie : { ...cookie, url: new URL(baseUrl).origin },
+  );
+}
+
+// Merge `{ key: value }` localStorage entries for the baseUrl origin into a storage state
+function withLocalStorage(state, entries, baseUrl) {
+  if (!entries || Object.keys(entries).length === 0) {
+    return state;
+  }
+  const origin = new URL(baseUrl).origin;
+  const origins = [...(state?.origins || [])];
+  const index = origins.findIndex(entry => entry.origin === origin);
+  const existing = index === -1 ? [] : origins[index].localStorage;
+  const localStorage = [
+    ...existing.filter(item => !(item.name in entries)),
+    ...Object.entries(entries).map(([name, value]) => ({
+      name,
+      value: typeof value === 'string' ? value : JSON.stringify(value),
+    })),
+  ];
+  if (index === -1) {
+    origins.push({ origin, localStorage });
+  } else {
+    origins[index] = { ...origins[index], localStorage };
+  }
+  return { cookies: state?.cookies || [], origins };
+}
+
+// Resolve config.auth into { contextOptions, cookies } for every context of the review.
+// `runSetup(auth)` runs the login flow in a browser and returns its storage state; it is
+// only called when there is no usable cached state (or `refresh` is set).
+async function resolveAuth(config, { runSetup, refresh = false } = {}) {
+  const auth = config.auth;
+  if (!auth) {
+    return null;
+  }
+
+  const baseState = auth.storageState ? await readStorageState(config, auth.storageState) : null;
+  const resolved = {
+    contextOptions: {},
+    cookies: normalizeCookies(auth.cookies, config.baseUrl),
+  };
+  const storageState = withLocalStorage(baseState, auth.localStorage, config.baseUrl);
+  if (storageState) {
+    resolved.contextOptions.storageState = storageState;
+  }
+  if (auth.httpCredentials) {
+    resolved.contextOptions.httpCredentials = auth.httpCredentials;
+  }
+
+  if (auth.setupSteps?.length) {
+    const cacheFile = path.resolve(process.cwd(), authCacheFile(config));
+    const cached = refresh ? null : await readCachedState(cacheFile, auth.maxAge);
+    if (cached) {
+      console.log(`🔑 Reusing cached login state from ${path.relative(process.cwd(), cacheFile)}`);
+      resolved.contextOptions.storageState = cached;
+    } else {
+      console.log('🔑 Running auth setup steps...');
+      const state = await runSetup(resolved);
+      await writeCachedState(cacheFile, state);
+      resolved.contextOptions.storageState = state;
+      console.log(`   ✅ Login state cached to ${path.relative(process.cwd(), cacheFile)}`);
+    }
+  }
+
+  return resolved;
+}
+
+export { authCacheFile, normalizeCookies, withLocalStorage, resolveAuth };
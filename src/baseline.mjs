@@ -0,0 +1,156 @@
+/**
+ * Visual regression against a baseline
+ *
+ * Matches each screenshot of a run to the same-named file in a baseline
+ * directory (a previous run's output, or a folder filled with
+ * `--update-baseline`), computes a pixel diff and writes a diff image that
+ * highlights every changed pixel. Ignored regions never count as changed.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import pixelmatch from 'pixelmatch';
+import { PNG } from 'pngjs';
+
+// pixelmatch's per-pixel colour tolerance (0 = exact, 1 = anything matches)
+const DEFAULT_THRESHOLD = 0.1;
+
+// Normalize config.visualDiff ({ threshold, maxDiffPercent, ignore })
+function resolveVisualDiffOptions(config) {
+  const options = config.visualDiff || {};
+  return {
+    threshold: options.threshold ?? DEFAULT_THRESHOLD,
+    maxDiffPercent: options.maxDiffPercent ?? null,
+    ignore: options.ignore || [],
+  };
+}
+
+// A previous run's output directory keeps its screenshots under artifacts/
+async function resolveBaselineDir(dir) {
+  const resolved = path.resolve(process.cwd(), dir);
+  const artifactsDir = path.join(resolved, 'artifacts');
+  const stat = await fs.stat(artifactsDir).catch(() => null);
+  return stat?.isDirectory() ? artifactsDir : resolved;
+}
+
+async function readPng(filePath) {
+  return PNG.sync.read(await fs.readFile(filePath));
+}
+
+// Place an image on a transparent canvas of the given size, so captures whose page
+// height changed are still compared pixel by pixel (the extra area counts as changed)
+function padImage(png, width, height) {
+  if (png.width === width && png.height === height) {
+    return png;
+  }
+  const padded = new PNG({ width, height });
+  PNG.bitblt(png, padded, 0, 0, png.width, png.height, 0, 0);
+  return padded;
+}
+
+// Blank out `{ x, y, width, height }` regions in every image so they always match
+function clearRegions(images, regions, width, height) {
+  for (const region of regions) {
+    const left = Math.max(0, Math.floor(region.x));
+    const right = Math.min(width, Math.ceil(region.x + region.width));
+    const top = Math.max(0, Math.floor(region.y));
+    const bottom = Math.min(height, Math.ceil(region.y + region.height));
+    if (left >= right) {
+      continue;
+    }
+    for (let y = top; y < bottom; y++) {
+      for (const image of images) {
+        image.data.fill(0, (y * width + left) * 4, (y * width + right) * 4);
+      }
+    }
+  }
+}
+
+// Diff two PNGs and write the diff image. `mismatch` is the percentage of changed pixels.
+async function compareImages(currentPath, baselinePath, diffPath, options = {}) {
+  const [current, baseline] = await Promise.all([readPng(currentPath), readPng(baselinePath)]);
+  const width = Math.max(current.width, baseline.width);
+  const height = Math.max(current.height, baseline.height);
+  const before = padImage(baseline, width, height);
+  const after = padImage(current, width, height);
+  clearRegions([before, after], options.ignore || [], width, height);
+
+  const diff = new PNG({ width, height });
+  const diffPixels = pixelmatch(before.data, after.data, diff.data, width, height, {
+    threshold: options.threshold ?? DEFAULT_THRESHOLD,
+  });
+  await fs.writeFile(diffPath, PNG.sync.write(diff));
+  return {
+    diffPixels,
+    mismatch: Math.round((diffPixels / (width * height)) * 10000) / 100,
+    sizeChanged: current.width !== baseline.width || current.height !== baseline.height,
+  };
+}
+
+// Compare every screenshot artifact with its baseline and attach the outcome as
+// `artifact.comparison`. The baseline image is copied next to the artifacts so the report
+// stays self-contained. With `visualDiff.maxDiffPercent`, larger changes fail the step.
+async function compareWithBaseline(config, artifacts, results, artifactsDir) {
+  const baselineDir = await resolveBaselineDir(config.baseline);
+  const options = resolveVisualDiffOptions(config);
+  const compared = { changed: 0, unchanged: 0, new: 0 };
+
+  for (const artifact of artifacts.filter(a => a.type === 'screenshot')) {
+    const fileName = path.basename(artifact.path);
+    const baselineSource = path.join(baselineDir, fileName);
+    const hasBaseline = await fs
+      .access(baselineSource)
+      .then(() => true)
+      .catch(() => false);
+    if (!hasBaseline) {
+      artifact.comparison = { status: 'new' };
+      compared.new++;
+      continue;
+    }
+
+    const base = fileName.replace(/\.png$/, '');
+    const baselinePath = path.join(artifactsDir, `${base}-baseline.png`);
+    const diffPath = path.join(artifactsDir, `${base}-diff.png`);
+    await fs.copyFile(baselineSource, baselinePath);
+    const diff = await compareImages(artifact.path, baselinePath, diffPath, options);
+    const status = diff.diffPixels > 0 ? 'changed' : 'unchanged';
+    artifact.comparison = { status, baselinePath, diffPath, ...diff };
+    compared[status]++;
+
+    if (options.maxDiffPercent !== null) {
+      const passed = diff.mismatch <= options.maxDiffPercent;
+      results.checks.push({
+        stepIndex: artifact.stepIndex ?? -1,
+        stepName: artifact.stepName ?? null,
+        browser: artifact.browser,
+        viewport: artifact.viewport,
+        passed,
+        expectation: 'visualDiff',
+        actual: diff.mismatch,
+        message: passed
+          ? `${artifact.name}: ${diff.mismatch}% changed, within ${options.maxDiffPercent}%`
+          : `${artifact.name}: ${diff.mismatch}% changed, over ${options.maxDiffPercent}%`,
+      });
+    }
+  }
+  return compared;
+}
+
+// Promote this run's screenshots (the raw captures, not annotated copies) to the baseline
+async function updateBaseline(dir, artifacts) {
+  const baselineDir = await resolveBaselineDir(dir);
+  await fs.mkdir(baselineDir, { recursive: true });
+  const screenshots = artifacts.filter(a => a.type === 'screenshot');
+  for (const artifact of screenshots) {
+    await fs.copyFile(artifact.path, path.join(baselineDir, path.basename(artifact.path)));
+  }
+  return { dir: baselineDir, count: screenshots.length };
+}
+
+export {
+  resolveVisualDiffOptions,
+  resolveBaselineDir,
+  compareImages,
+  compareWithBaseline,
+  updateBaseline,
+};
@@ -0,0 +1,61 @@
+/**
+ * Browser engines
+ *
+ * Resolves which engines a review runs in (Chromium, Firefox, WebKit) and
+ * the launch and context options each one accepts.
+ */
+
+import { chromium, firefox, webkit } from 'playwright';
+
+const BROWSER_ENGINES = { chromium, firefox, webkit };
+const BROWSER_NAMES = Object.keys(BROWSER_ENGINES);
+
+// Normalize config.browsers (an array, or a comma-separated string from --browser)
+function resolveBrowsers(config) {
+  const browsers = config.browsers || ['chromium'];
+  const names = (Array.isArray(browsers) ? browsers : String(browsers).split(','))
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+  for (const name of names) {
+    if (!BROWSER_ENGINES[name]) {
+      throw new Error(`Unknown browser "${name}". Use one of: ${BROWSER_NAMES.join(', ')}`);
+    }
+  }
+  return [...new Set(names)];
+}
+
+// Launch options for an engine. The sandbox switches are Chromium command-line flags
+// that Firefox and WebKit would reject.
+function getLaunchOptions(browserName, config) {
+  const options = {
+    headless: config.headless !== false, // Use config setting, default to false
+  };
+  if (browserName === 'chromium') {
+    options.args = ['--no-sandbox', '--disable-setuid-sandbox']; // For better compatibility
+  }
+  return options;
+}
+
+// Drop context options an engine doesn't support. Firefox has no mobile emulation, so
+// device presets still set the size, scale factor, touch and user agent there.
+function adaptContextOptions(browserName, options) {
+  if (browserName === 'firefox' && options.isMobile !== undefined) {
+    const { isMobile: _isMobile, ...supported } = options;
+    return supported;
+  }
+  return options;
+}
+
+// Launch one engine with a hint about installing it when the binary is missing
+async function launchBrowser(browserName, config) {
+  try {
+    return await BROWSER_ENGINES[browserName].launch(getLaunchOptions(browserName, config));
+  } catch (error) {
+    throw new Error(
+      `Failed to launch ${browserName}: ${error.message}. ` +
+        `Make sure Playwright is installed (npx playwright install ${browserName})`,
+    );
+  }
+}
+
+export { BROWSER_NAMES, resolveBrowsers, getLaunchOptions, adaptContextOptions, launchBrowser };
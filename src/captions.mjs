@@ -0,0 +1,201 @@
+/**
+ * Burned-in captions
+ *
+ * Recordings forwarded on their own (outside the HTML report) carry no
+ * context, so with `captions` the step name is drawn along the top of every
+ * slideshow, WebM and GIF, each action's caption along the bottom while it
+ * runs, and optionally a title card and a progress bar. The overlay is an
+ * ffmpeg filter chain; caption text is passed through files so it never needs
+ * escaping.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+const DEFAULT_FONT_SIZE = 28;
+const DEFAULT_TITLE_CARD_SECONDS = 2;
+const PROGRESS_COLOR = '0x007AFF';
+
+// Normalize `captions` (step-level overrides config-level): true, or
+// { titleCard, progress, fontSize, fontFile }. Returns null when captions are off.
+function resolveCaptionOptions(config, step = {}) {
+  const captions = step.captions ?? config.captions;
+  if (!captions) {
+    return null;
+  }
+  const options = captions === true ? {} : captions;
+  return {
+    titleCard: options.titleCard === true ? DEFAULT_TITLE_CARD_SECONDS : options.titleCard || 0,
+    progress: options.progress === true,
+    fontSize: options.fontSize || DEFAULT_FONT_SIZE,
+    fontFile: options.fontFile || null,
+  };
+}
+
+// Throw on a `captions` option that isn't a boolean or { titleCard, progress, fontSize, fontFile }
+function validateCaptions(captions, label) {
+  if (captions === undefined || typeof captions === 'boolean') {
+    return;
+  }
+  if (!captions || typeof captions !== 'object') {
+    throw new Error(`${label}: captions must be true, false or an options object`);
+  }
+  const { titleCard, fontSize, fontFile } = captions;
+  if (titleCard !== undefined && typeof titleCard !== 'boolean' && !(titleCard >= 0)) {
+    throw new Error(`${label}: captions.titleCard must be true or a number of seconds`);
+  }
+  if (fontSize !== undefined && !(fontSize > 0)) {
+    throw new Error(`${label}: captions.fontSize must be a positive number`);
+  }
+  if (fontFile !== undefined && typeof fontFile !== 'string') {
+    throw new Error(`${label}: captions.fontFile must be a path to a font file`);
+  }
+}
+
+// "waitForSelector" -> "Wait for selector"
+function humanize(type) {
+  const words = type.replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// An action's `caption`, or one generated from its type and target, e.g. "Click: #submit"
+function actionCaption(action) {
+  if (action.caption) {
+    return action.caption;
+  }
+  const label = humanize(action.type);
+  // Typed text stays out: it may be a password or an ${env.*} secret filled in from the config
+  if (action.type === 'type') {
+    return `${label} into ${action.selector}`;
+  }
+  if (action.type === 'dragTo') {
+    return `${label}: ${action.selector} → ${action.target}`;
+  }
+  const target =
+    action.selector ?? action.url ?? action.key ?? action.name ?? (action.ms && `${action.ms} ms`);
+  return target ? `${label}: ${target}` : label;
+}
+
+// Collects when each action of a recorded step started: the wall-clock time for videos
+// and the slideshow frame count for slideshows
+function createCaptionTrack(options, startedAt = Date.now()) {
+  const track = {
+    options,
+    startedAt,
+    entries: [],
+    add(action, frame = 0) {
+      track.entries.push({ text: actionCaption(action), time: Date.now(), frame });
+    },
+  };
+  return track;
+}
+
+// Turn track entries into { text, start, end } segments in seconds of output
+function toSegments(entries, startOf, duration) {
+  return entries.map((entry, index) => ({
+    text: entry.text,
+    start: startOf(entry),
+    end: index + 1 < entries.length ? startOf(entries[index + 1]) : duration,
+  }));
+}
+
+// Overlay for a slideshow of `frameCount` frames shown at `fps`
+function slideshowOverlay(track, title, frameCount, fps) {
+  const duration = frameCount / fps;
+  return {
+    ...track.options,
+    title,
+    duration,
+    segments: toSegments(track.entries, entry => entry.frame / fps, duration),
+  };
+}
+
+// Overlay for a video recorded from `track.startedAt` until `endedAt`
+function videoOverlay(track, title, endedAt = Date.now()) {
+  const seconds = time => Math.max(0, (time - track.startedAt) / 1000);
+  const duration = seconds(endedAt);
+  return {
+    ...track.options,
+    title,
+    duration,
+    segments: toSegments(track.entries, entry => seconds(entry.time), duration),
+  };
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+// Build the ffmpeg filter for an overlay. `textFiles` holds the paths of the files with
+// the title and each segment's text. The result is a filter chain, or with `progress` a
+// small filtergraph with one unlabeled input and output, usable in -vf after other filters.
+function buildOverlayFilter(overlay, textFiles) {
+  const { fontSize, titleCard = 0 } = overlay;
+  const bar = Math.round(fontSize * 1.8);
+  const font = overlay.fontFile ? `:fontfile='${overlay.fontFile}'` : '';
+  const when = enable => (enable ? `:enable='${enable}'` : '');
+  const text = (file, position, enable) =>
+    `drawtext=textfile='${file}':expansion=none${font}:fontsize=${fontSize}:fontcolor=white:` +
+    `${position}${when(enable)}`;
+  const box = (position, color, enable) =>
+    `drawbox=${position}:color=${color}:t=fill${when(enable)}`;
+
+  const filters = [];
+  if (titleCard) {
+    // Hold the first frame behind a full-frame card with the step name
+    filters.push(`tpad=start_duration=${titleCard}:start_mode=clone`);
+    filters.push(box('x=0:y=0:w=iw:h=ih', 'black', `lt(t,${titleCard})`));
+    filters.push(text(textFiles.title, 'x=(w-tw)/2:y=(h-th)/2', `lt(t,${titleCard})`));
+  }
+  const afterCard = titleCard ? `gte(t,${titleCard})` : null;
+  filters.push(box(`x=0:y=0:w=iw:h=${bar}`, 'black@0.6', afterCard));
+  filters.push(text(textFiles.title, `x=24:y=(${bar}-th)/2`, afterCard));
+  overlay.segments.forEach((segment, index) => {
+    const [start, end] = [segment.start, segment.end].map(time => round(time + titleCard));
+    const enable = `between(t,${start},${end})`;
+    filters.push(box(`x=0:y=ih-${bar}:w=iw:h=${bar}`, 'black@0.6', enable));
+    filters.push(text(textFiles.segments[index], `x=(w-tw)/2:y=h-${bar}+(${bar}-th)/2`, enable));
+  });
+
+  const chain = filters.join(',');
+  if (!overlay.progress) {
+    return chain;
+  }
+  // drawbox can't vary with time, so the bar is a wide strip slid in from the left
+  const total = round(titleCard + overlay.duration);
+  return (
+    `${chain}[captioned];color=c=${PROGRESS_COLOR}:s=4096x6[progress];` +
+    `[captioned][progress]overlay=x='W*t/${total}-w':y=H-h:shortest=1`
+  );
+}
+
+// Write the overlay's text files to a temporary directory and build its filter.
+// Call cleanup() once ffmpeg is done.
+async function writeOverlayFilter(overlay) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'browser-review-captions-'));
+  const write = async (name, content) => {
+    const filePath = path.join(dir, name);
+    await fs.writeFile(filePath, content);
+    return filePath;
+  };
+  const textFiles = {
+    title: await write('title.txt', overlay.title),
+    segments: await Promise.all(
+      overlay.segments.map((segment, index) => write(`caption-${index}.txt`, segment.text)),
+    ),
+  };
+  return {
+    filter: buildOverlayFilter(overlay, textFiles),
+    cleanup: () => fs.rm(dir, { recursive: true, force: true }),
+  };
+}
+
+export {
+  resolveCaptionOptions,
+  validateCaptions,
+  actionCaption,
+  createCaptionTrack,
+  slideshowOverlay,
+  videoOverlay,
+  buildOverlayFilter,
+  writeOverlayFilter,
+};
@@ -0,0 +1,122 @@
+/**
+ * Environment comparison
+ *
+ * With `compare: { before, after }`, every step of a review runs against two
+ * origins (production vs staging, main vs a feature branch) in the same run.
+ * Each side gets its own copy of the config, and the report pairs the two
+ * captures of every screenshot for a before/after slider.
+ */
+
+import { authCacheFile } from './auth.mjs';
+
+const SIDES = ['before', 'after'];
+
+// Move an absolute URL onto another base URL, keeping its path, query and hash
+function rebaseUrl(url, baseUrl) {
+  const parsed = new URL(url);
+  return `${baseUrl.replace(/\/$/, '')}${parsed.pathname}${parsed.search}${parsed.hash}`;
+}
+
+// The one rebasing rule for a side: an absolute URL on the primary baseUrl's origin moves
+// onto the side's base URL; relative URLs already follow the side, and URLs (or URL
+// patterns) on other origins are used as is.
+function sideUrlMover(primaryBaseUrl, baseUrl) {
+  const origin = new URL(primaryBaseUrl).origin;
+  return url => {
+    if (typeof url !== 'string' || !/^https?:\/\//.test(url)) {
+      return url;
+    }
+    try {
+      return new URL(url).origin === origin ? rebaseUrl(url, baseUrl) : url;
+    } catch {
+      // A URL pattern that doesn't parse can't be on the primary origin
+      return url;
+    }
+  };
+}
+
+// Apply the rule to step, action (`navigate`, `expectUrl`, `waitForResponse`, ...) and
+// nested `trigger` action URLs
+function rebaseSteps(steps, move) {
+  if (!Array.isArray(steps)) {
+    return steps;
+  }
+  const withUrl = item => (item.url ? { ...item, url: move(item.url) } : item);
+  const rebaseAction = action => {
+    const rebased = withUrl(action);
+    return action.trigger ? { ...rebased, trigger: rebaseAction(action.trigger) } : rebased;
+  };
+  return steps.map(step => {
+    const rebased = withUrl(step);
+    return Array.isArray(step.actions)
+      ? { ...rebased, actions: step.actions.map(rebaseAction) }
+      : rebased;
+  });
+}
+
+// Config for one side of the comparison. Cached logins are kept per side, since a
+// storage state only signs in to the origin it was recorded on.
+function sideConfig(config, name) {
+  const baseUrl = config.compare[name];
+  const move = sideUrlMover(config.baseUrl, baseUrl);
+  const auth = config.auth && {
+    ...config.auth,
+    cacheFile: authCacheFile({ ...config, baseUrl }).replace(/(\.json)?$/, `-${name}$1`),
+    setupSteps: rebaseSteps(config.auth.setupSteps, move),
+  };
+  return {
+    ...config,
+    baseUrl,
+    url: move(config.url),
+    steps: rebaseSteps(config.steps, move),
+    auth,
+  };
+}
+
+// The runs of a review: one per `compare` side, or a single unnamed run without `compare`
+function resolveSides(config) {
+  if (!config.compare) {
+    return [{ name: null, config }];
+  }
+  return SIDES.map(name => ({ name, config: sideConfig(config, name) }));
+}
+
+// Throw on a `compare` block without two valid base URLs
+function validateCompare(compare) {
+  if (compare === undefined) {
+    return;
+  }
+  if (!compare || typeof compare !== 'object') {
+    throw new Error('compare must be an object: { "before": <baseUrl>, "after": <baseUrl> }');
+  }
+  for (const name of SIDES) {
+    try {
+      new URL(compare[name]);
+    } catch {
+      throw new Error(`compare.${name} must be a valid base URL`);
+    }
+  }
+}
+
+// Merge each "after" screenshot with its "before" counterpart (same step, name, browser
+// and viewport) into one artifact carrying `before`, so the report shows them together
+function pairSides(artifacts) {
+  const key = art => [art.stepIndex, art.name, art.browser, art.viewport].join('|');
+  const befores = new Map(
+    artifacts
+      .filter(art => art.side === 'before' && art.type === 'screenshot')
+      .map(art => [key(art), art]),
+  );
+  const paired = new Set();
+  const merged = artifacts.map(art => {
+    const before = art.side === 'after' && art.type === 'screenshot' && befores.get(key(art));
+    if (!before) {
+      return art;
+    }
+    paired.add(before);
+    return { ...art, before };
+  });
+  return merged.filter(art => !paired.has(art));
+}
+
+export { rebaseUrl, resolveSides, validateCompare, pairSides };
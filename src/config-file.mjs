@@ -0,0 +1,221 @@
+/**
+ * Config files
+ *
+ * Configs and fragment files can be JSON or YAML. Both are checked against
+ * schema/config.schema.json, the same schema editors use for autocomplete, so
+ * an unknown action type or a `click` without a `selector` is caught before a
+ * browser starts. Problems carry their JSON path and, inside steps, the step
+ * and action they belong to.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { createRequire } from 'module';
+import Ajv from 'ajv';
+import YAML from 'yaml';
+
+const require = createRequire(import.meta.url);
+const CONFIG_SCHEMA = require('../schema/config.schema.json');
+const YAML_EXTENSIONS = ['.yaml', '.yml'];
+
+let validateSchema = null;
+
+// Read a JSON or YAML config (or fragment) file, picking the format by extension. Errors
+// name the file as `name`, e.g. the path as written in the config.
+async function readConfigFile(file, label = 'config file', name = file) {
+  const yaml = YAML_EXTENSIONS.includes(path.extname(file).toLowerCase());
+  let text;
+  try {
+    text = await fs.readFile(file, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new Error(`${label.charAt(0).toUpperCase()}${label.slice(1)} not found: ${name}`);
+    }
+    throw error;
+  }
+  try {
+    return yaml ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid ${yaml ? 'YAML' : 'JSON'} in ${label} ${name}: ${error.message}`);
+  }
+}
+
+// Write a config as YAML or JSON, again by extension
+async function writeConfigFile(file, config) {
+  const yaml = YAML_EXTENSIONS.includes(path.extname(file).toLowerCase());
+  await fs.writeFile(file, yaml ? YAML.stringify(config) : `${JSON.stringify(config, null, 2)}\n`);
+}
+
+// Resolve a file named in a config (an upload fixture, a mocked response, a HAR) against the
+// config file's directory, which the CLI keeps as `configDir`. Without one, paths are
+// relative to the working directory.
+function resolveConfigPath(config, file) {
+  return path.resolve(config.configDir || process.cwd(), file);
+}
+
+// JSON pointer "/steps/0/actions/1" -> "steps[0].actions[1]"
+function toPath(pointer) {
+  return pointer
+    .split('/')
+    .slice(1)
+    .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+    .reduce(
+      (result, part) =>
+        /^\d+$/.test(part) ? `${result}[${part}]` : result ? `${result}.${part}` : part,
+      '',
+    );
+}
+
+// "Step 2 "Checkout", action 1 (click)" for a path inside the config's steps
+function describeLocation(config, pointer) {
+  const match = /^\/(steps|auth\/setupSteps)\/(\d+)(?:\/actions\/(\d+))?/.exec(pointer);
+  if (!match) {
+    return null;
+  }
+  const steps = match[1] === 'steps' ? config.steps : config.auth?.setupSteps;
+  const stepIndex = Number(match[2]);
+  const step = steps?.[stepIndex];
+  const prefix = match[1] === 'steps' ? 'Step' : 'Auth setup step';
+  let location = `${prefix} ${stepIndex + 1}${step?.name ? ` "${step.name}"` : ''}`;
+  if (match[3] !== undefined) {
+    const actionIndex = Number(match[3]);
+    const type = step?.actions?.[actionIndex]?.type;
+    location += `, action ${actionIndex + 1}${typeof type === 'string' ? ` (${type})` : ''}`;
+  }
+  return location;
+}
+
+// Short description of a schema alternative for "must be ... or ..." messages
+function describeAlternative(schema) {
+  if (schema.const !== undefined) {
+    return JSON.stringify(schema.const);
+  }
+  if (schema.enum) {
+    return schema.enum.map(value => JSON.stringify(value)).join(', ');
+  }
+  return schema.type || 'object';
+}
+
+// Message for a failed anyOf: the properties of which one is needed, or the allowed forms
+function describeAnyOf(alternatives) {
+  if (alternatives.every(alternative => alternative.required?.length === 1)) {
+    return `needs one of: ${alternatives.map(alternative => alternative.required[0]).join(', ')}`;
+  }
+  const forms = [...new Set(alternatives.map(describeAlternative))];
+  return `must be ${forms.slice(0, -1).join(', ')}${forms.length > 1 ? ' or ' : ''}${forms.at(-1)}`;
+}
+
+// Turn an Ajv error into { path, location, message }, or null for errors that only
+// repeat another one (a failed if/then, or the anyOf wrapper around other errors)
+function toProblem(config, error) {
+  if (error.keyword === 'if') {
+    return null;
+  }
+  let pointer = error.instancePath;
+  let message = error.message;
+  if (error.keyword === 'required') {
+    pointer = `${pointer}/${error.params.missingProperty}`;
+    message = 'is required';
+  } else if (error.keyword === 'enum') {
+    message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+  } else if (error.keyword === 'anyOf') {
+    message = describeAnyOf(error.schema);
+  }
+  return {
+    path: toPath(pointer) || '(root)',
+    location: describeLocation(config, pointer),
+    message,
+  };
+}
+
+// Collapse the alternatives Ajv reports for a failed anyOf into one problem per path
+function dedupe(problems) {
+  const seen = new Set();
+  return problems.filter(problem => {
+    const key = `${problem.path}|${problem.message}`;
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+// Every `type` used by the config's actions, with the JSON pointer of each
+function collectActionTypes(config) {
+  const found = [];
+  const visit = (action, pointer) => {
+    if (action && typeof action === 'object' && typeof action.type === 'string') {
+      found.push({ type: action.type, pointer: `${pointer}/type` });
+      visit(action.trigger, `${pointer}/trigger`);
+    }
+  };
+  for (const [key, steps] of [
+    ['steps', config.steps],
+    ['auth/setupSteps', config.auth?.setupSteps],
+  ]) {
+    (Array.isArray(steps) ? steps : []).forEach((step, stepIndex) => {
+      (Array.isArray(step?.actions) ? step.actions : []).forEach((action, actionIndex) =>
+        visit(action, `/${key}/${stepIndex}/actions/${actionIndex}`),
+      );
+    });
+  }
+  return found;
+}
+
+// Check a config against the schema. With `actionTypes` (the registered action types),
+// actions of any other type are reported too. Returns a list of problems.
+function checkConfig(config, { actionTypes = null } = {}) {
+  if (!validateSchema) {
+    const ajv = new Ajv({ allErrors: true, strict: false, verbose: true });
+    validateSchema = ajv.compile(CONFIG_SCHEMA);
+  }
+  const problems = [];
+  if (!validateSchema(config)) {
+    const anyOfPaths = new Set(
+      validateSchema.errors.filter(e => e.keyword === 'anyOf').map(e => e.instancePath),
+    );
+    for (const error of validateSchema.errors) {
+      // Alternatives of a failed anyOf are summed up by the anyOf error itself
+      const insideAnyOf =
+        error.keyword !== 'anyOf' &&
+        anyOfPaths.has(error.instancePath) &&
+        /anyOf\/\d+/.test(error.schemaPath);
+      const problem = insideAnyOf ? null : toProblem(config, error);
+      if (problem) {
+        problems.push(problem);
+      }
+    }
+  }
+  if (actionTypes) {
+    for (const { type, pointer } of collectActionTypes(config)) {
+      if (!actionTypes.includes(type)) {
+        problems.push({
+          path: toPath(pointer),
+          location: describeLocation(config, pointer),
+          message: `unknown action type "${type}"`,
+        });
+      }
+    }
+  }
+  return dedupe(problems);
+}
+
+// One line per problem: "steps[1].actions[0].selector (Step 2 "Login", action 1 (click)): ..."
+function formatProblems(problems) {
+  return problems
+    .map(
+      problem =>
+        `  ${problem.path}${problem.location ? ` (${problem.location})` : ''}: ${problem.message}`,
+    )
+    .join('\n');
+}
+
+export {
+  CONFIG_SCHEMA,
+  readConfigFile,
+  writeConfigFile,
+  resolveConfigPath,
+  checkConfig,
+  formatProblems,
+};
@@ -0,0 +1,118 @@
+/**
+ * Synthetic mouse cursor
+ *
+ * Headless browsers don't paint a pointer, so recordings can't show where a
+ * click or hover happened. An init script draws a cursor overlay in every page
+ * that follows the real mouse events Playwright dispatches, glides between
+ * positions and draws a ripple on each click. The last position is kept in
+ * sessionStorage so the cursor picks up where it was after a navigation.
+ */
+
+/* global document, window, sessionStorage */
+
+const CURSOR_ID = '__browser-review-cursor';
+// Matches the overlay's CSS transition, so the glide finishes before the interaction
+const GLIDE_MS = 450;
+// Passed as page.screenshot's `style` so explicit screenshots stay clean
+const HIDE_CURSOR_CSS = `#${CURSOR_ID}, .${CURSOR_ID}-ripple { display: none !important; }`;
+
+// Runs in the page before any of its scripts (context.addInitScript). It is serialized
+// on its own, so everything it needs is defined inside.
+function installCursor() {
+  if (window.__browserReviewCursor) {
+    return;
+  }
+  window.__browserReviewCursor = true;
+  const id = '__browser-review-cursor';
+  const storageKey = '__browserReviewCursorPosition';
+
+  const remember = position => {
+    try {
+      sessionStorage.setItem(storageKey, JSON.stringify(position));
+    } catch {
+      // Opaque origins (about:blank, data: URLs) have no sessionStorage
+    }
+  };
+  const recall = () => {
+    try {
+      return JSON.parse(sessionStorage.getItem(storageKey));
+    } catch {
+      return null;
+    }
+  };
+
+  const start = () => {
+    const cursor = document.createElement('div');
+    cursor.id = id;
+    cursor.innerHTML =
+      '<svg width="24" height="24" viewBox="0 0 24 24">' +
+      '<path d="M3 2l7 19 2.6-7.4L20 11z" fill="#1d1d1f" stroke="#fff" stroke-width="1.5" ' +
+      'stroke-linejoin="round"/></svg>';
+    cursor.style.cssText =
+      'position:fixed;top:0;left:0;width:24px;height:24px;pointer-events:none;' +
+      'z-index:2147483647;transition:transform 0.45s cubic-bezier(0.22,1,0.36,1);' +
+      'filter:drop-shadow(0 1px 2px rgba(0,0,0,0.35))';
+    const place = (x, y) => {
+      cursor.style.transform = `translate(${x - 3}px, ${y - 2}px)`;
+      cursor.style.opacity = '1';
+      remember({ x, y });
+    };
+    // Stay hidden until the first interaction, so plain page captures show no cursor
+    const last = recall();
+    if (last) {
+      place(last.x, last.y);
+    } else {
+      cursor.style.transform = `translate(${window.innerWidth / 2}px, ${window.innerHeight / 2}px)`;
+      cursor.style.opacity = '0';
+    }
+    document.documentElement.appendChild(cursor);
+
+    document.addEventListener('mousemove', event => place(event.clientX, event.clientY), true);
+    document.addEventListener(
+      'mousedown',
+      event => {
+        const ripple = document.createElement('div');
+        ripple.className = `${id}-ripple`;
+        ripple.style.cssText =
+          `position:fixed;left:${event.clientX - 20}px;top:${event.clientY - 20}px;` +
+          'width:40px;height:40px;border-radius:50%;border:3px solid #007AFF;' +
+          'background:rgba(0,122,255,0.2);pointer-events:none;z-index:2147483646';
+        document.documentElement.appendChild(ripple);
+        ripple.animate(
+          [
+            { transform: 'scale(0.3)', opacity: 1 },
+            { transform: 'scale(1.6)', opacity: 0 },
+          ],
+          { duration: 600, easing: 'ease-out' },
+        ).onfinish = () => ripple.remove();
+      },
+      true,
+    );
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', start);
+  } else {
+    start();
+  }
+}
+
+// Glide the cursor to the centre of `selector` ahead of an interaction. The move is a real
+// mouse move, so hover styles show up on the way just like for a person using the page.
+// Only recorded steps glide; nobody sees the cursor anywhere else, so it would just add time.
+async function moveCursor(ctx, selector) {
+  if (!ctx.config.showCursor || !ctx.recording) {
+    return;
+  }
+  const { page } = ctx;
+  const element = page.locator(selector).first();
+  await element.scrollIntoViewIfNeeded({ timeout: 2000 }).catch(() => {});
+  const box = await element.boundingBox({ timeout: 2000 }).catch(() => null);
+  if (!box) {
+    return;
+  }
+  await page.mouse.move(box.x + box.width / 2, box.y + box.height / 2);
+  await page.waitForTimeout(GLIDE_MS);
+}
+
+export { CURSOR_ID, HIDE_CURSOR_CSS, installCursor, moveCursor };
@@ -0,0 +1,119 @@
+/**
+ * Console and error capture
+ *
+ * Listens for console messages, uncaught page exceptions and failed requests in
+ * every browser context of a review, and attributes each entry to the step and
+ * action that was running at the time. With `console.failOnError`, every error
+ * is also recorded as a failed check so the step and the review fail.
+ */
+
+import { toUrlMatcher } from './actions.mjs';
+
+const LEVELS = ['error', 'warning', 'info'];
+const CONSOLE_LEVELS = { error: 'error', assert: 'error', warning: 'warning' };
+const ENTRY_LABELS = {
+  console: 'Console error',
+  pageerror: 'Uncaught exception',
+  requestfailed: 'Request failed',
+};
+
+// Normalize config.console ({ level, failOnError, ignore })
+function resolveConsoleOptions(config) {
+  const options = config.console || {};
+  const level = options.level || 'warning';
+  if (!LEVELS.includes(level)) {
+    throw new Error(`console.level must be one of: ${LEVELS.join(', ')}`);
+  }
+  return {
+    level,
+    failOnError: options.failOnError === true,
+    ignore: (options.ignore || []).map(toUrlMatcher),
+  };
+}
+
+// Where something happened, from the running step's action context ({ step, stepIndex,
+// browserName, viewport, side, actionIndex }); null between steps
+function describeActivity(activity) {
+  const actionIndex = activity?.actionIndex ?? null;
+  return {
+    stepIndex: activity ? activity.stepIndex : -1,
+    stepName: activity?.step.name ?? null,
+    browser: activity?.browserName,
+    viewport: activity?.viewport.name,
+    // "before" or "after" when the review compares two environments
+    ...(activity?.side ? { side: activity.side } : {}),
+    actionIndex,
+    action: actionIndex !== null ? activity.step.actions?.[actionIndex]?.type : undefined,
+  };
+}
+
+// Collects console entries into results.console for the whole review. `getActivity()`
+// returns the running step's action context so entries carry the step, action,
+// browser and viewport they happened in.
+function createDiagnostics(config, results, getActivity = () => null) {
+  const options = resolveConsoleOptions(config);
+  const maxLevel = LEVELS.indexOf(options.level);
+  results.console = results.console || [];
+
+  const record = entry => {
+    if (LEVELS.indexOf(entry.level) > maxLevel) {
+      return;
+    }
+    if (options.ignore.some(matches => matches(entry.message))) {
+      return;
+    }
+    const where = describeActivity(getActivity());
+    results.console.push({ timestamp: Date.now(), ...where, ...entry });
+
+    if (entry.level === 'error' && options.failOnError) {
+      results.checks.push({
+        ...where,
+        passed: false,
+        expectation: 'noConsoleErrors',
+        message: `${ENTRY_LABELS[entry.type]}: ${entry.message}`,
+      });
+    }
+  };
+
+  return {
+    attach(context) {
+      context.on('console', message => {
+        const location = message.location();
+        record({
+          type: 'console',
+          level: CONSOLE_LEVELS[message.type()] || 'info',
+          message: message.text(),
+          url: location?.url ? `${location.url}:${location.lineNumber}` : undefined,
+        });
+      });
+      context.on('weberror', webError => {
+        const error = webError.error();
+        record({
+          type: 'pageerror',
+          level: 'error',
+          message: error.message,
+          url: webError.page()?.url(),
+        });
+      });
+      context.on('requestfailed', request => {
+        record({
+          type: 'requestfailed',
+          level: 'error',
+          message: `${request.method()} ${request.url()} (${request.failure()?.errorText})`,
+          url: request.url(),
+        });
+      });
+    },
+  };
+}
+
+// Count entries per level, e.g. { error: 2, warning: 1, info: 0 }
+function countByLevel(entries = []) {
+  const counts = Object.fromEntries(LEVELS.map(level => [level, 0]));
+  for (const entry of entries) {
+    counts[entry.level]++;
+  }
+  return counts;
+}
+
+export { resolveConsoleOptions, describeActivity, createDiagnostics, countByLevel };
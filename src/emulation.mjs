@@ -0,0 +1,126 @@
+/**
+ * Device and environment emulation
+ *
+ * Resolves Playwright device presets and environment settings (dark mode,
+ * locale, timezone, ...) from the config, a viewport entry or a single step
+ * into browser context options, and into the labels shown in the report.
+ */
+
+import { devices } from 'playwright';
+
+// Settings that page.emulateMedia() can change on a live page
+const MEDIA_EMULATION_KEYS = ['colorScheme', 'reducedMotion'];
+// Settings that are fixed when a browser context is created
+const CONTEXT_EMULATION_KEYS = ['device', 'locale', 'timezoneId', 'deviceScaleFactor', 'userAgent'];
+const EMULATION_KEYS = [...CONTEXT_EMULATION_KEYS, ...MEDIA_EMULATION_KEYS];
+const COLOR_SCHEMES = ['light', 'dark', 'no-preference'];
+const REDUCED_MOTION = ['reduce', 'no-preference'];
+
+// Look up a Playwright device preset such as "iPhone 14" or "Pixel 7"
+function getDevicePreset(name) {
+  const preset = devices[name];
+  if (!preset) {
+    const suggestions = Object.keys(devices)
+      .filter(device => device.toLowerCase().includes(name.toLowerCase().split(' ')[0]))
+      .slice(0, 5);
+    throw new Error(
+      `Unknown device preset "${name}".` +
+        (suggestions.length ? ` Did you mean: ${suggestions.join(', ')}?` : ''),
+    );
+  }
+  return preset;
+}
+
+// Keep only the emulation settings from an object (config.emulation, a viewport or a step)
+function pickEmulation(source = {}, keys = EMULATION_KEYS) {
+  const emulation = {};
+  for (const key of keys) {
+    if (source[key] !== undefined) {
+      emulation[key] = source[key];
+    }
+  }
+  return emulation;
+}
+
+// Whether a step's emulation needs its own context rather than page.emulateMedia()
+function needsOwnContext(emulation = {}) {
+  return CONTEXT_EMULATION_KEYS.some(key => emulation[key] !== undefined);
+}
+
+// Build newContext() options for a viewport, with optional per-step overrides
+function buildContextOptions(viewport, overrides = {}) {
+  const { device, ...settings } = { ...viewport.emulation, ...overrides };
+  const options = {};
+  if (device) {
+    // defaultBrowserType only matters to the Playwright test runner
+    const { defaultBrowserType: _defaultBrowserType, ...preset } = getDevicePreset(device);
+    Object.assign(options, preset);
+  }
+  // A step that switches device takes the preset's size; otherwise keep the viewport's
+  if (!overrides.device) {
+    options.viewport = { width: viewport.width, height: viewport.height };
+  }
+  return { ...options, ...settings };
+}
+
+// Check emulation settings up front so a typo fails before the browser launches
+function validateEmulation(emulation, label) {
+  if (!emulation) {
+    return;
+  }
+  if (typeof emulation !== 'object' || Array.isArray(emulation)) {
+    throw new Error(`${label}: emulation must be an object`);
+  }
+  if (emulation.device !== undefined) {
+    getDevicePreset(emulation.device);
+  }
+  if (emulation.colorScheme && !COLOR_SCHEMES.includes(emulation.colorScheme)) {
+    throw new Error(`${label}: colorScheme must be one of: ${COLOR_SCHEMES.join(', ')}`);
+  }
+  if (emulation.reducedMotion && !REDUCED_MOTION.includes(emulation.reducedMotion)) {
+    throw new Error(`${label}: reducedMotion must be one of: ${REDUCED_MOTION.join(', ')}`);
+  }
+  if (
+    emulation.deviceScaleFactor !== undefined &&
+    (typeof emulation.deviceScaleFactor !== 'number' || emulation.deviceScaleFactor <= 0)
+  ) {
+    throw new Error(`${label}: deviceScaleFactor must be a positive number`);
+  }
+}
+
+// Human-readable label for an emulation combination, e.g. "iPhone 14 · dark · de-DE"
+function describeEmulation(emulation = {}) {
+  const parts = [];
+  if (emulation.device) {
+    parts.push(emulation.device);
+  }
+  if (emulation.colorScheme) {
+    parts.push(emulation.colorScheme);
+  }
+  if (emulation.locale) {
+    parts.push(emulation.locale);
+  }
+  if (emulation.timezoneId) {
+    parts.push(emulation.timezoneId);
+  }
+  if (emulation.reducedMotion === 'reduce') {
+    parts.push('reduced motion');
+  }
+  if (emulation.deviceScaleFactor) {
+    parts.push(`@${emulation.deviceScaleFactor}x`);
+  }
+  if (emulation.userAgent) {
+    parts.push('custom user agent');
+  }
+  return parts.join(' · ');
+}
+
+export {
+  MEDIA_EMULATION_KEYS,
+  getDevicePreset,
+  pickEmulation,
+  needsOwnContext,
+  buildContextOptions,
+  validateEmulation,
+  describeEmulation,
+};
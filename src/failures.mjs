@@ -0,0 +1,92 @@
+/**
+ * Action failures
+ *
+ * A Playwright error inside a step (a missing selector, a navigation timeout)
+ * no longer aborts the whole review. Actions can set a `timeout` and a number
+ * of `retries`, and `optional` ones only log a warning when they fail. Any
+ * other failure ends its step (or, with the step's `continueOnError`, just the
+ * action) and is recorded with its stack and a screenshot of the page at that
+ * moment, while later steps keep running.
+ */
+
+// Playwright's own default, restored once an action with its own `timeout` is done
+const DEFAULT_ACTION_TIMEOUT_MS = 30000;
+
+// Playwright errors carry a multi-line call log after the message itself
+function firstLine(message = '') {
+  return String(message).split('\n')[0];
+}
+
+// Run an action through `execute`, with its `timeout` as the page's default timeout
+// (for clicks, fills, waits...) and up to `retries` more attempts when it throws
+async function runWithRetries(ctx, action, execute) {
+  const attempts = (action.retries || 0) + 1;
+  for (let attempt = 1; ; attempt++) {
+    if (action.timeout) {
+      ctx.page.setDefaultTimeout(action.timeout);
+    }
+    try {
+      return await execute();
+    } catch (error) {
+      if (attempt >= attempts) {
+        throw error;
+      }
+      console.warn(
+        `   ⚠️  ${action.type} failed (attempt ${attempt} of ${attempts}), retrying: ` +
+          firstLine(error.message),
+      );
+    } finally {
+      if (action.timeout) {
+        ctx.page.setDefaultTimeout(DEFAULT_ACTION_TIMEOUT_MS);
+      }
+    }
+  }
+}
+
+// Screenshot the page as it is when an error happens and describe the failure
+async function captureFailure(page, error, screenshotPath) {
+  let screenshot = null;
+  try {
+    await page.screenshot({ path: screenshotPath, timeout: 5000 });
+    screenshot = screenshotPath;
+  } catch {
+    // The page may have crashed or closed along with the error
+  }
+  return {
+    message: firstLine(error.message) || String(error),
+    stack: error.stack || String(error),
+    screenshot,
+    timestamp: Date.now(),
+  };
+}
+
+// Throw on malformed `continueOnError` on a step or `retries`, `timeout` or `optional`
+// on its actions
+function validateErrorHandling(step, label) {
+  if (step.continueOnError !== undefined && typeof step.continueOnError !== 'boolean') {
+    throw new Error(`${label}: continueOnError must be true or false`);
+  }
+  for (const [index, action] of (step.actions || []).entries()) {
+    const where = `${label}, action ${index + 1}`;
+    if (
+      action.retries !== undefined &&
+      !(Number.isInteger(action.retries) && action.retries >= 0)
+    ) {
+      throw new Error(`${where}: retries must be a non-negative whole number`);
+    }
+    if (action.timeout !== undefined && !(action.timeout > 0)) {
+      throw new Error(`${where}: timeout must be a positive number of milliseconds`);
+    }
+    if (action.optional !== undefined && typeof action.optional !== 'boolean') {
+      throw new Error(`${where}: optional must be true or false`);
+    }
+  }
+}
+
+export {
+  DEFAULT_ACTION_TIMEOUT_MS,
+  firstLine,
+  runWithRetries,
+  captureFailure,
+  validateErrorHandling,
+};
@@ -9,9 +9,10 @@
  * Usage:
  *   browser-review --title "Fix: Button Styling" --url http://localhost:7777/fix-page
  *   browser-review --config review-config.json
+ *   browser-review validate review-config.yaml
+ *   browser-review record --url http://localhost:7777 --output review-config.json
  */
 
-import { chromium } from 'playwright';
 import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -19,6 +20,64 @@ import { execSync } from 'child_process';
 import dotenv from 'dotenv';
 import { generateText } from 'ai';
 import { createOpenAI } from '@ai-sdk/openai';
+import {
+  registerAction,
+  getActionTypes,
+  executeAction,
+  loadActionModules,
+  resolveUrl,
+  resolveWaitStrategy,
+  navigateTo,
+} from './actions.mjs';
+import {
+  MEDIA_EMULATION_KEYS,
+  getDevicePreset,
+  pickEmulation,
+  needsOwnContext,
+  buildContextOptions,
+  describeEmulation,
+  validateEmulation,
+} from './emulation.mjs';
+import { resolveBrowsers, adaptContextOptions, launchBrowser } from './browsers.mjs';
+import { resolveAuth } from './auth.mjs';
+import { applyRoutes, createHarRecorder } from './routes.mjs';
+import { resolveConsoleOptions, createDiagnostics, countByLevel } from './diagnostics.mjs';
+import { createNetworkLog, writeNetworkLog, summarizeRequests } from './network.mjs';
+import { compareWithBaseline, updateBaseline } from './baseline.mjs';
+import { resolveSides, validateCompare, pairSides } from './compare.mjs';
+import { installCursor } from './cursor.mjs';
+import { parseVar, resolveConfigVariables } from './variables.mjs';
+import { readConfigFile, writeConfigFile, checkConfig, formatProblems } from './config-file.mjs';
+import { PASSWORD_PLACEHOLDER, parseRecordArgs, recordSession } from './recorder.mjs';
+import { firstLine, runWithRetries, captureFailure, validateErrorHandling } from './failures.mjs';
+import {
+  VIDEO_FORMATS,
+  RECORDING_FORMATS,
+  recordingMimeType,
+  isAnimatedImage,
+  isRecordingArtifact,
+  resolveVideoEdit,
+  validateVideoEdit,
+  editWindow,
+  editFilter,
+  retimeOverlay,
+} from './video.mjs';
+import {
+  resolveCaptionOptions,
+  validateCaptions,
+  createCaptionTrack,
+  slideshowOverlay,
+  videoOverlay,
+  writeOverlayFilter,
+} from './captions.mjs';
+import { IMPACTS, resolveAuditOption, validateAuditOption } from './accessibility.mjs';
+import {
+  METRICS,
+  METRIC_KEYS,
+  installPerformanceObservers,
+  collectMetrics,
+  checkBudgets,
+} from './performance.mjs';
 
 // Load environment variables
 dotenv.config();
@@ -71,7 +130,9 @@ const DEFAULT_CONFIG = {
     { name: 'desktop', width: 1920, height: 1080 },
     { name: 'mobile', width: 375, height: 667 },
   ],
-  videoFormat: 'slideshow', // 'slideshow' (default, lightweight), 'webm' (full video), 'gif'
+  browsers: ['chromium'], // any of 'chromium', 'firefox', 'webkit'
+  // 'slideshow' (default, lightweight), or a full recording: 'webm', 'mp4', 'gif', 'webp', 'apng'
+  videoFormat: 'slideshow',
   slideshowFps: 2, // frames per second for slideshow
   gifQuality: 'medium', // 'low', 'medium', 'high'
   screenshotFormat: 'png',
@@ -79,7 +140,10 @@ const DEFAULT_CONFIG = {
   aiProvider: 'openai',
   aiModel: 'gpt-4o',
   maxScreenshotsPerStep: 10,
-  showCursor: true, // Show mouse cursor in recordings
+  showCursor: true, // Draw a mouse cursor and click ripples in recordings
+  // How to let the page settle after navigations and interactions:
+  // 'networkidle' (default), 'load', 'domcontentloaded', 'animations', 'none', or 'fixed' sleeps
+  waitUntil: 'networkidle',
   headless: false, // Can run headless and still record
 };
 
@@ -87,6 +151,10 @@ const DEFAULT_CONFIG = {
 async function parseArgs() {
   const args = process.argv.slice(2);
   const config = { ...DEFAULT_CONFIG };
+  const cliBrowsers = [];
+  const cliVars = {};
+  // Fragment files in `include` are relative to the config file
+  let configDir = process.cwd();
 
   for (let i = 0; i < args.length; i++) {
     const arg = args[i];
@@ -116,15 +184,16 @@ async function parseArgs() {
           throw new Error('--config requires a file path');
         }
         const configFile = args[++i];
-        try {
-          const configData = JSON.parse(await fs.readFile(configFile, 'utf-8'));
-          Object.assign(config, configData);
-        } catch (error) {
-          if (error.code === 'ENOENT') {
-            throw new Error(`Config file not found: ${configFile}`);
-          }
-          throw new Error(`Invalid JSON in config file ${configFile}: ${error.message}`);
+        configDir = path.dirname(path.resolve(configFile));
+        Object.assign(config, await readConfigFile(configFile));
+        break;
+      }
+      case '--var': {
+        if (i + 1 >= args.length) {
+          throw new Error('--var requires a name=value pair');
         }
+        const [name, value] = parseVar(args[++i]);
+        cliVars[name] = value;
         break;
       }
       case '--base-url':
@@ -149,9 +218,34 @@ async function parseArgs() {
           throw new Error('--format requires a value');
         }
         config.videoFormat = args[++i];
-        if (!['slideshow', 'webm', 'gif'].includes(config.videoFormat)) {
-          throw new Error('--format must be "slideshow", "webm", or "gif"');
+        if (!VIDEO_FORMATS.includes(config.videoFormat)) {
+          throw new Error(`--format must be one of: ${VIDEO_FORMATS.join(', ')}`);
+        }
+        break;
+      case '--browser':
+        if (i + 1 >= args.length) {
+          throw new Error('--browser requires a value');
+        }
+        // Comma-separated engines; repeating the flag adds more
+        cliBrowsers.push(...args[++i].split(','));
+        break;
+      case '--record-har':
+        if (i + 1 >= args.length) {
+          throw new Error('--record-har requires a file path');
+        }
+        config.recordHar = args[++i];
+        break;
+      case '--refresh-auth':
+        config.refreshAuth = true;
+        break;
+      case '--baseline':
+        if (i + 1 >= args.length) {
+          throw new Error('--baseline requires a directory path');
         }
+        config.baseline = args[++i];
+        break;
+      case '--update-baseline':
+        config.updateBaseline = true;
         break;
       case '--description':
         if (i + 1 >= args.length) {
@@ -200,14 +294,24 @@ Browser Review Tool
 
 Usage:
   browser-review [options]
+  browser-review validate <file>   Check a config file without running it
+  browser-review record --url <url> [--output <file>] [--title <title>]
+                                   Record a browser session as a config file
 
 Options:
   --title <title>        Review title (required)
   --url <url>            URL to review (required, or use --config)
-  --config <file>        JSON config file with review steps
+  --config <file>        JSON or YAML config file with review steps
+  --var <name=value>     Set a config variable, used as \${vars.name} (repeatable)
   --base-url <url>       Base URL (default: http://localhost:7777)
   --output <dir>         Output directory (default: review-reports/)
-  --format <gif|webm>    Video format (default: gif)
+  --format <format>      Recording format: slideshow, webm, mp4, gif, webp or apng
+                         (default: slideshow)
+  --browser <names>      Engines to run: chromium, firefox, webkit (comma-separated)
+  --record-har <file>    Record this run's network traffic to a HAR for later replay
+  --refresh-auth         Ignore the cached login state and rerun auth.setupSteps
+  --baseline <dir>       Diff screenshots against a previous run's output (or a baseline dir)
+  --update-baseline      Copy this run's screenshots into the --baseline directory
   --description <text>   Manual overall description (overrides AI)
   --client-request <text> Original client request (used by AI)
   --clientflow-url <url> ClientFlow task URL
@@ -248,7 +352,17 @@ Config File Format:
     }
   }
 
-  return config;
+  // --browser wins over the config file regardless of argument order
+  if (cliBrowsers.length > 0) {
+    config.browsers = cliBrowsers;
+  }
+
+  // Fill in ${env.*} and ${vars.*} and expand `use` steps once every option is in
+  const resolved = await resolveConfigVariables(config, { cliVars, baseDir: configDir });
+  // Files the config names (action modules, fixtures, mocks, HARs) are relative to it, like
+  // `include`
+  resolved.configDir = configDir;
+  return resolved;
 }
 
 // Ensure directory exists
@@ -270,8 +384,8 @@ function checkFFmpeg() {
   }
 }
 
-// Convert video to GIF using ffmpeg
-async function convertVideoToGif(videoPath, gifPath, quality = 'medium') {
+// Convert video to GIF using ffmpeg, optionally running it through a filter first
+async function convertVideoToGif(videoPath, gifPath, quality = 'medium', filter = null) {
   const hasFFmpeg = checkFFmpeg();
   if (!hasFFmpeg) {
     console.warn('⚠️  ffmpeg not found. Skipping GIF conversion. Install ffmpeg for GIF support.');
@@ -279,24 +393,31 @@ async function convertVideoToGif(videoPath, gifPath, quality = 'medium') {
   }
 
   const qualitySettings = {
-    low: { palettegen: 'dither=bayer:bayer_scale=5', paletteuse: 'dither=bayer' },
-    medium: { palettegen: 'dither=bayer:bayer_scale=3', paletteuse: 'dither=bayer' },
-    high: { palettegen: 'stats_mode=single', paletteuse: 'dither=floyd_steinberg' },
+    low: { palettegen: 'palettegen', paletteuse: 'paletteuse=dither=bayer:bayer_scale=5' },
+    medium: { palettegen: 'palettegen', paletteuse: 'paletteuse=dither=bayer:bayer_scale=3' },
+    high: {
+      palettegen: 'palettegen=stats_mode=single',
+      paletteuse: 'paletteuse=dither=floyd_steinberg',
+    },
   };
 
   const settings = qualitySettings[quality] || qualitySettings.medium;
 
   try {
+    // The palette is generated from the filtered frames so caption colours survive
+    const source = filter ? `[0:v]${filter}[source];[source]` : '[0:v]';
+
     // Generate palette
     const palettePath = gifPath.replace('.gif', '-palette.png');
-    execSync(`ffmpeg -i "${videoPath}" -vf "${settings.palettegen}" -y "${palettePath}"`, {
-      stdio: 'ignore',
-    });
+    execSync(
+      `ffmpeg -i "${videoPath}" -lavfi "${source}${settings.palettegen}" -y "${palettePath}"`,
+      { stdio: 'ignore' },
+    );
 
     // Convert to GIF
     const ffmpegCmd =
       `ffmpeg -i "${videoPath}" -i "${palettePath}" ` +
-      `-lavfi "${settings.paletteuse}" -y "${gifPath}"`;
+      `-lavfi "${source}[frames];[frames][1:v]${settings.paletteuse}" -y "${gifPath}"`;
     execSync(ffmpegCmd, { stdio: 'ignore' });
 
     // Clean up palette
@@ -309,6 +430,27 @@ async function convertVideoToGif(videoPath, gifPath, quality = 'medium') {
   }
 }
 
+// Encode a recording as WebM, MP4, animated WebP or APNG, optionally through a filter
+async function encodeRecording(videoPath, outputPath, format, filter = null) {
+  if (!checkFFmpeg()) {
+    console.warn(`⚠️  ffmpeg not found. Skipping ${format} conversion. Install ffmpeg for it.`);
+    return false;
+  }
+  const { encoder, filter: formatFilter } = RECORDING_FORMATS[format];
+  const filters = [filter, formatFilter].filter(Boolean).join(',');
+  try {
+    execSync(
+      `ffmpeg -i "${videoPath}" ${filters ? `-vf "${filters}" ` : ''}${encoder} -y "${outputPath}"`,
+      { stdio: 'ignore' },
+    );
+    return true;
+  } catch (error) {
+    console.error(`Error converting video to ${format}:`, error.message);
+    await fs.unlink(outputPath).catch(() => {});
+    return false;
+  }
+}
+
 // Extract key frames from video for AI analysis
 async function extractVideoFrames(videoPath, outputDir, maxFrames = 3) {
   const hasFFmpeg = checkFFmpeg();
@@ -371,8 +513,13 @@ async function extractVideoFrames(videoPath, outputDir, maxFrames = 3) {
   }
 }
 
-// Create lightweight WebM slideshow from screenshots
-async function createSlideshowFromScreenshots(screenshotPaths, outputPath, fps = 2) {
+// Create lightweight WebM slideshow from screenshots, optionally with a caption overlay
+async function createSlideshowFromScreenshots(
+  screenshotPaths,
+  outputPath,
+  fps = 2,
+  overlay = null,
+) {
   const hasFFmpeg = checkFFmpeg();
   if (!hasFFmpeg) {
     console.warn('⚠️  ffmpeg not found. Skipping slideshow creation.');
@@ -384,9 +531,12 @@ async function createSlideshowFromScreenshots(screenshotPaths, outputPath, fps =
     return false;
   }
 
+  let captions = null;
   try {
     const outputDir = path.dirname(outputPath);
     const concatFilePath = path.join(outputDir, 'slideshow-concat.txt');
+    captions = overlay ? await writeOverlayFilter(overlay) : null;
+    const filter = ['scale=1280:-2', captions?.filter].filter(Boolean).join(',');
 
     // Create concat file for ffmpeg
     // Each frame displayed for 1/fps seconds
@@ -401,7 +551,7 @@ async function createSlideshowFromScreenshots(screenshotPaths, outputPath, fps =
     // Create WebM slideshow with low bitrate for small file size
     const ffmpegCmd =
       `ffmpeg -f concat -safe 0 -i "${concatFilePath}" ` +
-      `-vf "scale=1280:-2" -c:v libvpx-vp9 -crf 40 -b:v 0 ` +
+      `-vf "${filter}" -c:v libvpx-vp9 -crf 40 -b:v 0 ` +
       `-an -y "${outputPath}"`;
     execSync(ffmpegCmd, { stdio: 'ignore' });
 
@@ -412,6 +562,8 @@ async function createSlideshowFromScreenshots(screenshotPaths, outputPath, fps =
   } catch (error) {
     console.error('Error creating slideshow:', error.message);
     return false;
+  } finally {
+    await captions?.cleanup();
   }
 }
 
@@ -543,20 +695,493 @@ async function saveCachedDescriptions(outputDir, descriptions) {
   }
 }
 
+// Normalize config.viewports (or a single config.viewport) into named
+// { name, width, height, isMobile, emulation }. Entries may name a Playwright device
+// preset and carry emulation settings, layered over the review-wide config.emulation.
+function resolveViewports(config) {
+  let viewports = config.viewports || [{ name: 'desktop', ...config.viewport }];
+  if (!Array.isArray(viewports)) {
+    viewports = [{ name: 'desktop', ...viewports }];
+  }
+  return viewports.map(vp => {
+    const preset = vp.device ? getDevicePreset(vp.device) : null;
+    const width = vp.width || vp.viewport?.width || preset?.viewport.width || 1920;
+    const height = vp.height || vp.viewport?.height || preset?.viewport.height || 1080;
+    const deviceName = vp.device?.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+    return {
+      name: vp.name || deviceName || (width < 800 ? 'mobile' : 'desktop'),
+      width,
+      height,
+      isMobile: preset ? preset.isMobile : width < 800,
+      emulation: { ...pickEmulation(config.emulation), ...pickEmulation(vp) },
+    };
+  });
+}
+
+// Group artifacts that show the same capture so each viewport renders side by side
+function groupCaptures(artifacts) {
+  const groups = new Map();
+  for (const artifact of artifacts) {
+    const kind = artifact.type === 'screenshot' ? 'screenshot' : 'recording';
+    const key = `${kind}:${artifact.name}`;
+    if (!groups.has(key)) {
+      groups.set(key, { name: artifact.name, kind, artifacts: [] });
+    }
+    groups.get(key).artifacts.push(artifact);
+  }
+  return Array.from(groups.values());
+}
+
+// Before/after slider for a screenshot paired across `compare` sides. Dragging moves the
+// split; the toggle switches to an overlay where the same control sets the opacity.
+function renderCompareSlider(art) {
+  const before = `artifacts/${path.basename(art.before.annotatedPath || art.before.path)}`;
+  const after = `artifacts/${path.basename(art.annotatedPath || art.path)}`;
+  return `<div class="compare-view" data-mode="slider">
+                    <div class="compare-stage">
+                      <img src="${after}" alt="${art.name} (after)" />
+                      <img class="compare-before" src="${before}" alt="${art.name} (before)" />
+                      <input class="compare-range" type="range" min="0" max="100" value="50"
+                        aria-label="Before/after position" />
+                    </div>
+                    <div class="compare-controls">
+                      <span>◀ Before</span>
+                      <button type="button" class="compare-toggle">Overlay</button>
+                      <span>After ▶</span>
+                    </div>
+                  </div>`;
+}
+
+// Render an artifact's image or video inside the device frame matching its viewport
+function renderArtifactMedia(art) {
+  // Annotated screenshots are shown in place of the raw capture
+  const src = `artifacts/${path.basename(art.annotatedPath || art.path)}`;
+  const media = art.before
+    ? renderCompareSlider(art)
+    : art.type === 'screenshot' || isAnimatedImage(src)
+      ? `<img src="${src}" alt="${art.name}" />`
+      : `
+                  <video controls loop autoplay muted>
+                    <source src="${src}" type="${recordingMimeType(src)}">
+                    Your browser does not support the video tag.
+                  </video>`;
+  if (art.framed === false) {
+    return `<div class="artifact-unframed">
+                    ${media}
+                  </div>`;
+  }
+  const mobile = art.mobile ?? art.viewport === 'mobile';
+  const frame = mobile ? 'device-iphone-14' : 'device-macbook-pro';
+  return `<div class="device-frame ${frame}">
+                  <div class="device-frame-content">
+                    ${media}
+                  </div>
+                </div>`;
+}
+
+// List the numbered callouts drawn on an annotated screenshot
+function renderCallouts(art) {
+  if (!art.annotations?.length) {
+    return '';
+  }
+  const items = art.annotations.map(
+    callout =>
+      `<li><span class="callout-number">${callout.number}</span>${escapeHtml(callout.label)}</li>`,
+  );
+  return `<ol class="callout-list">
+                  ${items.join('')}
+                </ol>
+                <a class="raw-link" href="artifacts/${path.basename(art.path)}" target="_blank">
+                  View without annotations
+                </a>`;
+}
+
+// Show how a screenshot compares with its --baseline counterpart: before, after and the
+// pixel diff for changed captures
+function renderComparison(art) {
+  const comparison = art.comparison;
+  if (!comparison) {
+    return '';
+  }
+  if (comparison.status === 'new') {
+    return '<div class="comparison comparison-new">New: no baseline screenshot</div>';
+  }
+  if (comparison.status === 'unchanged') {
+    return '<div class="comparison comparison-unchanged">No change from baseline</div>';
+  }
+  const images = [
+    ['Before', comparison.baselinePath],
+    ['After', art.path],
+    ['Diff', comparison.diffPath],
+  ].map(
+    ([label, imagePath]) => `<figure>
+                    <a href="artifacts/${path.basename(imagePath)}" target="_blank">
+                      <img src="artifacts/${path.basename(imagePath)}" alt="${label}" />
+                    </a>
+                    <figcaption>${label}</figcaption>
+                  </figure>`,
+  );
+  const sizeNote = comparison.sizeChanged ? ' · size changed' : '';
+  return `<div class="comparison comparison-changed">
+                  <div>${comparison.mismatch}% of pixels changed${sizeNote}</div>
+                  <div class="comparison-images">
+                    ${images.join('')}
+                  </div>
+                </div>`;
+}
+
+// Label an artifact with its viewport and emulated environment, e.g. "mobile · dark · de-DE",
+// plus its `compare` side when it isn't shown in a before/after slider
+function describeArtifactEnvironment(art) {
+  return [art.viewport, art.environment, art.before ? null : art.side].filter(Boolean).join(' · ');
+}
+
+// Split a capture group's artifacts into one row per browser engine
+function groupByBrowser(artifacts) {
+  const rows = new Map();
+  for (const art of artifacts) {
+    const key = art.browser || null;
+    if (!rows.has(key)) {
+      rows.set(key, []);
+    }
+    rows.get(key).push(art);
+  }
+  return Array.from(rows, ([browser, rowArtifacts]) => ({ browser, artifacts: rowArtifacts }));
+}
+
+// Render one capture group: a heading plus a row per browser with one column per viewport
+function renderCaptureGroup(group, headingTag = 'h4') {
+  const label = group.kind === 'screenshot' ? 'Captured' : 'Recorded';
+  const viewports = group.artifacts.filter(art => art.viewport);
+  const single = group.artifacts.length === 1 && viewports.length === 1;
+  const title = single ? `${group.name} (${viewports[0].viewport})` : group.name;
+  const rows = groupByBrowser(group.artifacts);
+  const showBrowsers = rows.length > 1;
+  return `
+          <div class="capture-group">
+            <${headingTag}>${title}</${headingTag}>
+            ${rows
+              .map(
+                row => `
+            ${showBrowsers ? `<div class="browser-label">${row.browser || 'default'}</div>` : ''}
+            <div class="viewport-row">
+              ${row.artifacts
+                .map(
+                  art => `
+              <div class="artifact viewport-${art.viewport || 'default'}">
+                ${
+                  (art.viewport && !single) || art.environment || art.side
+                    ? `<div class="viewport-label">${describeArtifactEnvironment(art)}</div>`
+                    : ''
+                }
+                ${renderArtifactMedia(art)}
+                ${renderCallouts(art)}
+                ${renderComparison(art)}
+                <div class="artifact-info">
+                  ${art.duration ? `Duration: ${art.duration}s` : ''}
+                  ${art.timestamp ? `${label}: ${new Date(art.timestamp).toLocaleString()}` : ''}
+                </div>
+              </div>
+            `,
+                )
+                .join('')}
+            </div>`,
+              )
+              .join('')}
+          </div>`;
+}
+
+// Derive a pass/fail status per step from its recorded checks and action failures
+function summarizeStepStatuses(checks = [], errors = []) {
+  const statuses = new Map();
+  for (const check of checks) {
+    if (!statuses.has(check.stepIndex)) {
+      statuses.set(check.stepIndex, { status: 'pass', failures: [] });
+    }
+    if (!check.passed) {
+      const stepStatus = statuses.get(check.stepIndex);
+      stepStatus.status = 'fail';
+      stepStatus.failures.push(check);
+    }
+  }
+  // Errors are listed in their own panel; they only turn the badge red here
+  for (const error of errors) {
+    if (!statuses.has(error.stepIndex)) {
+      statuses.set(error.stepIndex, { status: 'fail', failures: [] });
+    }
+    statuses.get(error.stepIndex).status = 'fail';
+  }
+  return statuses;
+}
+
+// Where a check, failure or entry happened: browser, viewport and `compare` side
+function describeWhere(entry) {
+  return [entry.browser, entry.viewport, entry.side].filter(Boolean).join(' · ');
+}
+
+// Render the errors that ended a step or one of its actions, each with a screenshot of
+// the page at that moment and the stack trace
+function renderFailurePanel(failures = []) {
+  if (failures.length === 0) {
+    return '';
+  }
+  const items = failures.map(failure => {
+    const where = describeWhere(failure);
+    const what =
+      failure.actionIndex !== null && failure.actionIndex !== undefined
+        ? `Action ${failure.actionIndex + 1}${failure.action ? ` (${failure.action})` : ''}`
+        : 'Step';
+    const screenshot = failure.screenshot && `artifacts/${path.basename(failure.screenshot)}`;
+    return `<li class="failure">
+            <div class="failure-title">
+              ${where ? `<span class="failure-source">${where}</span>` : ''}
+              ${what} failed: <code>${escapeHtml(failure.message)}</code>
+            </div>
+            ${
+              screenshot
+                ? `<img class="failure-screenshot" src="${screenshot}"
+              alt="Page when ${what.toLowerCase()} failed" />`
+                : ''
+            }
+            <details>
+              <summary>Stack trace</summary>
+              <pre>${escapeHtml(failure.stack)}</pre>
+            </details>
+          </li>`;
+  });
+  return `<ul class="failures">
+          ${items.join('')}
+        </ul>`;
+}
+
+// Render a step's pass/fail badge and the expectations that failed
+function renderStepStatus(stepStatus) {
+  if (!stepStatus) {
+    return '';
+  }
+  const label = stepStatus.status === 'pass' ? 'Passed' : 'Failed';
+  return `<span class="status-badge status-${stepStatus.status}">${label}</span>
+        ${
+          stepStatus.failures.length > 0
+            ? `<ul class="check-failures">
+          ${stepStatus.failures
+            .map(check => {
+              const where = describeWhere(check);
+              return `<li>${where ? `[${where}] ` : ''}${escapeHtml(check.message)}</li>`;
+            })
+            .join('')}
+        </ul>`
+            : ''
+        }`;
+}
+
+// Group console or network entries by step, with 'none' for entries outside any step
+function groupByStepIndex(entries) {
+  const byStep = new Map();
+  for (const entry of entries) {
+    const stepKey = entry.stepIndex >= 0 ? entry.stepIndex : 'none';
+    if (!byStep.has(stepKey)) {
+      byStep.set(stepKey, []);
+    }
+    byStep.get(stepKey).push(entry);
+  }
+  return byStep;
+}
+
+// Escape page-provided text (console messages, URLs) before it goes into the report
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Render "2 errors · 1 warning" style counts for console entries
+function formatLevelCounts(counts) {
+  return Object.entries(counts)
+    .filter(([, count]) => count > 0)
+    .map(([level, count]) => `${count} ${level}${count === 1 ? '' : 's'}`)
+    .join(' · ');
+}
+
+// Render a step's console messages, uncaught exceptions and failed requests
+function renderConsolePanel(entries = []) {
+  if (entries.length === 0) {
+    return '';
+  }
+  const counts = countByLevel(entries);
+  const items = entries.map(entry => {
+    const where = describeWhere(entry);
+    const action =
+      entry.actionIndex !== null && entry.actionIndex !== undefined
+        ? `action ${entry.actionIndex + 1}${entry.action ? ` (${entry.action})` : ''}`
+        : '';
+    const source = [where, action].filter(Boolean).join(', ');
+    const badge = entry.type === 'console' ? entry.level : entry.type;
+    return `<li class="console-entry console-${entry.level}">
+            <span class="console-level">${badge}</span>
+            ${source ? `<span class="console-source">${source}</span>` : ''}
+            <code>${escapeHtml(entry.message)}</code>
+          </li>`;
+  });
+  const countsLabel = `<span class="console-counts">${formatLevelCounts(counts)}</span>`;
+  return `<details class="console-panel"${counts.error > 0 ? ' open' : ''}>
+        <summary>Console &amp; errors ${countsLabel}</summary>
+        <ul class="console-entries">
+          ${items.join('')}
+        </ul>
+      </details>`;
+}
+
+// Render metric cards for each browser/viewport a step was measured in, marking
+// metrics that exceed their budget
+function renderMetricCards(entries = [], budgets = {}) {
+  if (entries.length === 0) {
+    return '';
+  }
+  const rows = entries.map(entry => {
+    const where = describeWhere(entry);
+    const cards = METRICS.filter(({ key }) => entry.metrics[key] !== null).map(
+      ({ key, label, unit }) => {
+        const value = entry.metrics[key];
+        const budget = budgets[key];
+        const state = budget === undefined ? '' : value <= budget ? 'metric-ok' : 'metric-over';
+        const budgetLabel =
+          budget !== undefined ? `<div class="metric-budget">Budget ${budget}${unit}</div>` : '';
+        return `<div class="metric-card ${state}">
+              <div class="metric-value">${value}${unit ? `<span>${unit}</span>` : ''}</div>
+              <div class="metric-label">${label}</div>
+              ${budgetLabel}
+            </div>`;
+      },
+    );
+    return `${where ? `<div class="viewport-label">${where}</div>` : ''}
+          <div class="metric-grid">
+            ${cards.join('')}
+          </div>`;
+  });
+  return `<div class="metrics">
+        <h4>Performance</h4>
+        ${rows.join('')}
+      </div>`;
+}
+
+// Human-readable byte size, e.g. "12.4 KB"
+function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) {
+    return '–';
+  }
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Render a step's network requests as a collapsible table, flagging failed and slow ones
+function renderNetworkPanel(entries = []) {
+  if (entries.length === 0) {
+    return '';
+  }
+  const requests = summarizeRequests(entries);
+  const counts = [
+    `${requests.total} request${requests.total === 1 ? '' : 's'}`,
+    requests.failed > 0 ? `${requests.failed} failed` : '',
+    requests.slow > 0 ? `${requests.slow} slow` : '',
+    formatBytes(requests.bytes),
+  ].filter(Boolean);
+  const rows = entries.map(entry => {
+    const flags = [entry.failed ? 'network-failed' : '', entry.slow ? 'network-slow' : ''];
+    const where = describeWhere(entry);
+    return `<tr class="${flags.filter(Boolean).join(' ')}">
+              <td>${entry.method}</td>
+              <td class="network-url">${escapeHtml(entry.url)}</td>
+              <td>${entry.status ?? escapeHtml(entry.failure || '–')}</td>
+              <td>${entry.resourceType}</td>
+              <td>${formatBytes(entry.size)}</td>
+              <td>${entry.duration !== null ? `${entry.duration} ms` : '–'}</td>
+              <td>${where}</td>
+            </tr>`;
+  });
+  return `<details class="network-panel"${requests.failed > 0 ? ' open' : ''}>
+        <summary>Network <span class="console-counts">${counts.join(' · ')}</span></summary>
+        <table class="network-table">
+          <thead>
+            <tr>
+              <th>Method</th><th>URL</th><th>Status</th><th>Type</th><th>Size</th><th>Time</th>
+              <th>Where</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rows.join('')}
+          </tbody>
+        </table>
+        <a class="raw-link" href="artifacts/network-log.json" target="_blank">Download JSON</a>
+      </details>`;
+}
+
+// Render the Accessibility section: one block per audit with its violations (most
+// severe first), the offending selectors and a link to the annotated screenshot
+function renderAccessibilitySection(audits = []) {
+  if (audits.length === 0) {
+    return '';
+  }
+  const blocks = audits.map(audit => {
+    const where = [audit.stepName || 'Page', describeWhere(audit)].filter(Boolean).join(' · ');
+    const counts = IMPACTS.filter(impact => audit.counts[impact] > 0)
+      .map(impact => `${audit.counts[impact]} ${impact}`)
+      .join(' · ');
+    const violations = audit.violations.map(violation => {
+      const selectors = violation.nodes
+        .map(node => `<li><code>${escapeHtml(node.selector)}</code></li>`)
+        .join('');
+      return `<li class="a11y-violation a11y-${violation.impact}">
+              <span class="a11y-impact">${violation.impact}</span>
+              <a href="${escapeHtml(violation.helpUrl)}" target="_blank">${violation.rule}</a>
+              <span class="a11y-help">${escapeHtml(violation.help)}</span>
+              <ul class="a11y-selectors">${selectors}</ul>
+            </li>`;
+    });
+    const screenshot = audit.screenshot
+      ? `<a class="raw-link" href="artifacts/${audit.screenshot}" target="_blank">
+            View annotated screenshot
+          </a>`
+      : '';
+    return `<div class="a11y-audit">
+          <h3>${escapeHtml(where)}</h3>
+          <div class="console-counts">${escapeHtml(audit.url)}${counts ? ` · ${counts}` : ''}</div>
+          ${
+            violations.length > 0
+              ? `<ul class="a11y-violations">${violations.join('')}</ul>`
+              : '<p class="a11y-clean">No violations</p>'
+          }
+          ${screenshot}
+        </div>`;
+  });
+  return `<section class="section">
+      <h2>Accessibility</h2>
+      ${blocks.join('')}
+    </section>`;
+}
+
 // Generate HTML report
-async function generateHTMLReport(config, artifacts, descriptions = null) {
+async function generateHTMLReport(config, artifacts, descriptions = null, results = {}) {
   await ensureDir(config.outputDir);
   const timestamp = new Date().toISOString();
   const reportPath = path.join(config.outputDir, 'index.html');
 
   const screenshots = artifacts.filter(a => a.type === 'screenshot');
-  const videos = artifacts.filter(
-    a => a.type === 'video' || a.type === 'gif' || a.type === 'slideshow',
-  );
+  const videos = artifacts.filter(isRecordingArtifact);
+  const browsers = [...new Set(artifacts.map(a => a.browser).filter(Boolean))];
 
-  // Group artifacts by step for display
+  // Group artifacts by step for display, with compared screenshots paired up
   const artifactsByStep = new Map();
-  for (const artifact of artifacts) {
+  const displayArtifacts = config.compare ? pairSides(artifacts) : artifacts;
+  const hasSliders = displayArtifacts.some(artifact => artifact.before);
+  for (const artifact of displayArtifacts) {
     const stepKey =
       artifact.stepIndex !== undefined && artifact.stepIndex >= 0 ? artifact.stepIndex : 'none';
     if (!artifactsByStep.has(stepKey)) {
@@ -565,6 +1190,27 @@ async function generateHTMLReport(config, artifacts, descriptions = null) {
     artifactsByStep.get(stepKey).push(artifact);
   }
 
+  const failuresByStep = groupByStepIndex(results.failures || []);
+  const stepStatuses = summarizeStepStatuses(results.checks, results.failures);
+  const consoleEntries = results.console || [];
+  const consoleCounts = countByLevel(consoleEntries);
+  const consoleByStep = groupByStepIndex(consoleEntries);
+  const networkEntries = results.network || [];
+  const requests = summarizeRequests(networkEntries);
+  const networkByStep = groupByStepIndex(networkEntries);
+  const metricsByStep = groupByStepIndex(results.metrics || []);
+  const comparisons = screenshots.filter(a => a.comparison).map(a => a.comparison);
+  const visualChanges = comparisons.filter(c => c.status === 'changed').length;
+  const audits = results.audits || [];
+  const a11yViolations = audits.reduce((sum, audit) => sum + audit.violations.length, 0);
+  // Results from a single-URL review (or outside any step) go in the Artifacts section
+  const hasPageResults = [artifactsByStep, consoleByStep, networkByStep, metricsByStep].some(
+    byStep => byStep.has('none'),
+  );
+  const statusList = Array.from(stepStatuses.values());
+  const passedSteps = statusList.filter(s => s.status === 'pass').length;
+  const failedSteps = statusList.filter(s => s.status === 'fail').length;
+
   const html = `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -711,11 +1357,43 @@ async function generateHTMLReport(config, artifacts, descriptions = null) {
       color: #1d1d1f;
     }
 
-    .artifact-grid {
+    .capture-list {
+      display: flex;
+      flex-direction: column;
+      gap: 32px;
+      margin-top: 24px;
+    }
+
+    .capture-group h3,
+    .capture-group h4 {
+      font-size: 16px;
+      font-weight: 600;
+      margin-bottom: 12px;
+      color: #1d1d1f;
+    }
+
+    /* Captures of the same step from each viewport sit side by side */
+    .viewport-row {
       display: grid;
-      grid-template-columns: repeat(auto-fit, minmax(400px, 1fr));
+      grid-template-columns: repeat(auto-fit, minmax(280px, 1fr));
       gap: 24px;
-      margin-top: 24px;
+      align-items: start;
+    }
+
+    .browser-label {
+      font-size: 14px;
+      font-weight: 600;
+      color: #1d1d1f;
+      margin: 16px 0 8px;
+      text-transform: capitalize;
+    }
+
+    .viewport-label {
+      font-size: 13px;
+      font-weight: 600;
+      text-transform: uppercase;
+      letter-spacing: 0.5px;
+      color: #86868b;
     }
 
     .artifact {
@@ -757,6 +1435,15 @@ async function generateHTMLReport(config, artifacts, descriptions = null) {
       background: #000;
     }
 
+    .artifact-unframed {
+      margin: 12px 0;
+    }
+
+    .artifact .artifact-unframed img {
+      width: auto;
+      max-width: 100%;
+    }
+
     .artifact img,
     .artifact video {
       width: 100%;
@@ -770,6 +1457,39 @@ async function generateHTMLReport(config, artifacts, descriptions = null) {
       background: #000;
     }
 
+    .callout-list {
+      list-style: none;
+      margin-top: 12px;
+      font-size: 14px;
+    }
+
+    .callout-list li {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      margin-bottom: 6px;
+    }
+
+    .callout-number {
+      display: inline-flex;
+      align-items: center;
+      justify-content: center;
+      flex-shrink: 0;
+      width: 22px;
+      height: 22px;
+      border-radius: 50%;
+      background: #ff3b30;
+      color: #fff;
+      font-size: 12px;
+      font-weight: 600;
+    }
+
+    .raw-link {
+      font-size: 12px;
+      color: #007aff;
+      text-decoration: none;
+    }
+
     .artifact-info {
       margin-top: 8px;
       font-size: 12px;
@@ -800,65 +1520,438 @@ async function generateHTMLReport(config, artifacts, descriptions = null) {
       color: #92400e;
     }
 
-    .summary {
-      display: grid;
-      grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
-      gap: 16px;
-      margin-top: 24px;
+    .check-failures {
+      margin: 12px 0 0 20px;
+      font-size: 14px;
+      color: #991b1b;
     }
 
-    .summary-item {
-      text-align: center;
-      padding: 20px;
+    .failures {
+      list-style: none;
+      margin-top: 16px;
+    }
+
+    .failure {
+      background: #fef2f2;
+      border: 1px solid #fecaca;
+      border-radius: 12px;
+      padding: 16px;
+      margin-bottom: 12px;
+      font-size: 14px;
+      color: #991b1b;
+    }
+
+    .failure-source {
+      display: inline-block;
+      margin-right: 8px;
+      color: #86868b;
+    }
+
+    .failure-screenshot {
+      display: block;
+      max-width: 100%;
+      max-height: 480px;
+      margin-top: 12px;
+      border-radius: 8px;
+      border: 1px solid #fecaca;
+    }
+
+    .failure details {
+      margin-top: 12px;
+    }
+
+    .failure summary {
+      cursor: pointer;
+    }
+
+    .failure pre {
+      margin-top: 8px;
+      overflow-x: auto;
+      font-size: 12px;
+      color: #1d1d1f;
+      white-space: pre-wrap;
+    }
+
+    .console-panel,
+    .network-panel {
+      margin-top: 24px;
       background: #f5f5f7;
       border-radius: 12px;
+      padding: 12px 16px;
     }
 
-    .summary-item-value {
-      font-size: 32px;
+    .console-panel summary,
+    .network-panel summary {
+      cursor: pointer;
       font-weight: 600;
       color: #1d1d1f;
-      margin-bottom: 4px;
     }
 
-    .summary-item-label {
-      font-size: 14px;
+    .console-counts {
+      font-weight: 400;
       color: #86868b;
+      margin-left: 8px;
     }
-  </style>
-</head>
-<body>
-  <div class="container">
-    <header>
-      <h1>${config.title || 'Browser Review'}</h1>
-      <div class="meta">
-        <div class="meta-item">
-          <strong>Date:</strong> ${new Date(timestamp).toLocaleString()}
-        </div>
-        <div class="meta-item">
-          <strong>Base URL:</strong> ${config.baseUrl}
-        </div>
-        ${config.url ? `<div class="meta-item"><strong>URL:</strong> ${config.url}</div>` : ''}
-        ${
-          config.clientflowTaskUrl || descriptions?.clientflowTaskUrl
-            ? `<div class="meta-item">
-              <a href="${
-                config.clientflowTaskUrl || descriptions?.clientflowTaskUrl
-              }" target="_blank" class="clientflow-link">
-                View ClientFlow Task →
-              </a>
-            </div>`
-            : ''
-        }
-      </div>
-      ${
-        descriptions?.clientRequest || config.clientRequest
-          ? `<div class="client-request">
-            <h3>Client Request</h3>
-            <p>${descriptions?.clientRequest || config.clientRequest}</p>
-          </div>`
-          : ''
-      }
+
+    .console-entries {
+      list-style: none;
+      margin-top: 12px;
+      display: flex;
+      flex-direction: column;
+      gap: 8px;
+      font-size: 13px;
+    }
+
+    .console-entry code {
+      display: block;
+      white-space: pre-wrap;
+      word-break: break-word;
+      margin-top: 2px;
+    }
+
+    .console-level {
+      display: inline-block;
+      padding: 1px 8px;
+      border-radius: 8px;
+      font-size: 11px;
+      font-weight: 600;
+      text-transform: uppercase;
+    }
+
+    .console-error .console-level {
+      background: #fee2e2;
+      color: #991b1b;
+    }
+
+    .console-warning .console-level {
+      background: #fef3c7;
+      color: #92400e;
+    }
+
+    .console-info .console-level {
+      background: #e5e7eb;
+      color: #374151;
+    }
+
+    .console-source {
+      color: #86868b;
+      margin-left: 6px;
+    }
+
+    .metrics {
+      margin-top: 24px;
+    }
+
+    .metrics h4 {
+      font-size: 16px;
+      font-weight: 600;
+      margin-bottom: 12px;
+      color: #1d1d1f;
+    }
+
+    .metric-grid {
+      display: grid;
+      grid-template-columns: repeat(auto-fill, minmax(130px, 1fr));
+      gap: 12px;
+      margin: 8px 0 16px;
+    }
+
+    .metric-card {
+      background: #f5f5f7;
+      border-radius: 12px;
+      padding: 12px;
+      text-align: center;
+      border: 1px solid transparent;
+    }
+
+    .metric-value {
+      font-size: 22px;
+      font-weight: 600;
+      color: #1d1d1f;
+    }
+
+    .metric-value span {
+      font-size: 12px;
+      font-weight: 400;
+      color: #86868b;
+      margin-left: 2px;
+    }
+
+    .metric-label,
+    .metric-budget {
+      font-size: 12px;
+      color: #86868b;
+    }
+
+    .metric-ok {
+      border-color: #10b981;
+    }
+
+    .metric-over {
+      background: #fee2e2;
+      border-color: #ef4444;
+    }
+
+    .network-table {
+      width: 100%;
+      margin: 12px 0;
+      border-collapse: collapse;
+      font-size: 12px;
+    }
+
+    .network-table th,
+    .network-table td {
+      text-align: left;
+      padding: 6px 8px;
+      border-bottom: 0.5px solid rgba(0, 0, 0, 0.1);
+      vertical-align: top;
+    }
+
+    .network-url {
+      word-break: break-all;
+      font-family: ui-monospace, SFMono-Regular, Menlo, monospace;
+    }
+
+    .network-slow {
+      background: #fef3c7;
+    }
+
+    .network-failed {
+      background: #fee2e2;
+      color: #991b1b;
+    }
+
+    .comparison {
+      margin-top: 12px;
+      padding: 8px 12px;
+      border-radius: 12px;
+      font-size: 13px;
+    }
+
+    .comparison-new {
+      background: #dbeafe;
+      color: #1e40af;
+    }
+
+    .comparison-unchanged {
+      background: #d1fae5;
+      color: #065f46;
+    }
+
+    .comparison-changed {
+      background: #fef3c7;
+      color: #92400e;
+    }
+
+    .comparison-images {
+      display: grid;
+      grid-template-columns: repeat(3, 1fr);
+      gap: 8px;
+      margin-top: 8px;
+    }
+
+    .comparison-images img {
+      width: 100%;
+      border-radius: 6px;
+      border: 0.5px solid rgba(0, 0, 0, 0.1);
+    }
+
+    .comparison-images figcaption {
+      text-align: center;
+      font-size: 12px;
+    }
+
+    .compare-stage {
+      position: relative;
+    }
+
+    .compare-stage img {
+      display: block;
+      width: 100%;
+    }
+
+    .compare-stage .compare-before {
+      position: absolute;
+      top: 0;
+      left: 0;
+      clip-path: inset(0 calc(100% - var(--split, 50%)) 0 0);
+    }
+
+    .compare-stage::after {
+      content: '';
+      position: absolute;
+      top: 0;
+      bottom: 0;
+      left: var(--split, 50%);
+      width: 2px;
+      background: #ffffff;
+      box-shadow: 0 0 4px rgba(0, 0, 0, 0.5);
+      pointer-events: none;
+    }
+
+    .compare-view[data-mode='overlay'] .compare-before {
+      clip-path: none;
+      opacity: var(--opacity, 0.5);
+    }
+
+    .compare-view[data-mode='overlay'] .compare-stage::after {
+      display: none;
+    }
+
+    .compare-range {
+      position: absolute;
+      inset: 0;
+      width: 100%;
+      height: 100%;
+      margin: 0;
+      opacity: 0;
+      cursor: ew-resize;
+    }
+
+    .compare-controls {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      padding: 6px 8px;
+      font-size: 12px;
+      color: #86868b;
+    }
+
+    .compare-toggle {
+      border: 0.5px solid rgba(0, 0, 0, 0.2);
+      border-radius: 8px;
+      background: #ffffff;
+      padding: 2px 10px;
+      font-size: 12px;
+      cursor: pointer;
+    }
+
+    .a11y-audit + .a11y-audit {
+      margin-top: 32px;
+    }
+
+    .a11y-violations {
+      list-style: none;
+      margin: 12px 0;
+      display: flex;
+      flex-direction: column;
+      gap: 12px;
+      font-size: 14px;
+    }
+
+    .a11y-impact {
+      display: inline-block;
+      padding: 1px 8px;
+      border-radius: 8px;
+      font-size: 11px;
+      font-weight: 600;
+      text-transform: uppercase;
+      margin-right: 6px;
+    }
+
+    .a11y-critical .a11y-impact {
+      background: #fee2e2;
+      color: #991b1b;
+    }
+
+    .a11y-serious .a11y-impact {
+      background: #ffedd5;
+      color: #9a3412;
+    }
+
+    .a11y-moderate .a11y-impact {
+      background: #fef3c7;
+      color: #92400e;
+    }
+
+    .a11y-minor .a11y-impact {
+      background: #dbeafe;
+      color: #1e40af;
+    }
+
+    .a11y-help {
+      display: block;
+      color: #1d1d1f;
+    }
+
+    .a11y-selectors {
+      margin: 4px 0 0 20px;
+      font-size: 12px;
+      color: #86868b;
+    }
+
+    .a11y-clean {
+      margin-top: 8px;
+      color: #065f46;
+    }
+
+    .summary {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(200px, 1fr));
+      gap: 16px;
+      margin-top: 24px;
+    }
+
+    .summary-item {
+      text-align: center;
+      padding: 20px;
+      background: #f5f5f7;
+      border-radius: 12px;
+    }
+
+    .summary-item-value {
+      font-size: 32px;
+      font-weight: 600;
+      color: #1d1d1f;
+      margin-bottom: 4px;
+    }
+
+    .summary-item-label {
+      font-size: 14px;
+      color: #86868b;
+    }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <header>
+      <h1>${config.title || 'Browser Review'}</h1>
+      <div class="meta">
+        <div class="meta-item">
+          <strong>Date:</strong> ${new Date(timestamp).toLocaleString()}
+        </div>
+        ${
+          config.compare
+            ? `<div class="meta-item"><strong>Before:</strong> ${config.compare.before}</div>
+        <div class="meta-item"><strong>After:</strong> ${config.compare.after}</div>`
+            : `<div class="meta-item"><strong>Base URL:</strong> ${config.baseUrl}</div>`
+        }
+        ${
+          browsers.length > 0
+            ? `<div class="meta-item"><strong>Browsers:</strong> ${browsers.join(', ')}</div>`
+            : ''
+        }
+        ${config.url ? `<div class="meta-item"><strong>URL:</strong> ${config.url}</div>` : ''}
+        ${
+          config.clientflowTaskUrl || descriptions?.clientflowTaskUrl
+            ? `<div class="meta-item">
+              <a href="${
+                config.clientflowTaskUrl || descriptions?.clientflowTaskUrl
+              }" target="_blank" class="clientflow-link">
+                View ClientFlow Task →
+              </a>
+            </div>`
+            : ''
+        }
+      </div>
+      ${
+        descriptions?.clientRequest || config.clientRequest
+          ? `<div class="client-request">
+            <h3>Client Request</h3>
+            <p>${descriptions?.clientRequest || config.clientRequest}</p>
+          </div>`
+          : ''
+      }
       ${
         descriptions?.description || config.description
           ? `<div class="description">
@@ -884,82 +1977,101 @@ async function generateHTMLReport(config, artifacts, descriptions = null) {
           <div class="summary-item-value">${artifacts.length}</div>
           <div class="summary-item-label">Total Artifacts</div>
         </div>
+        ${
+          statusList.length > 0
+            ? `<div class="summary-item">
+          <div class="summary-item-value">${passedSteps}</div>
+          <div class="summary-item-label">Passed Steps</div>
+        </div>
+        <div class="summary-item">
+          <div class="summary-item-value">${failedSteps}</div>
+          <div class="summary-item-label">Failed Steps</div>
+        </div>`
+            : ''
+        }
+        ${
+          consoleEntries.length > 0
+            ? `<div class="summary-item">
+          <div class="summary-item-value">${consoleCounts.error}</div>
+          <div class="summary-item-label">Console Errors</div>
+        </div>
+        <div class="summary-item">
+          <div class="summary-item-value">${consoleCounts.warning}</div>
+          <div class="summary-item-label">Console Warnings</div>
+        </div>`
+            : ''
+        }
+        ${
+          requests.total > 0
+            ? `<div class="summary-item">
+          <div class="summary-item-value">${requests.failed}</div>
+          <div class="summary-item-label">Failed Requests</div>
+        </div>
+        <div class="summary-item">
+          <div class="summary-item-value">${requests.slow}</div>
+          <div class="summary-item-label">Slow Requests</div>
+        </div>`
+            : ''
+        }
+        ${
+          comparisons.length > 0
+            ? `<div class="summary-item">
+          <div class="summary-item-value">${visualChanges}</div>
+          <div class="summary-item-label">Visual Changes</div>
+        </div>`
+            : ''
+        }
+        ${
+          audits.length > 0
+            ? `<div class="summary-item">
+          <div class="summary-item-value">${a11yViolations}</div>
+          <div class="summary-item-label">Accessibility Violations</div>
+        </div>`
+            : ''
+        }
       </div>
     </section>
 
     ${
-      config.steps && Array.isArray(config.steps) && artifactsByStep.size > 0
-        ? Array.from(artifactsByStep.entries())
-            .filter(([stepKey]) => stepKey !== 'none')
-            .map(([stepKey, stepArtifacts]) => {
-              const stepIndex = parseInt(stepKey);
-              const step = config.steps[stepIndex];
+      config.steps && Array.isArray(config.steps)
+        ? config.steps
+            .map((step, stepIndex) => ({ step, stepIndex }))
+            .filter(
+              ({ stepIndex }) =>
+                artifactsByStep.has(stepIndex) ||
+                stepStatuses.has(stepIndex) ||
+                failuresByStep.has(stepIndex) ||
+                consoleByStep.has(stepIndex) ||
+                networkByStep.has(stepIndex) ||
+                metricsByStep.has(stepIndex),
+            )
+            .map(({ step, stepIndex }) => {
+              const stepArtifacts = artifactsByStep.get(stepIndex) || [];
               const stepDescription = descriptions?.steps?.find(s => s.stepIndex === stepIndex);
-              const stepScreenshots = stepArtifacts.filter(a => a.type === 'screenshot');
-              const stepVideos = stepArtifacts.filter(
-                a => a.type === 'video' || a.type === 'gif' || a.type === 'slideshow',
-              );
-
               return `
     <section class="section step-section">
       <div class="step-header">
         <h3>${step.name}</h3>
+        ${renderStepStatus(stepStatuses.get(stepIndex))}
         ${
           stepDescription?.description
             ? `<div class="step-description">${stepDescription.description}</div>`
             : ''
         }
       </div>
-      ${
-        stepScreenshots.length > 0 || stepVideos.length > 0
-          ? `<div class="artifact-grid">
-            ${stepScreenshots
-              .map(
-                art => `
-              <div class="artifact">
-                <h4>${art.name}${art.viewport ? ` (${art.viewport})` : ''}</h4>
-                <div class="device-frame ${art.viewport === 'mobile' ? 'device-iphone-14' : 'device-macbook-pro'}">
-                  <div class="device-frame-content">
-                    <img src="artifacts/${path.basename(art.path)}" alt="${art.name}" />
-                  </div>
-                </div>
-                <div class="artifact-info">
-                  ${art.timestamp ? `Captured: ${new Date(art.timestamp).toLocaleString()}` : ''}
-                </div>
-              </div>
-            `,
-              )
-              .join('')}
-            ${stepVideos
-              .map(
-                art => `
-              <div class="artifact">
-                <h4>${art.name}${art.viewport ? ` (${art.viewport})` : ''}</h4>
-                <div class="device-frame ${art.viewport === 'mobile' ? 'device-iphone-14' : 'device-macbook-pro'}">
-                  <div class="device-frame-content">
-                ${
-                  art.type === 'gif'
-                    ? `<img src="artifacts/${path.basename(art.path)}" alt="${art.name}" />`
-                    : `
-                  <video controls loop autoplay muted>
-                    <source src="artifacts/${path.basename(art.path)}" type="video/webm">
-                    Your browser does not support the video tag.
-                  </video>
-                `
-                }
-                  </div>
-                </div>
-                <div class="artifact-info">
-                  ${art.duration ? `Duration: ${art.duration}s` : ''}
-                  ${art.timestamp ? `Recorded: ${new Date(art.timestamp).toLocaleString()}` : ''}
-                </div>
-              </div>
-            `,
-              )
+      ${renderFailurePanel(failuresByStep.get(stepIndex))}
+      ${
+        stepArtifacts.length > 0
+          ? `<div class="capture-list">
+            ${groupCaptures(stepArtifacts)
+              .map(group => renderCaptureGroup(group))
               .join('')}
           </div>`
           : ''
       }
+      ${renderMetricCards(metricsByStep.get(stepIndex), { ...config.budgets, ...step.budgets })}
+      ${renderConsolePanel(consoleByStep.get(stepIndex))}
+      ${renderNetworkPanel(networkByStep.get(stepIndex))}
     </section>
     `;
             })
@@ -968,47 +2080,46 @@ async function generateHTMLReport(config, artifacts, descriptions = null) {
     }
 
     ${
-      artifactsByStep.get('none') && artifactsByStep.get('none').length > 0
+      hasPageResults
         ? `
     <section class="section">
       <h2>Artifacts</h2>
-      <div class="artifact-grid">
-        ${artifactsByStep
-          .get('none')
-          .map(
-            art => `
-          <div class="artifact">
-            <h3>${art.name}${art.viewport ? ` (${art.viewport})` : ''}</h3>
-            <div class="device-frame ${art.viewport === 'mobile' ? 'device-iphone-14' : 'device-macbook-pro'}">
-              <div class="device-frame-content">
-            ${
-              art.type === 'screenshot'
-                ? `<img src="artifacts/${path.basename(art.path)}" alt="${art.name}" />`
-                : art.type === 'gif'
-                  ? `<img src="artifacts/${path.basename(art.path)}" alt="${art.name}" />`
-                  : `
-              <video controls loop autoplay muted>
-                <source src="artifacts/${path.basename(art.path)}" type="video/webm">
-                Your browser does not support the video tag.
-              </video>
-            `
-            }
-              </div>
-            </div>
-            <div class="artifact-info">
-              ${art.duration ? `Duration: ${art.duration}s` : ''}
-              ${art.timestamp ? `Captured: ${new Date(art.timestamp).toLocaleString()}` : ''}
-            </div>
-          </div>
-        `,
-          )
+      <div class="capture-list">
+        ${groupCaptures(artifactsByStep.get('none') || [])
+          .map(group => renderCaptureGroup(group, 'h3'))
           .join('')}
       </div>
+      ${renderMetricCards(metricsByStep.get('none'), config.budgets)}
+      ${renderConsolePanel(consoleByStep.get('none'))}
+      ${renderNetworkPanel(networkByStep.get('none'))}
     </section>
     `
         : ''
     }
+
+    ${renderAccessibilitySection(audits)}
   </div>
+  ${
+    hasSliders
+      ? `<script>
+    document.querySelectorAll('.compare-view').forEach(view => {
+      const stage = view.querySelector('.compare-stage');
+      const range = view.querySelector('.compare-range');
+      const update = () => {
+        stage.style.setProperty('--split', range.value + '%');
+        stage.style.setProperty('--opacity', range.value / 100);
+      };
+      range.addEventListener('input', update);
+      view.querySelector('.compare-toggle').addEventListener('click', event => {
+        const overlay = view.dataset.mode !== 'overlay';
+        view.dataset.mode = overlay ? 'overlay' : 'slider';
+        event.target.textContent = overlay ? 'Slider' : 'Overlay';
+      });
+      update();
+    });
+  </script>`
+      : ''
+  }
 </body>
 </html>`;
 
@@ -1016,432 +2127,731 @@ async function generateHTMLReport(config, artifacts, descriptions = null) {
   return reportPath;
 }
 
-// Main review function
-async function runReview(config) {
-  console.log('🎬 Running browser review...');
+// Build the context object handed to every action handler for one step
+function createActionContext({
+  page,
+  config,
+  step,
+  stepIndex,
+  viewport,
+  emulation = viewport.emulation,
+  browserName,
+  fileSuffix = viewport.name,
+  side = null,
+  artifactsDir,
+  artifacts,
+  results,
+}) {
+  const ctx = {
+    page,
+    config,
+    step,
+    stepIndex,
+    viewport,
+    emulation,
+    browserName,
+    side,
+    artifactsDir,
+    actionIndex: null,
+    // Recorded steps (video or slideshow) glide the cursor to each element; others don't wait
+    recording: Boolean(step.record),
+    slideshow: null,
+    // Caption track of a recorded step with `captions`
+    captions: null,
+    // Step, browser, viewport and environment labels shared by every artifact of this step
+    tags: {
+      stepIndex,
+      stepName: step.name,
+      browser: browserName,
+      viewport: viewport.name,
+      mobile: viewport.isMobile,
+      environment: describeEmulation(emulation),
+      // "before" or "after" when the review compares two environments
+      ...(side ? { side } : {}),
+    },
+    fileName: base => `${base}-${fileSuffix}`,
+    addArtifact: artifact => {
+      artifacts.push({ timestamp: Date.now(), ...ctx.tags, ...artifact });
+    },
+    // Keep an accessibility audit's violations for the report's Accessibility section
+    recordAudit: audit => {
+      results.audits.push({ ...ctx.tags, actionIndex: ctx.actionIndex, ...audit });
+    },
+    // Record an error that ended an action (or the step, without `actionIndex`), with a
+    // screenshot of the page as it is right now
+    recordFailure: async (error, { actionIndex = null } = {}) => {
+      const action = actionIndex === null ? null : step.actions?.[actionIndex];
+      const base = [step.name.replace(/\s+/g, '-').toLowerCase(), 'failure']
+        .concat(action ? `action-${actionIndex + 1}` : [])
+        .join('-');
+      const failure = await captureFailure(
+        page,
+        error,
+        path.join(artifactsDir, `${ctx.fileName(base)}.png`),
+      );
+      results.failures.push({ ...ctx.tags, actionIndex, action: action?.type, ...failure });
+      const where = action ? `action ${actionIndex + 1} (${action.type})` : 'step';
+      console.log(`   ❌ ${where} failed: ${failure.message}`);
+    },
+    // Record the outcome of an assertion against the current step and action
+    recordCheck: check => {
+      const action = step.actions?.[ctx.actionIndex];
+      results.checks.push({
+        stepIndex,
+        stepName: step.name,
+        browser: browserName,
+        viewport: viewport.name,
+        ...(side ? { side } : {}),
+        actionIndex: ctx.actionIndex,
+        action: action?.type,
+        ...check,
+      });
+      console.log(`   ${check.passed ? '✅' : '❌'} ${check.message}`);
+    },
+  };
+  return ctx;
+}
 
+// Execute a step's actions in order, capturing a slideshow frame after each one. A failed
+// action is recorded and ends the step, unless it is `optional` or the step has
+// `continueOnError`. `onNavigate` runs after each successful navigate action.
+async function runStepActions(ctx, { onNavigate } = {}) {
+  const actions = ctx.step.actions || [];
+  for (let actionIndex = 0; actionIndex < actions.length; actionIndex++) {
+    const action = actions[actionIndex];
+    ctx.actionIndex = actionIndex;
+    ctx.captions?.add(action, ctx.slideshow?.frames.length);
+    try {
+      await runWithRetries(ctx, action, () => executeAction(ctx, action));
+      if (action.type === 'navigate') {
+        await onNavigate?.();
+      }
+    } catch (error) {
+      if (action.optional) {
+        console.warn(`   ⚠️  Optional ${action.type} action failed: ${firstLine(error.message)}`);
+      } else {
+        await ctx.recordFailure(error, { actionIndex });
+        // The rest of the step likely depends on this action, so stop here by default
+        if (!ctx.step.continueOnError) {
+          return;
+        }
+      }
+    }
+    if (ctx.slideshow) {
+      await ctx.slideshow.capture();
+    }
+  }
+}
+
+// Collect performance metrics for the current page and check them against budgets
+async function recordMetrics(page, { config, budgets, tags, results, recordCheck }) {
+  if (config.performance === false) {
+    return;
+  }
+  let metrics;
   try {
-    // Ensure output directory exists
-    await ensureDir(config.outputDir);
+    metrics = await collectMetrics(page);
+  } catch (error) {
+    console.warn(`   ⚠️  Could not read performance metrics: ${error.message}`);
+    return;
+  }
+  results.metrics.push({ ...tags, metrics });
+  for (const check of checkBudgets(metrics, budgets)) {
+    recordCheck(check);
+  }
+}
 
-    // Create artifacts directory
-    const artifactsDir = path.join(config.outputDir, 'artifacts');
-    await ensureDir(artifactsDir);
+// Metrics describe a page load, so a step with a url is measured as soon as its page has
+// settled, before its actions run: scripted clicks and scrolls would otherwise count toward
+// TBT and CLS. Steps without a url are measured after their first navigate action instead
+// (see measureFirstNavigation); other steps get no metrics.
+async function recordStepMetrics(ctx, results) {
+  const { config, step } = ctx;
+  // Budget checks belong to the step, not to its last action
+  ctx.actionIndex = null;
+  await recordMetrics(ctx.page, {
+    config,
+    budgets: { ...config.budgets, ...step.budgets },
+    tags: ctx.tags,
+    results,
+    recordCheck: ctx.recordCheck,
+  });
+}
 
-    const artifacts = [];
+// runStepActions options that measure a step without a url after its first navigate action
+function measureFirstNavigation(ctx, results) {
+  if (ctx.step.url) {
+    return {};
+  }
+  let measured = false;
+  return {
+    onNavigate: async () => {
+      if (!measured) {
+        measured = true;
+        await recordStepMetrics(ctx, results);
+      }
+    },
+  };
+}
+
+// Run the step's `audit: "a11y"` option once its actions are done (after the metrics,
+// so injecting the audit engine doesn't count as a long task)
+async function runStepAudit(ctx) {
+  const options = resolveAuditOption(ctx.step.audit);
+  if (!options) {
+    return;
+  }
+  ctx.actionIndex = null;
+  await executeAction(ctx, { type: 'accessibilityAudit', ...options });
+}
+
+// Collect numbered slideshow frames for a step
+function createSlideshow(page, artifactsDir, stepName) {
+  const slideshow = {
+    frames: [],
+    capture: async () => {
+      const slidePath = path.join(
+        artifactsDir,
+        `${stepName}-slide-${String(slideshow.frames.length).padStart(3, '0')}.png`,
+      );
+      await page.screenshot({ path: slidePath });
+      slideshow.frames.push(slidePath);
+    },
+  };
+  return slideshow;
+}
+
+// Combine slideshow frames into a WebM and record it as an artifact
+async function finishSlideshow(config, artifacts, slideshow, { stepName, tags, captions }) {
+  if (slideshow.frames.length === 0) {
+    return;
+  }
+  const slideshowPath = path.join(config.outputDir, 'artifacts', `${stepName}-slideshow.webm`);
+  const fps = config.slideshowFps || 2;
+  console.log(`   Creating slideshow from ${slideshow.frames.length} frames...`);
+  const created = await createSlideshowFromScreenshots(
+    slideshow.frames,
+    slideshowPath,
+    fps,
+    captions && slideshowOverlay(captions, tags.stepName, slideshow.frames.length, fps),
+  );
+  if (created) {
+    artifacts.push({
+      type: 'slideshow',
+      name: tags.stepName,
+      path: slideshowPath,
+      frameCount: slideshow.frames.length,
+      timestamp: Date.now(),
+      ...tags,
+    });
+    // Clean up individual slideshow screenshots (keep explicit screenshots)
+    for (const ssPath of slideshow.frames) {
+      if (ssPath.includes('-slide-')) {
+        await fs.unlink(ssPath).catch(() => {});
+      }
+    }
+    console.log('   ✅ Slideshow created');
+  }
+}
+
+// Record a finished step video in the configured format. Edits (trims, speed) and
+// captions are applied while converting; a plain WebM is kept as recorded.
+async function addRecordingArtifact(
+  config,
+  artifacts,
+  { videoPath, tags, edit, captions, startedAt, endedAt },
+) {
+  const artifact = {
+    type: 'video',
+    name: tags.stepName,
+    path: videoPath,
+    timestamp: Date.now(),
+    ...tags,
+  };
+
+  const clip = edit && editWindow(edit, (endedAt - startedAt) / 1000);
+  if (edit && !clip) {
+    console.warn('   ⚠️  trimStart/trimEnd leave nothing of the recording; keeping it whole');
+  }
+  let overlay = captions && videoOverlay(captions, tags.stepName, endedAt);
+  if (overlay && clip) {
+    overlay = retimeOverlay(overlay, clip);
+  }
+  const format = config.videoFormat;
+  if (format === 'webm' && !clip && !overlay) {
+    artifacts.push(artifact);
+    return;
+  }
+
+  const { extension } = RECORDING_FORMATS[format];
+  // ffmpeg can't write over its own input, so an edited WebM is renamed once done
+  const outputPath = videoPath.replace(
+    /\.webm$/,
+    format === 'webm' ? '-edited.webm' : `.${extension}`,
+  );
+  const captionFilter = overlay ? await writeOverlayFilter(overlay) : null;
+  const filter = [clip && editFilter(clip), captionFilter?.filter].filter(Boolean).join(',');
+  console.log(`   Converting video to ${format.toUpperCase()}...`);
+  const converted =
+    format === 'gif'
+      ? await convertVideoToGif(videoPath, outputPath, config.gifQuality, filter || null)
+      : await encodeRecording(videoPath, outputPath, format, filter || null);
+  await captionFilter?.cleanup();
+
+  if (!converted) {
+    artifacts.push(artifact);
+    return;
+  }
+  if (format === 'webm') {
+    await fs.rename(outputPath, videoPath);
+    artifacts.push(artifact);
+    console.log('   ✅ Video edited');
+    return;
+  }
+  // Remove original video
+  await fs.unlink(videoPath).catch(() => {});
+  const type = format === 'gif' ? 'gif' : RECORDING_FORMATS[format].image ? 'animation' : 'video';
+  artifacts.push({ ...artifact, type, path: outputPath });
+  console.log(`   ✅ ${format.toUpperCase()} created`);
+}
+
+// Open a browser context for a viewport, applying its device preset and emulation
+// settings plus any per-step overrides. The review session signs the context in when the
+// review has `auth`, installs `routes` mocks and records traffic for --record-har.
+async function createBrowserContext(
+  browser,
+  viewport,
+  { emulation, recordVideo = false, session = null } = {},
+) {
+  const options = adaptContextOptions(browser.browserType().name(), {
+    ...buildContextOptions(viewport, emulation),
+    ...session?.auth?.contextOptions,
+    ...(await session?.harRecorder?.contextOptions()),
+  });
+  if (recordVideo) {
+    options.recordVideo = { dir: recordVideo, size: options.viewport };
+  }
+  const context = await browser.newContext(options);
+  if (session?.auth?.cookies.length) {
+    await context.addCookies(session.auth.cookies);
+  }
+  if (session) {
+    await applyRoutes(context, session.config);
+    session.diagnostics?.attach(context);
+    session.networkLog?.attach(context);
+    if (session.config.performance !== false) {
+      await context.addInitScript(installPerformanceObservers);
+    }
+    if (session.config.showCursor) {
+      await context.addInitScript(installCursor);
+    }
+  }
+  return context;
+}
+
+// Run config.auth.setupSteps (a login flow) in a fresh context and return the storage
+// state it leaves behind. Any failed expectation aborts the review.
+async function runAuthSetup(browser, config, { viewport, auth, artifactsDir }) {
+  const context = await createBrowserContext(browser, viewport, { session: { config, auth } });
+  const page = await context.newPage();
+  const results = { checks: [], audits: [], failures: [] };
+  try {
+    for (const [stepIndex, setupStep] of config.auth.setupSteps.entries()) {
+      const step = { name: `Auth setup ${stepIndex + 1}`, ...setupStep };
+      console.log(`   ${step.name}`);
+      if (step.url) {
+        await navigateTo(page, resolveUrl(step.url, config.baseUrl), {
+          strategy: resolveWaitStrategy(config, step),
+          settleTimeout: config.settleTimeout,
+        });
+      }
+      await runStepActions(
+        createActionContext({
+          page,
+          config,
+          step,
+          stepIndex,
+          viewport,
+          browserName: browser.browserType().name(),
+          fileSuffix: 'auth-setup',
+          artifactsDir,
+          artifacts: [],
+          results,
+        }),
+      );
+      // Without a login the review is pointless, so setup failures stop it
+      const failed = results.failures[0] || results.checks.find(check => !check.passed);
+      if (failed) {
+        throw new Error(`Auth setup failed in "${step.name}": ${failed.message}`);
+      }
+    }
+    return await context.storageState();
+  } finally {
+    await context.close();
+  }
+}
+
+// Run one step for one viewport. Steps that record a full video or switch context-level
+// emulation (device, locale, timezone, ...) run in their own context, starting from the
+// step URL or the main page's current URL; dark mode and reduced motion are applied to
+// the main page for the duration of the step.
+async function runStep({
+  browser,
+  page,
+  config,
+  step,
+  stepIndex,
+  viewport,
+  artifactsDir,
+  session,
+  ...run
+}) {
+  // Attribute console output and requests during the step's own navigation to the step
+  session.activity = {
+    step,
+    stepIndex,
+    viewport,
+    browserName: run.browserName,
+    side: run.side,
+    actionIndex: null,
+  };
+
+  if (step.url) {
+    const fullUrl = resolveUrl(step.url, config.baseUrl);
+    console.log(`   Navigating to ${fullUrl}`);
+    await navigateTo(page, fullUrl, {
+      strategy: resolveWaitStrategy(config, step),
+      settleTimeout: config.settleTimeout,
+    });
+  }
+
+  const stepEmulation = pickEmulation(step.emulation);
+  const emulation = { ...viewport.emulation, ...stepEmulation };
+  const stepContext = { config, step, stepIndex, viewport, emulation, artifactsDir, ...run };
+  const stepName = `${step.name.replace(/\s+/g, '-').toLowerCase()}-${run.fileSuffix}`;
+  const recordVideo = step.record && config.videoFormat !== 'slideshow';
+  const captionOptions = step.record ? resolveCaptionOptions(config, step) : null;
+  const videoEdit = recordVideo ? resolveVideoEdit(config, step) : null;
+  if (Object.keys(stepEmulation).length > 0) {
+    console.log(`   Emulating ${describeEmulation(emulation)}`);
+  }
+
+  if (recordVideo || needsOwnContext(stepEmulation)) {
+    const stepBrowserContext = await createBrowserContext(browser, viewport, {
+      emulation: stepEmulation,
+      recordVideo: recordVideo && artifactsDir,
+      session,
+    });
+    // The video starts with the page, so caption times are measured from here
+    const recordingStartedAt = Date.now();
+    const stepPage = await stepBrowserContext.newPage();
+    const ctx = createActionContext({ ...stepContext, page: stepPage });
+    if (captionOptions) {
+      ctx.captions = createCaptionTrack(captionOptions, recordingStartedAt);
+    }
 
-    console.log('🌐 Launching browser...');
-    let browser;
     try {
-      browser = await chromium.launch({
-        headless: config.headless !== false, // Use config setting, default to false
-        args: ['--no-sandbox', '--disable-setuid-sandbox'], // For better compatibility
+      // Navigate to the same URL as the main page or step URL
+      const stepUrl = step.url ? resolveUrl(step.url, config.baseUrl) : page.url();
+      await navigateTo(stepPage, stepUrl, {
+        strategy: resolveWaitStrategy(config, step),
+        settleTimeout: config.settleTimeout,
       });
+
+      session.activity = ctx;
+      if (step.url) {
+        await recordStepMetrics(ctx, run.results);
+      }
+      if (step.record && !recordVideo) {
+        ctx.slideshow = createSlideshow(stepPage, artifactsDir, stepName);
+        await ctx.slideshow.capture();
+      }
+      await runStepActions(ctx, measureFirstNavigation(ctx, run.results));
+      await runStepAudit(ctx);
     } catch (error) {
-      const msg =
-        `Failed to launch browser: ${error.message}. ` +
-        'Make sure Playwright is installed (npx playwright install)';
-      throw new Error(msg);
+      // Keep what the step captured so far; its recording still shows what went wrong
+      await ctx.recordFailure(error);
+    }
+    if (ctx.slideshow) {
+      await finishSlideshow(config, run.artifacts, ctx.slideshow, {
+        stepName,
+        tags: ctx.tags,
+        captions: ctx.captions,
+      });
     }
 
-    // Determine which viewports to record
-    let viewportsToRecord = config.viewports || [{ name: 'desktop', ...config.viewport }];
-    if (!Array.isArray(viewportsToRecord)) {
-      viewportsToRecord = [{ name: 'desktop', ...viewportsToRecord }];
+    // Stop recording; the video file is finalized once its context closes
+    const recording = recordVideo ? stepPage.video() : null;
+    // Let in-flight request lookups finish while the context is still open
+    await session.networkLog.flush();
+    const recordingEndedAt = Date.now();
+    await stepBrowserContext.close();
+
+    if (recording) {
+      // Give the recording a stable, viewport-specific name
+      const videoPath = path.join(artifactsDir, `${stepName}.webm`);
+      await fs.rename(await recording.path(), videoPath);
+      await addRecordingArtifact(config, run.artifacts, {
+        videoPath,
+        tags: ctx.tags,
+        edit: videoEdit,
+        captions: ctx.captions,
+        startedAt: recordingStartedAt,
+        endedAt: recordingEndedAt,
+      });
     }
-    // Ensure each viewport has a name
-    viewportsToRecord = viewportsToRecord.map((vp, idx) => ({
-      name: vp.name || (vp.width < 800 ? 'mobile' : 'desktop'),
-      width: vp.width || vp.viewport?.width || 1920,
-      height: vp.height || vp.viewport?.height || 1080,
-    }));
+    return;
+  }
 
-    try {
-      // Create main context with first viewport
-      const mainViewport = viewportsToRecord[0];
-      const context = await browser.newContext({
-        viewport: mainViewport.width && mainViewport.height ? { width: mainViewport.width, height: mainViewport.height } : mainViewport,
-        recordVideo:
-          config.videoFormat === 'webm'
-            ? {
-                dir: artifactsDir,
-                size: mainViewport.width && mainViewport.height ? { width: mainViewport.width, height: mainViewport.height } : mainViewport,
-              }
-            : undefined,
+  const mediaEmulation = pickEmulation(stepEmulation, MEDIA_EMULATION_KEYS);
+  const emulatesMedia = Object.keys(mediaEmulation).length > 0;
+  if (emulatesMedia) {
+    await page.emulateMedia(mediaEmulation);
+  }
+
+  const ctx = createActionContext({ ...stepContext, page });
+  session.activity = ctx;
+  try {
+    if (step.url) {
+      await recordStepMetrics(ctx, run.results);
+    }
+    // Slideshow mode: take periodic screenshots, combine into lightweight WebM
+    if (step.record) {
+      ctx.slideshow = createSlideshow(page, artifactsDir, stepName);
+      ctx.captions = captionOptions && createCaptionTrack(captionOptions);
+      await ctx.slideshow.capture();
+    }
+
+    await runStepActions(ctx, measureFirstNavigation(ctx, run.results));
+    await runStepAudit(ctx);
+  } catch (error) {
+    await ctx.recordFailure(error);
+  } finally {
+    if (emulatesMedia) {
+      // Back to the viewport's own settings; null switches emulation off
+      await page.emulateMedia({
+        colorScheme: viewport.emulation.colorScheme ?? null,
+        reducedMotion: viewport.emulation.reducedMotion ?? null,
       });
+    }
+  }
 
-      const page = await context.newPage();
+  if (ctx.slideshow) {
+    await finishSlideshow(config, run.artifacts, ctx.slideshow, {
+      stepName,
+      tags: ctx.tags,
+      captions: ctx.captions,
+    });
+  }
+}
 
-      // If single URL provided, do a simple review
-      if (config.url) {
-        console.log(`📍 Navigating to ${config.url}`);
-        try {
-          await page.goto(config.url, { waitUntil: 'networkidle', timeout: 30000 });
-        } catch (error) {
-          throw new Error(`Failed to load URL ${config.url}: ${error.message}`);
-        }
+// Main review function
+async function runReview(config) {
+  console.log('🎬 Running browser review...');
 
-        await page.waitForTimeout(1000); // Wait for animations
+  try {
+    // Ensure output directory exists
+    await ensureDir(config.outputDir);
 
-        // Take screenshot
-        const screenshotPath = path.join(artifactsDir, 'review-screenshot.png');
-        try {
-          await page.screenshot({ path: screenshotPath, fullPage: true });
-          artifacts.push({
-            type: 'screenshot',
-            name: 'Page Screenshot',
-            path: screenshotPath,
-            timestamp: Date.now(),
-            stepIndex: -1, // Single URL, no step
-            stepName: null,
-          });
-          console.log('✅ Screenshot captured');
-        } catch (error) {
-          throw new Error(`Failed to capture screenshot: ${error.message}`);
-        }
-      }
+    // Create artifacts directory
+    const artifactsDir = path.join(config.outputDir, 'artifacts');
+    await ensureDir(artifactsDir);
 
-      // If config has steps, execute them
-      if (config.steps && Array.isArray(config.steps)) {
-        for (let stepIndex = 0; stepIndex < config.steps.length; stepIndex++) {
-          const step = config.steps[stepIndex];
-          console.log(`\n📋 Step ${stepIndex + 1}: ${step.name}`);
-
-          if (step.url) {
-            const fullUrl = step.url.startsWith('http') ? step.url : `${config.baseUrl}${step.url}`;
-            console.log(`   Navigating to ${fullUrl}`);
-            await page.goto(fullUrl, { waitUntil: 'networkidle' });
-            await page.waitForTimeout(500);
+    const artifacts = [];
+    const results = { checks: [], metrics: [], audits: [], failures: [] };
+
+    // Register project-specific action types before any step runs
+    await loadActionModules(config);
+
+    const browsersToRun = resolveBrowsers(config);
+    const viewportsToRecord = resolveViewports(config);
+    // One run per `compare` side (before/after), or a single run
+    const sides = resolveSides(config);
+    // Review-wide state shared by every browser context: the login state (resolved once
+    // per side with the first engine), `routes` mocks and the --record-har recorder
+    const session = {
+      config,
+      auth: null,
+      harRecorder: config.recordHar ? createHarRecorder(config.recordHar) : null,
+      // Action context of the running step, for attributing console output and requests
+      activity: null,
+    };
+    session.diagnostics = createDiagnostics(config, results, () => session.activity);
+    session.networkLog = createNetworkLog(config, results, () => session.activity);
+
+    // Run the whole review once per engine, viewport and side so every capture exists for each
+    for (const browserName of browsersToRun) {
+      console.log(`\n🌐 Launching ${browserName}...`);
+      const browser = await launchBrowser(browserName, config);
+
+      try {
+        // Sign in once per comparison side (each side is its own origin)
+        for (const side of sides) {
+          if (side.config.auth && !side.auth) {
+            side.auth = await resolveAuth(side.config, {
+              refresh: config.refreshAuth,
+              runSetup: resolved =>
+                runAuthSetup(browser, side.config, {
+                  viewport: viewportsToRecord[0],
+                  auth: resolved,
+                  artifactsDir,
+                }),
+            });
           }
+        }
 
-          let videoPath = null;
-          if (step.record) {
-            const stepName = step.name.replace(/\s+/g, '-').toLowerCase();
-
-            // Slideshow mode: take periodic screenshots, combine into lightweight WebM
-            if (config.videoFormat === 'slideshow') {
-              const slideshowScreenshots = [];
-
-              // Navigate to step URL
-              const stepUrl = step.url
-                ? step.url.startsWith('http')
-                  ? step.url
-                  : `${config.baseUrl}${step.url}`
-                : page.url();
-              await page.goto(stepUrl, { waitUntil: 'networkidle' });
-              await page.waitForTimeout(300);
-
-              // Take initial screenshot
-              const initialSsPath = path.join(artifactsDir, `${stepName}-slide-000.png`);
-              await page.screenshot({ path: initialSsPath });
-              slideshowScreenshots.push(initialSsPath);
-
-              // Execute actions with periodic screenshots
-              let slideIndex = 1;
-              if (step.actions) {
-                for (const action of step.actions) {
-                  switch (action.type) {
-                    case 'screenshot': {
-                      const ssPath = path.join(artifactsDir, `${action.name || 'screenshot'}.png`);
-                      await page.screenshot({
-                        path: ssPath,
-                        fullPage: action.fullPage !== false,
-                      });
-                      artifacts.push({
-                        type: 'screenshot',
-                        name: action.name || 'Screenshot',
-                        path: ssPath,
-                        timestamp: Date.now(),
-                        stepIndex,
-                        stepName: step.name,
-                      });
-                      // Also add to slideshow
-                      slideshowScreenshots.push(ssPath);
-                      break;
-                    }
-                    case 'click':
-                      // Add visual indicator for click
-                      if (config.showCursor) {
-                        await page.evaluate((selector) => {
-                          const el = document.querySelector(selector);
-                          if (el) {
-                            el.style.outline = '3px solid #007AFF';
-                            el.style.outlineOffset = '2px';
-                            setTimeout(() => {
-                              el.style.outline = '';
-                              el.style.outlineOffset = '';
-                            }, 500);
-                          }
-                        }, action.selector);
-                      }
-                      await page.click(action.selector, { force: true });
-                      await page.waitForTimeout(action.waitAfter || 500);
-                      break;
-                    case 'type':
-                      await page.fill(action.selector, action.text);
-                      await page.waitForTimeout(action.waitAfter || 300);
-                      break;
-                    case 'scroll':
-                      await page.evaluate((options) => {
-                        window.scrollBy(options.x || 0, options.y || 0);
-                      }, { x: action.x || 0, y: action.y || 0 });
-                      await page.waitForTimeout(action.waitAfter || 500);
-                      break;
-                    case 'wait':
-                      await page.waitForTimeout(action.ms || 1000);
-                      break;
-                    case 'navigate': {
-                      const navUrl = action.url.startsWith('http')
-                        ? action.url
-                        : `${config.baseUrl}${action.url}`;
-                      await page.goto(navUrl, { waitUntil: 'networkidle' });
-                      await page.waitForTimeout(500);
-                      break;
-                    }
-                  }
-
-                  // Take screenshot after each action for slideshow
-                  const slidePath = path.join(
-                    artifactsDir,
-                    `${stepName}-slide-${String(slideIndex++).padStart(3, '0')}.png`,
-                  );
-                  await page.screenshot({ path: slidePath });
-                  slideshowScreenshots.push(slidePath);
-                }
+        for (const viewport of viewportsToRecord) {
+          const environment = describeEmulation(viewport.emulation);
+          console.log(
+            `\n🖥️  Viewport: ${viewport.name} (${viewport.width}x${viewport.height})` +
+              (environment ? ` · ${environment}` : ''),
+          );
+
+          for (const side of sides) {
+            const runConfig = side.config;
+            // Suffix file names with the engine, viewport and side so captures don't
+            // overwrite each other
+            const fileSuffix = [
+              browsersToRun.length > 1 ? `${browserName}-${viewport.name}` : viewport.name,
+              side.name,
+            ]
+              .filter(Boolean)
+              .join('-');
+            const fileName = base => `${base}-${fileSuffix}`;
+            if (side.name) {
+              console.log(`\n↔️  ${side.name}: ${runConfig.baseUrl}`);
+            }
+
+            session.auth = side.auth || null;
+            const context = await createBrowserContext(browser, viewport, { session });
+            const page = await context.newPage();
+
+            // If single URL provided, do a simple review
+            if (runConfig.url) {
+              session.activity = {
+                step: { name: null },
+                stepIndex: -1,
+                viewport,
+                browserName,
+                side: side.name,
+                actionIndex: null,
+              };
+              console.log(`📍 Navigating to ${runConfig.url}`);
+              try {
+                await navigateTo(page, runConfig.url, {
+                  strategy: resolveWaitStrategy(config),
+                  fixedMs: 1000, // Wait for animations
+                  settleTimeout: config.settleTimeout,
+                });
+              } catch (error) {
+                throw new Error(`Failed to load URL ${runConfig.url}: ${error.message}`);
               }
 
-              // Create WebM slideshow from screenshots
-              if (slideshowScreenshots.length > 0) {
-                const slideshowPath = path.join(artifactsDir, `${stepName}-slideshow.webm`);
-                console.log(`   Creating slideshow from ${slideshowScreenshots.length} frames...`);
-                const created = await createSlideshowFromScreenshots(
-                  slideshowScreenshots,
-                  slideshowPath,
-                  config.slideshowFps || 2,
-                );
-                if (created) {
-                  videoPath = slideshowPath;
-                  artifacts.push({
-                    type: 'slideshow',
-                    name: step.name,
-                    path: slideshowPath,
-                    frameCount: slideshowScreenshots.length,
-                    timestamp: Date.now(),
-                    stepIndex,
-                    stepName: step.name,
-                  });
-                  // Clean up individual slideshow screenshots (keep explicit screenshots)
-                  for (const ssPath of slideshowScreenshots) {
-                    if (ssPath.includes('-slide-')) {
-                      await fs.unlink(ssPath).catch(() => {});
-                    }
-                  }
-                  console.log('   ✅ Slideshow created');
-                }
+              // Take screenshot
+              const screenshotPath = path.join(
+                artifactsDir,
+                `${fileName('review-screenshot')}.png`,
+              );
+              try {
+                await page.screenshot({ path: screenshotPath, fullPage: true });
+                artifacts.push({
+                  type: 'screenshot',
+                  name: 'Page Screenshot',
+                  path: screenshotPath,
+                  timestamp: Date.now(),
+                  stepIndex: -1, // Single URL, no step
+                  stepName: null,
+                  browser: browserName,
+                  viewport: viewport.name,
+                  mobile: viewport.isMobile,
+                  environment,
+                  ...(side.name ? { side: side.name } : {}),
+                });
+                console.log('✅ Screenshot captured');
+              } catch (error) {
+                throw new Error(`Failed to capture screenshot: ${error.message}`);
               }
-            } else {
-              // Full video recording mode (webm or gif)
-              const videoContext = await browser.newContext({
-                viewport: config.viewport,
-                recordVideo: {
-                  dir: artifactsDir,
-                  size: config.viewport,
+              const where = {
+                stepIndex: -1,
+                stepName: null,
+                browser: browserName,
+                ...(side.name ? { side: side.name } : {}),
+              };
+              await recordMetrics(page, {
+                config,
+                budgets: config.budgets,
+                tags: { ...where, viewport: viewport.name },
+                results,
+                recordCheck: check => {
+                  results.checks.push({ ...where, viewport: viewport.name, ...check });
+                  console.log(`${check.passed ? '✅' : '❌'} ${check.message}`);
                 },
               });
-              const videoPage = await videoContext.newPage();
-
-              // Navigate to the same URL as the main page or step URL
-              const stepUrl = step.url
-                ? step.url.startsWith('http')
-                  ? step.url
-                  : `${config.baseUrl}${step.url}`
-                : page.url();
-              await videoPage.goto(stepUrl, { waitUntil: 'networkidle' });
-              await videoPage.waitForTimeout(500);
-
-              // Execute actions
-              if (step.actions) {
-                for (const action of step.actions) {
-                  switch (action.type) {
-                    case 'screenshot': {
-                      const ssPath = path.join(artifactsDir, `${action.name || 'screenshot'}.png`);
-                      await videoPage.screenshot({
-                        path: ssPath,
-                        fullPage: action.fullPage !== false,
-                      });
-                      artifacts.push({
-                        type: 'screenshot',
-                        name: action.name || 'Screenshot',
-                        path: ssPath,
-                        timestamp: Date.now(),
-                        stepIndex,
-                        stepName: step.name,
-                      });
-                      break;
-                    }
-                    case 'click':
-                      // Add visual indicator for click
-                      if (config.showCursor) {
-                        await videoPage.evaluate((selector) => {
-                          const el = document.querySelector(selector);
-                          if (el) {
-                            el.style.outline = '3px solid #007AFF';
-                            el.style.outlineOffset = '2px';
-                            setTimeout(() => {
-                              el.style.outline = '';
-                              el.style.outlineOffset = '';
-                            }, 500);
-                          }
-                        }, action.selector);
-                      }
-                      await videoPage.click(action.selector, { force: true });
-                      await videoPage.waitForTimeout(action.waitAfter || 500);
-                      break;
-                    case 'type':
-                      await videoPage.fill(action.selector, action.text);
-                      await videoPage.waitForTimeout(action.waitAfter || 300);
-                      break;
-                    case 'scroll':
-                      await videoPage.evaluate((options) => {
-                        window.scrollBy(options.x || 0, options.y || 0);
-                      }, { x: action.x || 0, y: action.y || 0 });
-                      await videoPage.waitForTimeout(action.waitAfter || 500);
-                      break;
-                    case 'wait':
-                      await videoPage.waitForTimeout(action.ms || 1000);
-                      break;
-                    case 'navigate': {
-                      const navUrl = action.url.startsWith('http')
-                        ? action.url
-                        : `${config.baseUrl}${action.url}`;
-                      await videoPage.goto(navUrl, { waitUntil: 'networkidle' });
-                      await videoPage.waitForTimeout(500);
-                      break;
-                    }
-                  }
-                }
-              }
-
-              // Stop recording
-              await videoContext.close();
-
-              // Find the video file
-              const videoFiles = await fs.readdir(artifactsDir);
-              const latestVideo = videoFiles
-                .filter(f => f.endsWith('.webm'))
-                .sort()
-                .pop();
-
-              if (latestVideo) {
-                videoPath = path.join(artifactsDir, latestVideo);
-
-                // Convert to GIF if requested
-                if (config.videoFormat === 'gif') {
-                  const gifPath = path.join(artifactsDir, `${stepName}.gif`);
-                  console.log('   Converting video to GIF...');
-                  const converted = await convertVideoToGif(videoPath, gifPath, config.gifQuality);
-                  if (converted) {
-                    artifacts.push({
-                      type: 'gif',
-                      name: step.name,
-                      path: gifPath,
-                      timestamp: Date.now(),
-                      stepIndex,
-                      stepName: step.name,
-                    });
-                    // Remove original video
-                    await fs.unlink(videoPath).catch(() => {});
-                    console.log('   ✅ GIF created');
-                  } else {
-                    artifacts.push({
-                      type: 'video',
-                      name: step.name,
-                      path: videoPath,
-                      timestamp: Date.now(),
-                      stepIndex,
-                      stepName: step.name,
-                    });
-                  }
-                } else {
-                  artifacts.push({
-                    type: 'video',
-                    name: step.name,
-                    path: videoPath,
-                    timestamp: Date.now(),
-                    stepIndex,
-                    stepName: step.name,
-                  });
-                }
-              }
+              session.activity = null;
             }
-          } else {
-            // Just execute actions without recording
-            if (step.actions) {
-              for (const action of step.actions) {
-                switch (action.type) {
-                  case 'screenshot': {
-                    const ssPath = path.join(artifactsDir, `${action.name || 'screenshot'}.png`);
-                    await page.screenshot({ path: ssPath, fullPage: action.fullPage !== false });
-                    artifacts.push({
-                      type: 'screenshot',
-                      name: action.name || 'Screenshot',
-                      path: ssPath,
-                      timestamp: Date.now(),
-                      stepIndex,
-                      stepName: step.name,
-                    });
-                    break;
-                  }
-                  case 'click':
-                    // Add visual indicator for click
-                    if (config.showCursor) {
-                      await page.evaluate((selector) => {
-                        const el = document.querySelector(selector);
-                        if (el) {
-                          el.style.outline = '3px solid #007AFF';
-                          el.style.outlineOffset = '2px';
-                          setTimeout(() => {
-                            el.style.outline = '';
-                            el.style.outlineOffset = '';
-                          }, 500);
-                        }
-                      }, action.selector);
-                    }
-                    await page.click(action.selector, { force: true });
-                    await page.waitForTimeout(action.waitAfter || 500);
-                    break;
-                  case 'type':
-                    await page.fill(action.selector, action.text);
-                    await page.waitForTimeout(action.waitAfter || 300);
-                    break;
-                  case 'scroll':
-                    await page.evaluate((options) => {
-                      window.scrollBy(options.x || 0, options.y || 0);
-                    }, { x: action.x || 0, y: action.y || 0 });
-                    await page.waitForTimeout(action.waitAfter || 500);
-                    break;
-                  case 'wait':
-                    await page.waitForTimeout(action.ms || 1000);
-                    break;
-                  case 'navigate': {
-                    const navUrl = action.url.startsWith('http')
-                      ? action.url
-                      : `${config.baseUrl}${action.url}`;
-                    await page.goto(navUrl, { waitUntil: 'networkidle' });
-                    await page.waitForTimeout(500);
-                    break;
-                  }
+
+            // If config has steps, execute them
+            if (runConfig.steps && Array.isArray(runConfig.steps)) {
+              for (let stepIndex = 0; stepIndex < runConfig.steps.length; stepIndex++) {
+                const step = runConfig.steps[stepIndex];
+                console.log(`\n📋 Step ${stepIndex + 1}: ${step.name}`);
+                const run = {
+                  config: runConfig,
+                  step,
+                  stepIndex,
+                  viewport,
+                  browserName,
+                  fileSuffix,
+                  side: side.name,
+                  artifactsDir,
+                  artifacts,
+                  results,
+                };
+                try {
+                  await runStep({ ...run, browser, page, session });
+                } catch (error) {
+                  // Errors outside the step's actions (e.g. its navigation) end only this step
+                  await createActionContext({ ...run, page }).recordFailure(error);
                 }
+                session.activity = null;
               }
             }
+
+            await session.networkLog.flush();
+            await context.close();
           }
         }
+      } finally {
+        await browser.close();
+      }
+    }
+
+    if (session.harRecorder) {
+      const har = await session.harRecorder.finish();
+      if (har) {
+        console.log(`\n📼 Recorded ${har.entries} requests to ${har.path}`);
       }
+    }
 
-      await context.close();
-    } finally {
-      if (browser) {
-        await browser.close();
+    if (results.network.length > 0) {
+      await session.networkLog.flush();
+      const requests = summarizeRequests(results.network);
+      await writeNetworkLog(artifactsDir, results.network);
+      console.log(
+        `\n🌐 Logged ${requests.total} requests (${requests.failed} failed, ${requests.slow} slow)`,
+      );
+    }
+
+    if (config.baseline) {
+      console.log(`\n🔍 Comparing screenshots with baseline ${config.baseline}...`);
+      const compared = await compareWithBaseline(config, artifacts, results, artifactsDir);
+      console.log(
+        `   ${compared.changed} changed, ${compared.unchanged} unchanged, ${compared.new} new`,
+      );
+      // Promote only after comparing, so this run's report still shows what changed
+      if (config.updateBaseline) {
+        const promoted = await updateBaseline(config.baseline, artifacts);
+        console.log(`📌 Promoted ${promoted.count} screenshots to ${promoted.dir}`);
       }
     }
 
@@ -1450,7 +2860,7 @@ async function runReview(config) {
     if (config.useAI !== false) {
       console.log('\n🎬 Extracting video frames for AI analysis...');
       for (const artifact of artifacts) {
-        if (artifact.type === 'video' || artifact.type === 'gif' || artifact.type === 'slideshow') {
+        if (isRecordingArtifact(artifact)) {
           try {
             const frames = await extractVideoFrames(artifact.path, artifactsDir, 3);
             for (const frame of frames) {
@@ -1620,17 +3030,138 @@ async function runReview(config) {
 
     // Generate HTML report
     console.log('\n📄 Generating HTML report...');
-    const reportPath = await generateHTMLReport(config, artifacts, descriptions);
+    const reportPath = await generateHTMLReport(config, artifacts, descriptions, results);
     console.log(`✅ Report generated: ${reportPath}`);
     console.log(`\n🎉 Review complete! Open ${reportPath} in your browser.`);
 
-    return reportPath;
+    return { reportPath, results };
   } catch (error) {
     console.error('❌ Error during review:', error.message);
     throw error;
   }
 }
 
+// Validate the top-level auth block
+function validateAuth(auth) {
+  if (!auth) {
+    return;
+  }
+  if (typeof auth !== 'object' || Array.isArray(auth)) {
+    throw new Error('auth must be an object');
+  }
+  if (auth.storageState !== undefined && typeof auth.storageState !== 'string') {
+    throw new Error('auth.storageState must be a file path');
+  }
+  if (auth.cookies !== undefined) {
+    if (!Array.isArray(auth.cookies)) {
+      throw new Error('auth.cookies must be an array');
+    }
+    for (const cookie of auth.cookies) {
+      if (!cookie.name || cookie.value === undefined) {
+        throw new Error('auth.cookies entries need a name and a value');
+      }
+    }
+  }
+  if (
+    auth.localStorage !== undefined &&
+    (typeof auth.localStorage !== 'object' || Array.isArray(auth.localStorage))
+  ) {
+    throw new Error('auth.localStorage must be an object of key/value pairs');
+  }
+  if (
+    auth.httpCredentials !== undefined &&
+    (!auth.httpCredentials.username || typeof auth.httpCredentials.password !== 'string')
+  ) {
+    throw new Error('auth.httpCredentials needs a username and password');
+  }
+  if (auth.setupSteps !== undefined) {
+    if (!Array.isArray(auth.setupSteps)) {
+      throw new Error('auth.setupSteps must be an array');
+    }
+    for (const [i, step] of auth.setupSteps.entries()) {
+      if (step.actions && !Array.isArray(step.actions)) {
+        throw new Error(`auth.setupSteps[${i}]: actions must be an array`);
+      }
+    }
+  }
+  if (auth.maxAge !== undefined && (typeof auth.maxAge !== 'number' || auth.maxAge <= 0)) {
+    throw new Error('auth.maxAge must be a positive number of minutes');
+  }
+}
+
+// Validate network mocks in config.routes
+function validateRoutes(routes) {
+  if (routes === undefined) {
+    return;
+  }
+  if (!Array.isArray(routes)) {
+    throw new Error('routes must be an array');
+  }
+  for (const [i, route] of routes.entries()) {
+    if (!route.url) {
+      throw new Error(`routes[${i}]: url pattern is required`);
+    }
+    const responses = ['json', 'file', 'body', 'har', 'abort'].filter(
+      key => route[key] !== undefined,
+    );
+    if (responses.length > 1) {
+      throw new Error(`routes[${i}]: use only one of ${responses.join(', ')}`);
+    }
+    if (responses.length === 0 && !route.delay) {
+      throw new Error(`routes[${i}]: needs json, file, body, har, abort or delay`);
+    }
+    if (route.delay !== undefined && (typeof route.delay !== 'number' || route.delay < 0)) {
+      throw new Error(`routes[${i}]: delay must be a number of milliseconds`);
+    }
+  }
+}
+
+// Validate performance budgets ({ lcp: 2500, cls: 0.1, ... })
+function validateBudgets(budgets, label) {
+  if (budgets === undefined) {
+    return;
+  }
+  if (typeof budgets !== 'object' || Array.isArray(budgets)) {
+    throw new Error(`${label}: budgets must be an object`);
+  }
+  for (const [key, value] of Object.entries(budgets)) {
+    if (!METRIC_KEYS.includes(key)) {
+      throw new Error(`${label}: unknown budget "${key}". Use one of: ${METRIC_KEYS.join(', ')}`);
+    }
+    if (typeof value !== 'number' || value < 0) {
+      throw new Error(`${label}: budget "${key}" must be a non-negative number`);
+    }
+  }
+}
+
+// Validate --baseline, --update-baseline and config.visualDiff
+function validateBaseline(config) {
+  if (config.updateBaseline && !config.baseline) {
+    throw new Error('--update-baseline requires --baseline <dir>');
+  }
+  if (
+    config.baseline &&
+    path.resolve(process.cwd(), config.baseline) === path.resolve(process.cwd(), config.outputDir)
+  ) {
+    throw new Error('--baseline must be a different directory than --output');
+  }
+  const options = config.visualDiff;
+  if (!options) {
+    return;
+  }
+  if (options.threshold !== undefined && !(options.threshold >= 0 && options.threshold <= 1)) {
+    throw new Error('visualDiff.threshold must be a number between 0 and 1');
+  }
+  if (options.maxDiffPercent !== undefined && !(options.maxDiffPercent >= 0)) {
+    throw new Error('visualDiff.maxDiffPercent must be a non-negative number');
+  }
+  for (const region of options.ignore || []) {
+    if (!['x', 'y', 'width', 'height'].every(key => typeof region[key] === 'number')) {
+      throw new Error('visualDiff.ignore entries must be { x, y, width, height } rectangles');
+    }
+  }
+}
+
 // Validate config object
 function validateConfig(config) {
   if (!config.title || typeof config.title !== 'string' || !config.title.trim()) {
@@ -1658,11 +3189,45 @@ function validateConfig(config) {
       if (step.actions && !Array.isArray(step.actions)) {
         throw new Error(`Step "${step.name}": actions must be an array`);
       }
+      validateEmulation(step.emulation, `Step "${step.name}"`);
+      validateBudgets(step.budgets, `Step "${step.name}"`);
+      validateAuditOption(step.audit, `Step "${step.name}"`);
+      validateCaptions(step.captions, `Step "${step.name}"`);
+      validateVideoEdit(step, `Step "${step.name}"`);
+      validateErrorHandling(step, `Step "${step.name}"`);
+    }
+  }
+
+  resolveBrowsers(config);
+  validateAuth(config.auth);
+  validateRoutes(config.routes);
+  validateBudgets(config.budgets, 'Config');
+  validateBaseline(config);
+  validateCompare(config.compare);
+  validateCaptions(config.captions, 'Config');
+  validateVideoEdit(config, 'Config');
+  if (config.console?.ignore !== undefined && !Array.isArray(config.console.ignore)) {
+    throw new Error('console.ignore must be an array of patterns');
+  }
+  resolveConsoleOptions(config);
+  if (config.network) {
+    const { slowMs, resourceTypes } = config.network;
+    if (slowMs !== undefined && (typeof slowMs !== 'number' || slowMs <= 0)) {
+      throw new Error('network.slowMs must be a positive number of milliseconds');
+    }
+    if (resourceTypes !== undefined && !Array.isArray(resourceTypes)) {
+      throw new Error('network.resourceTypes must be an array');
+    }
+  }
+  validateEmulation(config.emulation, 'Config');
+  if (Array.isArray(config.viewports)) {
+    for (const vp of config.viewports) {
+      validateEmulation(vp, `Viewport "${vp.name || vp.device || vp.width}"`);
     }
   }
 
-  if (config.videoFormat && !['slideshow', 'gif', 'webm'].includes(config.videoFormat)) {
-    throw new Error('videoFormat must be "slideshow", "gif", or "webm"');
+  if (config.videoFormat && !VIDEO_FORMATS.includes(config.videoFormat)) {
+    throw new Error(`videoFormat must be one of: ${VIDEO_FORMATS.join(', ')}`);
   }
 
   if (config.gifQuality && !['low', 'medium', 'high'].includes(config.gifQuality)) {
@@ -1703,17 +3268,125 @@ function validateConfig(config) {
   if (config.clientRequest && typeof config.clientRequest !== 'string') {
     throw new Error('clientRequest must be a string');
   }
+
+  // Everything else, actions included, against the published schema. Custom action types
+  // are only known once `actionModules` are loaded, so their names aren't checked here.
+  const problems = checkConfig(config, {
+    actionTypes: config.actionModules ? null : getActionTypes(),
+  });
+  if (problems.length > 0) {
+    throw new Error(`Invalid config:\n${formatProblems(problems)}`);
+  }
+}
+
+// `browser-review validate <file>`: report every problem in a config file without running it
+async function validateConfigFile(file) {
+  const configData = await readConfigFile(file);
+  if (!configData || typeof configData !== 'object' || Array.isArray(configData)) {
+    return [{ path: '(root)', location: null, message: 'must be an object' }];
+  }
+  await loadActionModules({ ...configData, configDir: path.dirname(path.resolve(file)) });
+  const problems = checkConfig(configData, { actionTypes: getActionTypes() });
+  if (problems.length > 0) {
+    return problems;
+  }
+  // The schema passes; the checks a run makes (fragments, variables, cross-field rules) next
+  try {
+    const config = await resolveConfigVariables(
+      { ...DEFAULT_CONFIG, title: 'validate', ...configData },
+      { baseDir: path.dirname(path.resolve(file)) },
+    );
+    validateConfig(config);
+  } catch (error) {
+    return [{ path: '(root)', location: null, message: error.message }];
+  }
+  return [];
+}
+
+// `browser-review record`: turn a manual session in a headed Chromium into a config file
+async function recordConfig(args) {
+  const options = parseRecordArgs(args);
+  const exists = await fs
+    .access(options.output)
+    .then(() => true)
+    .catch(() => false);
+  if (exists) {
+    throw new Error(`${options.output} already exists. Choose another --output or move it first`);
+  }
+
+  console.log(`🔴 Recording ${options.url}`);
+  console.log('   Use the page as usual. Ctrl+Shift+S (Cmd+Shift+S) marks a screenshot.');
+  console.log('   Close the browser window to finish.');
+  const recording = await recordSession(options);
+  const config = recording.toConfig({ title: options.title });
+  await writeConfigFile(options.output, config);
+
+  const actions = config.steps.reduce((count, step) => count + (step.actions?.length || 0), 0);
+  console.log(
+    `\n✅ Recorded ${config.steps.length} step(s), ${actions} action(s) to ${options.output}`,
+  );
+  if (JSON.stringify(config).includes(PASSWORD_PLACEHOLDER)) {
+    console.log(
+      `   Password fields use ${PASSWORD_PLACEHOLDER}; set it before running the review.`,
+    );
+  }
+  console.log(`   Run it with: browser-review --config ${options.output}`);
+}
+
+// List failed checks and step errors; returns the process exit code (1 if there are any)
+function reportOutcome(results) {
+  const failedChecks = results.checks.filter(check => !check.passed);
+  if (failedChecks.length > 0) {
+    console.error(`\n❌ ${failedChecks.length} check(s) failed:`);
+    for (const check of failedChecks) {
+      const where = check.stepIndex >= 0 ? `Step ${check.stepIndex + 1}` : 'Page';
+      console.error(`   ${where} (${describeWhere(check)}): ${check.message}`);
+    }
+  }
+  if (results.failures.length > 0) {
+    console.error(`\n❌ ${results.failures.length} error(s) in steps:`);
+    for (const failure of results.failures) {
+      console.error(
+        `   Step ${failure.stepIndex + 1} (${describeWhere(failure)}): ${failure.message}`,
+      );
+    }
+  }
+  return failedChecks.length > 0 || results.failures.length > 0 ? 1 : 0;
 }
 
 // Main execution
 async function main() {
   try {
+    if (process.argv[2] === 'validate') {
+      const file = process.argv[3];
+      if (!file) {
+        throw new Error('validate requires a config file path');
+      }
+      const problems = await validateConfigFile(file);
+      if (problems.length > 0) {
+        console.error(`❌ ${file} has ${problems.length} problem(s):`);
+        console.error(formatProblems(problems));
+        process.exit(1);
+      }
+      console.log(`✅ ${file} is valid`);
+      return;
+    }
+    if (process.argv[2] === 'record') {
+      await recordConfig(process.argv.slice(3));
+      return;
+    }
+
     const config = await parseArgs();
     validateConfig(config);
 
     console.log('🚀 Starting Browser Review Tool');
     console.log(`Title: ${config.title}`);
-    console.log(`Base URL: ${config.baseUrl}`);
+    if (config.compare) {
+      console.log(`Compare: ${config.compare.before} → ${config.compare.after}`);
+    } else {
+      console.log(`Base URL: ${config.baseUrl}`);
+    }
+    console.log(`Browsers: ${resolveBrowsers(config).join(', ')}`);
     if (config.url) {
       console.log(`URL: ${config.url}`);
     }
@@ -1724,7 +3397,12 @@ async function main() {
     console.log(`Format: ${config.videoFormat}`);
     console.log();
 
-    await runReview(config);
+    const { results } = await runReview(config);
+
+    if (reportOutcome(results) !== 0) {
+      console.log(`📁 Reports saved to: ${config.outputDir}`);
+      process.exit(1);
+    }
 
     console.log('\n✅ Review completed successfully!');
     console.log(`📁 Reports saved to: ${config.outputDir}`);
@@ -1742,7 +3420,18 @@ async function main() {
 }
 
 // Export functions for testing
-export { parseArgs, ensureDir, generateHTMLReport, checkFFmpeg };
+export {
+  parseArgs,
+  validateConfigFile,
+  runReview,
+  reportOutcome,
+  ensureDir,
+  generateHTMLReport,
+  checkFFmpeg,
+  resolveViewports,
+  registerAction,
+  executeAction,
+};
 
 if (import.meta.url === `file://${process.argv[1]}`) {
   main();
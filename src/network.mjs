@@ -0,0 +1,128 @@
+/**
+ * Network request log
+ *
+ * Records every request made in the review's browser contexts (method, URL,
+ * status, size, timing and resource type), attributed to the step and action
+ * that started it. Failed (4xx/5xx or no response) and slow requests are
+ * flagged for the report, and the full log is exported as JSON.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { describeActivity } from './diagnostics.mjs';
+
+const DEFAULT_SLOW_MS = 1000;
+
+// Normalize config.network: false disables the log, otherwise { slowMs, resourceTypes }
+function resolveNetworkOptions(config) {
+  if (config.network === false) {
+    return null;
+  }
+  const options = config.network || {};
+  return {
+    slowMs: options.slowMs ?? DEFAULT_SLOW_MS,
+    resourceTypes: options.resourceTypes || null,
+  };
+}
+
+// Milliseconds from request start to the end of the response, or null when unknown
+function requestDuration(timing) {
+  if (!timing || timing.responseEnd < 0) {
+    return null;
+  }
+  return Math.round(timing.responseEnd);
+}
+
+// Collects results.network for the whole review. `getActivity()` returns the running
+// step's action context; it is read when a request starts, not when it finishes.
+function createNetworkLog(config, results, getActivity = () => null) {
+  const options = resolveNetworkOptions(config);
+  results.network = results.network || [];
+  const started = new WeakMap();
+  const pending = new Set();
+
+  // The entry is added right away so the log keeps event order; the response details
+  // are filled in once Playwright has them
+  const record = async (request, failure) => {
+    const entry = {
+      ...started.get(request),
+      method: request.method(),
+      url: request.url(),
+      resourceType: request.resourceType(),
+    };
+    results.network.push(entry);
+    const response = failure ? null : await request.response().catch(() => null);
+    const sizes = response ? await request.sizes().catch(() => null) : null;
+    const status = response ? response.status() : null;
+    const duration = requestDuration(request.timing());
+    Object.assign(entry, {
+      status,
+      size: sizes ? sizes.responseBodySize + sizes.responseHeadersSize : null,
+      duration,
+      failure: failure || undefined,
+      failed: Boolean(failure) || status >= 400,
+      slow: duration !== null && duration > options.slowMs,
+    });
+  };
+
+  // Track the async lookups so flush() can wait for them before the report is written
+  const track = promise => {
+    pending.add(promise);
+    promise.finally(() => pending.delete(promise));
+  };
+
+  return {
+    attach(context) {
+      if (!options) {
+        return;
+      }
+      context.on('request', request => {
+        if (request.url().startsWith('data:')) {
+          return;
+        }
+        if (options.resourceTypes && !options.resourceTypes.includes(request.resourceType())) {
+          return;
+        }
+        started.set(request, describeActivity(getActivity()));
+      });
+      context.on('requestfinished', request => {
+        if (started.has(request)) {
+          track(record(request));
+        }
+      });
+      context.on('requestfailed', request => {
+        if (started.has(request)) {
+          track(record(request, request.failure()?.errorText || 'failed'));
+        }
+      });
+    },
+    async flush() {
+      await Promise.allSettled([...pending]);
+    },
+  };
+}
+
+// Write the request log next to the artifacts and return its path
+async function writeNetworkLog(artifactsDir, entries) {
+  const logPath = path.join(artifactsDir, 'network-log.json');
+  await fs.writeFile(logPath, JSON.stringify(entries, null, 2));
+  return logPath;
+}
+
+// Aggregate counts for a set of requests
+function summarizeRequests(entries = []) {
+  return {
+    total: entries.length,
+    failed: entries.filter(entry => entry.failed).length,
+    slow: entries.filter(entry => entry.slow).length,
+    bytes: entries.reduce((sum, entry) => sum + (entry.size || 0), 0),
+  };
+}
+
+export {
+  DEFAULT_SLOW_MS,
+  resolveNetworkOptions,
+  createNetworkLog,
+  writeNetworkLog,
+  summarizeRequests,
+};
@@ -0,0 +1,122 @@
+/**
+ * Web performance metrics
+ *
+ * Installs PerformanceObservers in every page of the review so Largest
+ * Contentful Paint, Cumulative Layout Shift and long tasks are buffered from
+ * the first paint, then reads them together with navigation timing after a
+ * step has navigated. Optional budgets turn the numbers into step checks.
+ */
+
+/* global window */
+
+const METRICS = [
+  { key: 'ttfb', label: 'TTFB', unit: 'ms' },
+  { key: 'fcp', label: 'FCP', unit: 'ms' },
+  { key: 'lcp', label: 'LCP', unit: 'ms' },
+  { key: 'cls', label: 'CLS', unit: '' },
+  { key: 'tbt', label: 'TBT', unit: 'ms' },
+  { key: 'longTasks', label: 'Long Tasks', unit: '' },
+  { key: 'domContentLoaded', label: 'DOMContentLoaded', unit: 'ms' },
+  { key: 'load', label: 'Load', unit: 'ms' },
+];
+const METRIC_KEYS = METRICS.map(metric => metric.key);
+
+// Runs in the page before any of its scripts (context.addInitScript). Engines that
+// don't support an entry type (Firefox and WebKit have no long tasks) leave it null.
+function installPerformanceObservers() {
+  if (window.__browserReviewPerf) {
+    return;
+  }
+  const supported = PerformanceObserver.supportedEntryTypes || [];
+  const state = {
+    lcp: null,
+    cls: supported.includes('layout-shift') ? 0 : null,
+    longTasks: supported.includes('longtask') ? 0 : null,
+    tbt: supported.includes('longtask') ? 0 : null,
+  };
+  window.__browserReviewPerf = state;
+  const observe = (type, onEntry) => {
+    if (supported.includes(type)) {
+      new PerformanceObserver(list => list.getEntries().forEach(onEntry)).observe({
+        type,
+        buffered: true,
+      });
+    }
+  };
+  observe('largest-contentful-paint', entry => {
+    state.lcp = entry.startTime;
+  });
+  observe('layout-shift', entry => {
+    // Shifts right after user input are expected and don't count
+    if (!entry.hadRecentInput) {
+      state.cls += entry.value;
+    }
+  });
+  observe('longtask', entry => {
+    state.longTasks += 1;
+    // Total Blocking Time: the part of each long task beyond 50ms
+    state.tbt += Math.max(0, entry.duration - 50);
+  });
+}
+
+// Runs in the page: combine navigation timing with the observed metrics
+function readPerformanceMetrics() {
+  const [navigation] = performance.getEntriesByType('navigation');
+  const fcp = performance.getEntriesByName('first-contentful-paint')[0];
+  const observed = window.__browserReviewPerf || {};
+  const positive = value => (value > 0 ? value : null);
+  return {
+    url: window.location.href,
+    ttfb: positive(navigation?.responseStart),
+    fcp: fcp ? fcp.startTime : null,
+    lcp: observed.lcp ?? null,
+    cls: observed.cls ?? null,
+    tbt: observed.tbt ?? null,
+    longTasks: observed.longTasks ?? null,
+    domContentLoaded: positive(navigation?.domContentLoadedEventEnd),
+    load: positive(navigation?.loadEventEnd),
+  };
+}
+
+// Read the current page's metrics, rounding times to whole milliseconds
+async function collectMetrics(page) {
+  const raw = await page.evaluate(readPerformanceMetrics);
+  const metrics = { url: raw.url };
+  for (const key of METRIC_KEYS) {
+    const value = raw[key];
+    if (value === null || value === undefined) {
+      metrics[key] = null;
+    } else {
+      metrics[key] = key === 'cls' ? Math.round(value * 1000) / 1000 : Math.round(value);
+    }
+  }
+  return metrics;
+}
+
+// Compare metrics against budgets ({ lcp: 2500, cls: 0.1, ... }). Metrics an engine
+// couldn't measure are skipped rather than failed.
+function checkBudgets(metrics, budgets = {}) {
+  const checks = [];
+  for (const { key, label, unit } of METRICS) {
+    const budget = budgets[key];
+    if (budget === undefined || metrics[key] === null || metrics[key] === undefined) {
+      continue;
+    }
+    const value = metrics[key];
+    const suffix = unit ? ` ${unit}` : '';
+    const passed = value <= budget;
+    checks.push({
+      passed,
+      expectation: 'budget',
+      metric: key,
+      actual: value,
+      budget,
+      message: passed
+        ? `${label} ${value}${suffix} within budget of ${budget}${suffix}`
+        : `${label} ${value}${suffix} exceeds budget of ${budget}${suffix}`,
+    });
+  }
+  return checks;
+}
+
+export { METRICS, METRIC_KEYS, installPerformanceObservers, collectMetrics, checkBudgets };
@@ -0,0 +1,562 @@
+/**
+ * Session recorder
+ *
+ * `browser-review record --url <url>` opens a headed Chromium and turns what
+ * the user does in it into a review config: clicks, typing, dropdowns,
+ * checkboxes, scrolling and navigations become `steps` and `actions`, and
+ * Ctrl+Shift+S (Cmd+Shift+S on macOS) marks a screenshot. Selectors prefer a
+ * test id, then the element's role and accessible name, then a stable id,
+ * name or text, and fall back to a CSS path. Each page the session lands on
+ * starts a new step; it gets a `url` only when it wasn't reached through one
+ * of the recorded actions.
+ */
+
+/* global document, window, CSS */
+
+import { launchBrowser } from './browsers.mjs';
+
+// A navigation this soon after a click, key press or selection is treated as its result
+const NAVIGATION_CAUSE_MS = 2000;
+// Recorded password fields are filled from the environment instead of the config file
+const PASSWORD_PLACEHOLDER = '${env.REVIEW_PASSWORD}';
+const BINDING = '__browserReviewRecord';
+
+// Runs in the page before any of its scripts (context.addInitScript). It is serialized
+// on its own, so everything it needs is defined inside. Events go to the Node side
+// through the `__browserReviewRecord` binding.
+function installRecorder() {
+  if (window.__browserReviewRecorder) {
+    return;
+  }
+  window.__browserReviewRecorder = true;
+  const uiId = '__browser-review-recorder';
+  const testIdAttributes = ['data-testid', 'data-test-id', 'data-test', 'data-cy'];
+  const interactive =
+    'button, a[href], input, select, textarea, label, summary, [onclick], ' +
+    '[role=button], [role=link], [role=tab], [role=menuitem], [role=menuitemcheckbox], ' +
+    '[role=option], [role=checkbox], [role=radio], [role=switch], [role=treeitem], ' +
+    testIdAttributes.map(attribute => `[${attribute}]`).join(', ');
+
+  const send = event => window.__browserReviewRecord?.({ ...event, title: document.title });
+  const normalize = text => (text || '').replace(/\s+/g, ' ').trim();
+  const quote = text => JSON.stringify(text);
+  const isUnique = selector => document.querySelectorAll(selector).length === 1;
+  const isVisible = element =>
+    element.getClientRects().length > 0 && !element.closest('[aria-hidden=true]');
+  // Ids like "react-select-3-input" or "a1b2c3d4" change between builds and page loads
+  const isStableId = id => /^[A-Za-z][\w-]*$/.test(id) && !/\d{3,}|[0-9a-f]{8}|-\d+-/i.test(id);
+
+  const inputType = element => (element.getAttribute('type') || 'text').toLowerCase();
+  const buttonInputs = ['button', 'submit', 'reset', 'image'];
+  const nonTextInputs = ['checkbox', 'radio', 'file', 'range', 'color', ...buttonInputs];
+  const isTextField = element =>
+    element.isContentEditable ||
+    element.tagName === 'TEXTAREA' ||
+    (element.tagName === 'INPUT' && !nonTextInputs.includes(inputType(element)));
+
+  const implicitRole = element => {
+    const tag = element.tagName.toLowerCase();
+    const type = inputType(element);
+    if (tag === 'button' || (tag === 'input' && buttonInputs.includes(type))) {
+      return 'button';
+    }
+    if (tag === 'a' && element.hasAttribute('href')) {
+      return 'link';
+    }
+    if (tag === 'input') {
+      const roles = { checkbox: 'checkbox', radio: 'radio', search: 'searchbox', range: 'slider' };
+      if (roles[type]) {
+        return roles[type];
+      }
+      return ['text', 'email', 'tel', 'url'].includes(type) ? 'textbox' : null;
+    }
+    if (tag === 'textarea') {
+      return 'textbox';
+    }
+    if (tag === 'select') {
+      return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+    }
+    if (/^h[1-6]$/.test(tag)) {
+      return 'heading';
+    }
+    return tag === 'img' && element.getAttribute('alt') ? 'img' : null;
+  };
+  const roleOf = element =>
+    (element.getAttribute('role') || '').trim().split(/\s+/)[0] || implicitRole(element);
+
+  const accessibleName = element => {
+    const labelledBy = element.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      return normalize(
+        labelledBy
+          .split(/\s+/)
+          .map(id => document.getElementById(id)?.textContent || '')
+          .join(' '),
+      );
+    }
+    if (element.getAttribute('aria-label')) {
+      return normalize(element.getAttribute('aria-label'));
+    }
+    if (element.labels?.length > 0) {
+      return normalize([...element.labels].map(label => label.textContent).join(' '));
+    }
+    if (element.tagName === 'INPUT' && implicitRole(element) === 'button') {
+      return normalize(element.value || element.getAttribute('alt'));
+    }
+    if (element.tagName === 'IMG') {
+      return normalize(element.getAttribute('alt'));
+    }
+    if (element.matches('input, select, textarea')) {
+      return normalize(element.getAttribute('placeholder') || element.getAttribute('title'));
+    }
+    return normalize(element.innerText ?? element.textContent) || normalize(element.title);
+  };
+
+  // role=button[name="Save"] matches names case-insensitively as substrings, so check the
+  // name picks out just this element among the visible ones with the same role
+  const roleSelector = element => {
+    const role = roleOf(element);
+    const name = role ? accessibleName(element) : '';
+    if (!name || name.length > 80) {
+      return null;
+    }
+    const needle = name.toLowerCase();
+    const matches = [...document.querySelectorAll('*')].filter(
+      other =>
+        roleOf(other) === role &&
+        isVisible(other) &&
+        accessibleName(other).toLowerCase().includes(needle),
+    );
+    return matches.length === 1 ? `role=${role}[name=${quote(name)}]` : null;
+  };
+
+  // text="Sign up" matches the innermost elements whose whole text is exactly that
+  const textSelector = element => {
+    const text = normalize(element.innerText ?? element.textContent);
+    if (!text || text.length > 50) {
+      return null;
+    }
+    const matches = [...document.body.querySelectorAll('*')].filter(
+      other =>
+        normalize(other.innerText ?? other.textContent) === text &&
+        ![...other.children].some(
+          child => normalize(child.innerText ?? child.textContent) === text,
+        ),
+    );
+    return matches.length === 1 && element.contains(matches[0]) ? `text=${quote(text)}` : null;
+  };
+
+  const cssPath = element => {
+    const parts = [];
+    for (let node = element; node && node !== document.documentElement; node = node.parentElement) {
+      if (node.id && isStableId(node.id) && isUnique(`#${CSS.escape(node.id)}`)) {
+        parts.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      const tag = node.tagName.toLowerCase();
+      const siblings = [...(node.parentElement?.children || [])].filter(
+        sibling => sibling.tagName === node.tagName,
+      );
+      parts.unshift(
+        siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag,
+      );
+      if (isUnique(parts.join(' > '))) {
+        break;
+      }
+    }
+    return parts.join(' > ');
+  };
+
+  const selectorFor = element => {
+    for (const attribute of testIdAttributes) {
+      const value = element.getAttribute(attribute);
+      const selector = value && `[${attribute}=${quote(value)}]`;
+      if (selector && isUnique(selector)) {
+        return selector;
+      }
+    }
+    const byRole = roleSelector(element);
+    if (byRole) {
+      return byRole;
+    }
+    if (element.id && isStableId(element.id) && isUnique(`#${CSS.escape(element.id)}`)) {
+      return `#${CSS.escape(element.id)}`;
+    }
+    const name = element.getAttribute('name');
+    const tag = element.tagName.toLowerCase();
+    if (name && ['input', 'select', 'textarea'].includes(tag)) {
+      const byName = `${tag}[name=${quote(name)}]`;
+      if (isUnique(byName)) {
+        return byName;
+      }
+    }
+    if (!element.matches('input, select, textarea')) {
+      const byText = textSelector(element);
+      if (byText) {
+        return byText;
+      }
+    }
+    return cssPath(element);
+  };
+
+  const targetOf = event => {
+    const target = event.composedPath()[0];
+    return target?.nodeType === 1 ? target : target?.parentElement;
+  };
+  const isOwnUi = element => Boolean(element?.closest?.(`#${uiId}`));
+  // Checkboxes, radios, dropdowns and file inputs are recorded from their change events
+  const isRecordedOnChange = element =>
+    element.tagName === 'SELECT' ||
+    (element.tagName === 'INPUT' && ['checkbox', 'radio', 'file'].includes(inputType(element)));
+
+  let lastEnterInField = 0;
+
+  document.addEventListener(
+    'click',
+    event => {
+      const element = targetOf(event);
+      if (!element || isOwnUi(element)) {
+        return;
+      }
+      // Pressing Enter in a field clicks the form's submit button; the press is recorded
+      if (event.detail === 0 && Date.now() - lastEnterInField < 100) {
+        return;
+      }
+      const target = element.closest(interactive) || element;
+      const control = target.tagName === 'LABEL' ? target.control : target;
+      if (control && isRecordedOnChange(control)) {
+        return;
+      }
+      send({ type: 'click', selector: selectorFor(target) });
+    },
+    true,
+  );
+
+  document.addEventListener(
+    'input',
+    event => {
+      const element = targetOf(event);
+      if (!element || !isTextField(element)) {
+        return;
+      }
+      const password = element.tagName === 'INPUT' && inputType(element) === 'password';
+      const text = element.isContentEditable ? element.innerText : element.value;
+      send({ type: 'type', selector: selectorFor(element), text, password });
+    },
+    true,
+  );
+
+  document.addEventListener(
+    'change',
+    event => {
+      const element = targetOf(event);
+      if (!element || !isRecordedOnChange(element)) {
+        return;
+      }
+      const selector = selectorFor(element);
+      if (element.tagName === 'SELECT') {
+        const values = [...element.selectedOptions].map(option => option.value);
+        send(
+          element.multiple
+            ? { type: 'select', selector, values }
+            : { type: 'select', selector, value: values[0] },
+        );
+      } else if (inputType(element) === 'file') {
+        send({ type: 'upload', selector, files: [...element.files].map(file => file.name) });
+      } else {
+        send({ type: element.checked ? 'check' : 'uncheck', selector });
+      }
+    },
+    true,
+  );
+
+  const showToast = message => {
+    const toast = document.createElement('div');
+    toast.textContent = message;
+    toast.style.cssText =
+      'position:fixed;top:48px;right:12px;padding:8px 12px;border-radius:6px;' +
+      'background:#1d1d1f;color:#fff;font:13px system-ui,sans-serif;pointer-events:none;' +
+      'z-index:2147483647';
+    document.getElementById(uiId)?.appendChild(toast);
+    setTimeout(() => toast.remove(), 1500);
+  };
+
+  document.addEventListener(
+    'keydown',
+    event => {
+      const element = targetOf(event);
+      const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+      if ((event.ctrlKey || event.metaKey) && event.shiftKey && key === 's') {
+        event.preventDefault();
+        event.stopPropagation();
+        send({ type: 'screenshot' });
+        showToast('📸 Screenshot marked');
+        return;
+      }
+      const inField = element && isTextField(element);
+      if (key === 'Enter' && inField && element.tagName !== 'TEXTAREA') {
+        lastEnterInField = Date.now();
+        send({ type: 'press', key: 'Enter', selector: selectorFor(element) });
+      } else if (key === 'Escape') {
+        send({ type: 'press', key: 'Escape' });
+      } else if (
+        !inField &&
+        (event.ctrlKey || event.metaKey || event.altKey) &&
+        !['Control', 'Meta', 'Alt', 'Shift'].includes(key)
+      ) {
+        const modifiers = [
+          ['ctrlKey', 'Control'],
+          ['altKey', 'Alt'],
+          ['shiftKey', 'Shift'],
+          ['metaKey', 'Meta'],
+        ]
+          .filter(([flag]) => event[flag])
+          .map(([, name]) => name);
+        send({ type: 'press', key: [...modifiers, key].join('+') });
+      }
+    },
+    true,
+  );
+
+  // Page scrolls are reported once the user stops scrolling, as the distance moved
+  let scrolled = { x: window.scrollX, y: window.scrollY };
+  let scrollTimer = null;
+  document.addEventListener(
+    'scroll',
+    event => {
+      if (event.target !== document) {
+        return;
+      }
+      clearTimeout(scrollTimer);
+      scrollTimer = setTimeout(() => {
+        const x = Math.round(window.scrollX - scrolled.x);
+        const y = Math.round(window.scrollY - scrolled.y);
+        scrolled = { x: window.scrollX, y: window.scrollY };
+        if (x !== 0 || y !== 0) {
+          send({ type: 'scroll', x, y });
+        }
+      }, 400);
+    },
+    true,
+  );
+
+  const start = () => {
+    const ui = document.createElement('div');
+    ui.id = uiId;
+    ui.innerHTML =
+      '<div style="position:fixed;top:12px;right:12px;padding:6px 10px;border-radius:6px;' +
+      'background:rgba(29,29,31,0.85);color:#fff;font:12px system-ui,sans-serif;' +
+      'pointer-events:none;z-index:2147483647">' +
+      '<span style="color:#ff453a">●</span> Recording · Ctrl/Cmd+Shift+S marks a screenshot' +
+      '</div>';
+    document.documentElement.appendChild(ui);
+    scrolled = { x: window.scrollX, y: window.scrollY };
+    send({ type: 'visit' });
+  };
+
+  if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', start);
+  } else {
+    start();
+  }
+}
+
+// Turns recorder events and main-frame navigations into review steps. `add` and `navigated`
+// take the time so tests can drive them; a browser session passes nothing.
+function createRecording(startUrl) {
+  const origin = new URL(startUrl).origin;
+  const steps = [];
+  let lastInteraction = -Infinity;
+  let screenshots = 0;
+
+  // Same-origin URLs are written relative to baseUrl, others in full
+  const toStepUrl = url => {
+    const parsed = new URL(url);
+    return parsed.origin === origin ? `${parsed.pathname}${parsed.search}${parsed.hash}` : url;
+  };
+  const currentStep = () => {
+    if (steps.length === 0) {
+      steps.push({ url: toStepUrl(startUrl), title: null, actions: [] });
+    }
+    return steps.at(-1);
+  };
+
+  return {
+    navigated(url, now = Date.now()) {
+      if (!/^https?:/.test(url)) {
+        return;
+      }
+      const caused = now - lastInteraction < NAVIGATION_CAUSE_MS;
+      const step = steps.at(-1);
+      // Redirects, and pages left before anything happened on them, don't get their own step
+      if (step && step.actions.length === 0) {
+        if (!caused) {
+          step.url = toStepUrl(url);
+        }
+        step.title = null;
+        return;
+      }
+      steps.push({ url: caused ? null : toStepUrl(url), title: null, actions: [] });
+    },
+
+    add(event, now = Date.now()) {
+      const step = currentStep();
+      if (event.title && !step.title) {
+        step.title = event.title;
+      }
+      const last = step.actions.at(-1);
+      const sameTarget = last && last.selector === event.selector;
+      switch (event.type) {
+        case 'visit':
+          return;
+        case 'type': {
+          const text = event.password ? PASSWORD_PLACEHOLDER : event.text;
+          if (sameTarget && last.type === 'type') {
+            last.text = text;
+            return;
+          }
+          // Filling a field focuses it, so the click into it isn't needed
+          if (sameTarget && last.type === 'click') {
+            step.actions.pop();
+          }
+          step.actions.push({ type: 'type', selector: event.selector, text });
+          return;
+        }
+        case 'press':
+          lastInteraction = now;
+          if (event.key === 'Enter' && sameTarget && last.type === 'type') {
+            last.pressEnter = true;
+          } else {
+            step.actions.push({
+              type: 'press',
+              key: event.key,
+              ...(event.selector ? { selector: event.selector } : {}),
+            });
+          }
+          return;
+        case 'scroll': {
+          const x = (last?.type === 'scroll' ? last.x || 0 : 0) + (event.x || 0);
+          const y = (last?.type === 'scroll' ? last.y || 0 : 0) + (event.y || 0);
+          if (last?.type === 'scroll') {
+            step.actions.pop();
+          }
+          if (x !== 0 || y !== 0) {
+            step.actions.push({ type: 'scroll', ...(x ? { x } : {}), ...(y ? { y } : {}) });
+          }
+          return;
+        }
+        case 'screenshot':
+          step.actions.push({ type: 'screenshot', name: `screenshot-${++screenshots}` });
+          return;
+        case 'select':
+        case 'upload':
+        case 'click':
+        case 'check':
+        case 'uncheck': {
+          lastInteraction = now;
+          const { type, selector, value, values, files } = event;
+          const action = { type, selector };
+          if (values) {
+            action.values = values;
+          } else if (value !== undefined) {
+            action.value = value;
+          }
+          if (files) {
+            Object.assign(action, files.length === 1 ? { file: files[0] } : { files });
+          }
+          step.actions.push(action);
+          return;
+        }
+        default:
+          return;
+      }
+    },
+
+    // The review config for everything recorded so far. Steps are named after their page's
+    // title (or path), and steps reached by an action that saw no actions of their own
+    // are dropped. Steps aren't marked `record`: under a video format a recorded step runs
+    // in a fresh context, so a step reached by a click would lose the page and session the
+    // previous step left behind.
+    toConfig({ title }) {
+      const names = new Map();
+      const uniqueName = name => {
+        const count = (names.get(name) || 0) + 1;
+        names.set(name, count);
+        return count > 1 ? `${name} (${count})` : name;
+      };
+      let path = toStepUrl(startUrl);
+      const recorded = [];
+      for (const step of steps) {
+        path = step.url || path;
+        if (!step.url && step.actions.length === 0) {
+          continue;
+        }
+        recorded.push({
+          name: uniqueName(step.title || path),
+          ...(step.url ? { url: step.url } : {}),
+          ...(step.actions.length > 0 ? { actions: step.actions } : {}),
+        });
+      }
+      return { title, baseUrl: origin, steps: recorded };
+    },
+  };
+}
+
+// Parse `record` arguments: --url (required), --output and --title
+function parseRecordArgs(args) {
+  const options = { url: null, output: 'review-config.json', title: null };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    const key = { '--url': 'url', '--output': 'output', '--title': 'title' }[arg];
+    if (!key) {
+      throw new Error(`Unknown record option: ${arg}`);
+    }
+    if (i + 1 >= args.length) {
+      throw new Error(`${arg} requires a value`);
+    }
+    options[key] = args[++i];
+  }
+  if (!options.url) {
+    throw new Error('record requires --url <url> to start from');
+  }
+  try {
+    new URL(options.url);
+  } catch {
+    throw new Error(`--url must be a valid URL: ${options.url}`);
+  }
+  options.title = options.title || `Review of ${new URL(options.url).host}`;
+  return options;
+}
+
+// Open a headed Chromium at `url` and record until its window (or first tab) is closed.
+// Resolves to the recording.
+async function recordSession({ url }) {
+  const browser = await launchBrowser('chromium', { headless: false });
+  const recording = createRecording(url);
+  try {
+    const context = await browser.newContext({ viewport: null });
+    const page = await context.newPage();
+    await context.exposeBinding(BINDING, (source, event) => {
+      if (source.page === page && source.frame === page.mainFrame()) {
+        recording.add(event);
+      }
+    });
+    await context.addInitScript(installRecorder);
+    page.on('framenavigated', frame => {
+      if (frame === page.mainFrame()) {
+        recording.navigated(frame.url());
+      }
+    });
+    const closed = new Promise(resolve => {
+      page.once('close', resolve);
+      browser.once('disconnected', resolve);
+    });
+    await page.goto(url);
+    await closed;
+  } finally {
+    await browser.close().catch(() => {});
+  }
+  return recording;
+}
+
+export { PASSWORD_PLACEHOLDER, installRecorder, createRecording, parseRecordArgs, recordSession };
@@ -0,0 +1,131 @@
+/**
+ * Network mocking and HAR replay
+ *
+ * Applies the `routes` config to every browser context of a review so captures
+ * see the same data on every run: requests matching a URL pattern can be
+ * fulfilled from inline JSON, a local file or a recorded HAR, aborted, or
+ * slowed down. `--record-har` captures the traffic of one run into a HAR file
+ * that later runs replay through `har`.
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { toUrlMatcher } from './actions.mjs';
+import { resolveConfigPath } from './config-file.mjs';
+
+// Playwright's routeFromHAR takes a glob or RegExp rather than a predicate
+function toHarUrlFilter(pattern) {
+  if (!pattern) {
+    return undefined;
+  }
+  const regexMatch = typeof pattern === 'string' && /^\/(.+)\/([dgimsuy]*)$/.exec(pattern);
+  return regexMatch ? new RegExp(regexMatch[1], regexMatch[2]) : pattern;
+}
+
+// Normalize `har: "file.har"` or `har: { path, url, notFound }` into a route entry
+function resolveHarReplay(har) {
+  if (!har) {
+    return null;
+  }
+  return typeof har === 'string' ? { har } : { ...har, har: har.path };
+}
+
+// Build the route handler for one non-HAR `routes` entry. A `file` is relative to the
+// config file.
+function createRouteHandler(entry, config = {}) {
+  const method = entry.method?.toUpperCase();
+  return async route => {
+    if (method && route.request().method() !== method) {
+      await route.fallback();
+      return;
+    }
+    if (entry.delay) {
+      await new Promise(resolve => setTimeout(resolve, entry.delay));
+    }
+    if (entry.abort) {
+      await route.abort(typeof entry.abort === 'string' ? entry.abort : 'failed');
+      return;
+    }
+    const response = { status: entry.status || 200, headers: entry.headers };
+    if (entry.json !== undefined) {
+      await route.fulfill({ ...response, json: entry.json });
+    } else if (entry.file) {
+      await route.fulfill({
+        ...response,
+        path: resolveConfigPath(config, entry.file),
+        contentType: entry.contentType,
+      });
+    } else if (entry.body !== undefined) {
+      await route.fulfill({ ...response, body: entry.body, contentType: entry.contentType });
+    } else {
+      // Latency-only routes let the request through to the network (or the next route)
+      await route.fallback();
+    }
+  };
+}
+
+// Install `routes` (and top-level `har` replay) on a browser context. Later entries take
+// precedence, matching Playwright's route ordering, so list catch-alls first. HAR files
+// are relative to the config file too; only --record-har's path is relative to the working
+// directory, like every other CLI path.
+async function applyRoutes(context, config) {
+  const entries = [...(config.routes || [])];
+  const harReplay = config.recordHar ? null : resolveHarReplay(config.har);
+  if (harReplay) {
+    entries.unshift(harReplay);
+  }
+  for (const entry of entries) {
+    if (entry.har) {
+      await context.routeFromHAR(resolveConfigPath(config, entry.har), {
+        url: toHarUrlFilter(entry.url),
+        notFound: entry.notFound || 'fallback',
+      });
+      continue;
+    }
+    const matches = toUrlMatcher(entry.url);
+    await context.route(url => matches(url.href), createRouteHandler(entry, config));
+  }
+}
+
+// Record every context of a run into its own HAR, then merge them into one file.
+// Contexts write their HAR when they close, so a single shared path would be overwritten.
+function createHarRecorder(targetPath) {
+  const parts = [];
+  let partsDir = null;
+  return {
+    async contextOptions() {
+      partsDir = partsDir || (await fs.mkdtemp(path.join(os.tmpdir(), 'browser-review-har-')));
+      const partPath = path.join(partsDir, `context-${parts.length}.har`);
+      parts.push(partPath);
+      return { recordHar: { path: partPath, content: 'embed' } };
+    },
+    async finish() {
+      let merged = null;
+      for (const partPath of parts) {
+        const part = JSON.parse(await fs.readFile(partPath, 'utf-8').catch(() => 'null'));
+        if (!part) {
+          continue;
+        }
+        if (merged) {
+          merged.log.pages.push(...(part.log.pages || []));
+          merged.log.entries.push(...part.log.entries);
+        } else {
+          merged = part;
+        }
+      }
+      if (partsDir) {
+        await fs.rm(partsDir, { recursive: true, force: true });
+      }
+      if (!merged) {
+        return null;
+      }
+      const harPath = path.resolve(process.cwd(), targetPath);
+      await fs.mkdir(path.dirname(harPath), { recursive: true });
+      await fs.writeFile(harPath, JSON.stringify(merged, null, 2));
+      return { path: harPath, entries: merged.log.entries.length };
+    },
+  };
+}
+
+export { resolveHarReplay, createRouteHandler, applyRoutes, createHarRecorder };
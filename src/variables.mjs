@@ -0,0 +1,140 @@
+/**
+ * Config variables and step fragments
+ *
+ * Review configs shouldn't hardcode credentials or repeat the same login and
+ * navigation steps. Any string in the config can use `${env.NAME}` (the
+ * process environment) and `${vars.name}` (the config's `vars` block, which
+ * `--var name=value` overrides). Steps shared between configs live in
+ * fragment files listed under `include`; a `{ "use": "login", "params": {...} }`
+ * step is replaced by the fragment's steps, with `${params.name}` filled in.
+ */
+
+import path from 'path';
+import { readConfigFile } from './config-file.mjs';
+
+const PLACEHOLDER = /\$\{(env|vars|params)\.([\w.-]+)\}/g;
+const WHOLE_PLACEHOLDER = /^\$\{(env|vars|params)\.([\w.-]+)\}$/;
+
+// Parse a `--var name=value` argument
+function parseVar(arg) {
+  const separator = arg.indexOf('=');
+  if (separator <= 0) {
+    throw new Error(`--var must look like name=value, got "${arg}"`);
+  }
+  return [arg.slice(0, separator), arg.slice(separator + 1)];
+}
+
+// Look up `name` (dotted for nested vars) in a namespace of the scope. Namespaces missing
+// from the scope return undefined so their placeholders are left for a later pass.
+function lookup(scope, namespace, name) {
+  if (!scope[namespace]) {
+    return undefined;
+  }
+  const value = name.split('.').reduce((object, key) => object?.[key], scope[namespace]);
+  if (value === undefined || value === null) {
+    if (namespace === 'env') {
+      throw new Error(`Config uses \${env.${name}}, but ${name} is not set in the environment`);
+    }
+    throw new Error(`Config uses \${${namespace}.${name}}, but no ${namespace}.${name} is defined`);
+  }
+  return value;
+}
+
+// Replace placeholders in every string of `value` (deeply) from `scope`, e.g.
+// { env: process.env, vars: {...} }. A string that is exactly one placeholder takes the
+// variable's own value, so numbers and booleans in `vars` keep their type.
+function interpolate(value, scope) {
+  if (typeof value === 'string') {
+    const whole = WHOLE_PLACEHOLDER.exec(value);
+    if (whole) {
+      return lookup(scope, whole[1], whole[2]) ?? value;
+    }
+    return value.replace(PLACEHOLDER, (match, namespace, name) => {
+      const resolved = lookup(scope, namespace, name);
+      return resolved === undefined ? match : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => interpolate(item, scope));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, interpolate(item, scope)]),
+    );
+  }
+  return value;
+}
+
+// Read the JSON or YAML fragment files listed in `include` (paths relative to `baseDir`).
+// Each file maps fragment names to a list of steps, or to { "params": { defaults },
+// "steps": [...] }.
+async function loadFragments(include, baseDir) {
+  const fragments = {};
+  const sources = {};
+  for (const file of [].concat(include || [])) {
+    const filePath = path.resolve(baseDir, file);
+    const definitions = await readConfigFile(filePath, 'included fragment file', file);
+    for (const [name, fragment] of Object.entries(definitions)) {
+      if (sources[name]) {
+        throw new Error(`Fragment "${name}" is defined in both ${sources[name]} and ${file}`);
+      }
+      sources[name] = file;
+      fragments[name] = fragment;
+    }
+  }
+  return fragments;
+}
+
+// Replace every `use` step with its fragment's steps, filling in `${params.*}` from the
+// step's `params` over the fragment's defaults. Fragments may use other fragments.
+function expandFragments(steps, fragments, trail = []) {
+  return steps.flatMap(step => {
+    if (!step.use) {
+      return [step];
+    }
+    const fragment = fragments[step.use];
+    if (!fragment) {
+      const known = Object.keys(fragments);
+      throw new Error(
+        `Unknown fragment "${step.use}"` +
+          (known.length > 0 ? `. Available: ${known.join(', ')}` : '. Add its file to "include"'),
+      );
+    }
+    if (trail.includes(step.use)) {
+      throw new Error(`Fragment "${step.use}" uses itself: ${[...trail, step.use].join(' → ')}`);
+    }
+    const { params: defaults = {}, steps: fragmentSteps } = Array.isArray(fragment)
+      ? { steps: fragment }
+      : fragment;
+    if (!Array.isArray(fragmentSteps)) {
+      throw new Error(`Fragment "${step.use}" must be a list of steps or { "steps": [...] }`);
+    }
+    const params = { ...defaults, ...step.params };
+    return expandFragments(interpolate(fragmentSteps, { params }), fragments, [...trail, step.use]);
+  });
+}
+
+// Expand fragments and fill in variables across a loaded config. `cliVars` (from --var)
+// override the config's `vars`; `baseDir` is where `include` paths are relative to.
+async function resolveConfigVariables(config, { cliVars = {}, baseDir = process.cwd() } = {}) {
+  const env = process.env;
+  const vars = { ...interpolate(config.vars || {}, { env }), ...cliVars };
+  const fragments = await loadFragments(config.include, baseDir);
+
+  const { vars: _vars, include, ...rest } = config;
+  const expanded = { ...rest };
+  if (Array.isArray(config.steps)) {
+    expanded.steps = expandFragments(config.steps, fragments);
+  }
+  if (Array.isArray(config.auth?.setupSteps)) {
+    expanded.auth = {
+      ...config.auth,
+      setupSteps: expandFragments(config.auth.setupSteps, fragments),
+    };
+  }
+  // Any ${params.*} left over sits outside a fragment, which lookup() reports
+  const resolved = interpolate(expanded, { env, vars, params: {} });
+  return { ...resolved, vars, ...(include ? { include } : {}) };
+}
+
+export { parseVar, interpolate, loadFragments, expandFragments, resolveConfigVariables };
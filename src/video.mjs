@@ -0,0 +1,137 @@
+/**
+ * Recording formats and edits
+ *
+ * Playwright records steps as WebM, which many mail and issue-tracker clients
+ * won't play. `videoFormat` picks what ends up in the report: the WebM as is,
+ * or an ffmpeg conversion to MP4 (H.264), GIF, animated WebP or APNG.
+ * `speed`, `trimStart`, `trimEnd` and `maxDuration` cut and speed up a
+ * recording before it is converted.
+ */
+
+const VIDEO_FORMATS = ['slideshow', 'webm', 'mp4', 'gif', 'webp', 'apng'];
+const EDIT_KEYS = ['speed', 'trimStart', 'trimEnd', 'maxDuration'];
+
+// How each recording format is written and shown in the report. `image` formats are shown
+// with <img>, the others with <video>. GIF has its own two-pass palette conversion.
+const RECORDING_FORMATS = {
+  webm: {
+    extension: 'webm',
+    mimeType: 'video/webm',
+    encoder: '-c:v libvpx-vp9 -crf 32 -b:v 0 -an',
+  },
+  mp4: {
+    extension: 'mp4',
+    mimeType: 'video/mp4',
+    // H.264 in yuv420p needs even dimensions
+    filter: 'scale=trunc(iw/2)*2:trunc(ih/2)*2',
+    encoder: '-c:v libx264 -preset medium -crf 23 -pix_fmt yuv420p -movflags +faststart -an',
+  },
+  gif: { extension: 'gif', mimeType: 'image/gif', image: true },
+  webp: {
+    extension: 'webp',
+    mimeType: 'image/webp',
+    image: true,
+    encoder: '-c:v libwebp -lossless 0 -q:v 75 -loop 0 -an',
+  },
+  apng: {
+    extension: 'apng',
+    mimeType: 'image/apng',
+    image: true,
+    encoder: '-f apng -plays 0 -an',
+  },
+};
+
+// MIME type for a report artifact, from its file extension
+function recordingMimeType(filePath) {
+  const extension = filePath.split('.').pop().toLowerCase();
+  const format = Object.values(RECORDING_FORMATS).find(entry => entry.extension === extension);
+  return format?.mimeType || 'video/webm';
+}
+
+// Whether a report artifact is an animated image rather than a video
+function isAnimatedImage(filePath) {
+  return recordingMimeType(filePath).startsWith('image/');
+}
+
+// Whether a report artifact is a step recording, in any format
+function isRecordingArtifact(artifact) {
+  return ['video', 'gif', 'animation', 'slideshow'].includes(artifact.type);
+}
+
+// Edit options for a step's recording (step-level overrides config-level), or null
+function resolveVideoEdit(config, step = {}) {
+  const edit = {};
+  for (const key of EDIT_KEYS) {
+    const value = step[key] ?? config[key];
+    if (value !== undefined) {
+      edit[key] = value;
+    }
+  }
+  return Object.keys(edit).length > 0 ? edit : null;
+}
+
+// Throw on edit options that aren't positive (speed, maxDuration) or non-negative (trims)
+// numbers of seconds
+function validateVideoEdit(options, label) {
+  if (options.speed !== undefined && !(options.speed > 0)) {
+    throw new Error(`${label}: speed must be a positive number, e.g. 2 for double speed`);
+  }
+  for (const key of ['trimStart', 'trimEnd']) {
+    if (options[key] !== undefined && !(options[key] >= 0)) {
+      throw new Error(`${label}: ${key} must be a non-negative number of seconds`);
+    }
+  }
+  if (options.maxDuration !== undefined && !(options.maxDuration > 0)) {
+    throw new Error(`${label}: maxDuration must be a positive number of seconds`);
+  }
+}
+
+const round = value => Math.round(value * 1000) / 1000;
+
+// The part of a `duration`-second recording to keep: { start, end } in recording seconds,
+// the playback `speed` and the resulting output `duration`. `maxDuration` caps the output.
+// Returns null when the trims leave nothing to show.
+function editWindow(edit, duration) {
+  const speed = edit.speed || 1;
+  const start = edit.trimStart || 0;
+  let end = duration - (edit.trimEnd || 0);
+  if (edit.maxDuration) {
+    end = Math.min(end, start + edit.maxDuration * speed);
+  }
+  if (end <= start) {
+    return null;
+  }
+  return { start: round(start), end: round(end), speed, duration: round((end - start) / speed) };
+}
+
+// ffmpeg filter applying an edit window: cut to the window, then retime the frames
+function editFilter(clip) {
+  const setpts = clip.speed === 1 ? 'PTS-STARTPTS' : `(PTS-STARTPTS)/${clip.speed}`;
+  return `trim=start=${clip.start}:end=${clip.end},setpts=${setpts}`;
+}
+
+// Move a caption overlay timed against the raw recording onto the edited output
+function retimeOverlay(overlay, clip) {
+  const toOutput = time =>
+    round((Math.min(Math.max(time, clip.start), clip.end) - clip.start) / clip.speed);
+  return {
+    ...overlay,
+    duration: clip.duration,
+    segments: overlay.segments
+      .map(segment => ({ ...segment, start: toOutput(segment.start), end: toOutput(segment.end) }))
+      .filter(segment => segment.end > segment.start),
+  };
+}
+
+export {
+  VIDEO_FORMATS,
+  RECORDING_FORMATS,
+  recordingMimeType,
+  isAnimatedImage,
+  isRecordingArtifact,
+  resolveVideoEdit,
+  validateVideoEdit,
+  editWindow,
+  editFilter,
+  retimeOverlay,
+};
@@ -0,0 +1,116 @@
+import { describe, it, expect, vi } from 'vitest'
+import {
+  resolveAuditOption,
+  validateAuditOption,
+  runAccessibilityAudit,
+  auditAnnotations,
+} from '../src/accessibility.mjs'
+
+const violations = [
+  {
+    rule: 'color-contrast',
+    impact: 'serious',
+    help: 'Elements must meet minimum color contrast ratio thresholds',
+    helpUrl: 'https://dequeuniversity.com/rules/axe/4.10/color-contrast',
+    nodes: [{ target: ['.muted'], html: '<p class="muted">Hi</p>' }],
+  },
+  {
+    rule: 'region',
+    impact: 'moderate',
+    help: 'All page content should be contained by landmarks',
+    helpUrl: 'https://dequeuniversity.com/rules/axe/4.10/region',
+    nodes: [{ target: [['iframe', '#ad']], html: '<div id="ad"></div>' }],
+  },
+  {
+    rule: 'image-alt',
+    impact: 'critical',
+    help: 'Images must have alternative text',
+    helpUrl: 'https://dequeuniversity.com/rules/axe/4.10/image-alt',
+    nodes: [{ target: ['img.hero'], html: '<img class="hero">' }],
+  },
+]
+
+// page.evaluate answers "is axe loaded?", then (if not) the injection, then the audit
+function mockPage(found, loaded = true) {
+  const evaluate = vi.fn().mockResolvedValueOnce(loaded)
+  if (!loaded) {
+    evaluate.mockResolvedValueOnce(undefined)
+  }
+  return { url: () => 'http://localhost:3000/', evaluate: evaluate.mockResolvedValue(found) }
+}
+
+describe('accessibility', () => {
+  describe('resolveAuditOption', () => {
+    it('should accept the string, array and object forms', () => {
+      expect(resolveAuditOption('a11y')).toEqual({})
+      expect(resolveAuditOption(['a11y'])).toEqual({})
+      expect(resolveAuditOption({ a11y: true })).toEqual({})
+      expect(resolveAuditOption({ a11y: { failOn: 'critical' } })).toEqual({ failOn: 'critical' })
+      expect(resolveAuditOption(undefined)).toBeNull()
+      expect(resolveAuditOption('lighthouse')).toBeNull()
+    })
+  })
+
+  describe('validateAuditOption', () => {
+    it('should reject unknown audits and impacts', () => {
+      expect(() => validateAuditOption('lighthouse', 'Step "Home"')).toThrow(
+        'Step "Home": audit must be "a11y"',
+      )
+      expect(() => validateAuditOption({ a11y: { failOn: 'severe' } }, 'Step "Home"')).toThrow(
+        'audit failOn must be one of: critical, serious, moderate, minor',
+      )
+      expect(() => validateAuditOption(undefined, 'Step "Home"')).not.toThrow()
+    })
+  })
+
+  describe('runAccessibilityAudit', () => {
+    it('should sort violations by impact and fail on serious by default', async () => {
+      const audit = await runAccessibilityAudit(mockPage(violations.slice()))
+
+      expect(audit.violations.map(v => v.rule)).toEqual(['image-alt', 'color-contrast', 'region'])
+      expect(audit.violations[2].nodes).toEqual([
+        { selector: 'iframe >>> #ad', html: '<div id="ad"></div>' },
+      ])
+      expect(audit.counts).toEqual({ critical: 1, serious: 1, moderate: 1, minor: 0 })
+      expect(audit.passed).toBe(false)
+      expect(audit.url).toBe('http://localhost:3000/')
+    })
+
+    it('should pass when violations are below failOn', async () => {
+      const audit = await runAccessibilityAudit(mockPage([violations[1]]), { failOn: 'serious' })
+
+      expect(audit.passed).toBe(true)
+    })
+
+    it('should inject axe only when the page does not have it yet', async () => {
+      const page = mockPage([], false)
+      await runAccessibilityAudit(page)
+
+      expect(page.evaluate).toHaveBeenCalledTimes(3)
+      expect(typeof page.evaluate.mock.calls[1][0]).toBe('string')
+    })
+
+    it('should reject an unknown failOn', async () => {
+      await expect(runAccessibilityAudit(mockPage([]), { failOn: 'bad' })).rejects.toThrow(
+        'failOn must be one of',
+      )
+    })
+  })
+
+  describe('auditAnnotations', () => {
+    it('should box plain selectors, skipping iframe and shadow chains', async () => {
+      const audit = await runAccessibilityAudit(mockPage(violations.slice()))
+
+      expect(auditAnnotations(audit)).toEqual([
+        { selector: 'img.hero', label: 'critical: image-alt', style: 'box', color: '#B91C1C' },
+        {
+          selector: '.muted',
+          label: 'serious: color-contrast',
+          style: 'box',
+          color: '#EA580C',
+        },
+      ])
+      expect(auditAnnotations(audit, 1)).toHaveLength(1)
+    })
+  })
+})
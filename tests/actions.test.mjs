@@ -0,0 +1,544 @@
+import { describe, it, expect, vi } from 'vitest'
+import path from 'path'
+
+import { runWithRetries } from '../src/failures.mjs'
+import { createRecording } from '../src/recorder.mjs'
+import {
+  registerAction,
+  getActionTypes,
+  executeAction,
+  loadActionModules,
+  resolveUrl,
+  resolveWaitStrategy,
+  toUrlMatcher,
+} from '../src/actions.mjs'
+
+// Minimal stand-in for a Playwright page
+function createMockPage() {
+  return {
+    click: vi.fn(),
+    fill: vi.fn(),
+    goto: vi.fn(),
+    evaluate: vi.fn(),
+    screenshot: vi.fn(),
+    waitForTimeout: vi.fn(),
+    hover: vi.fn(),
+    selectOption: vi.fn(),
+    press: vi.fn(),
+    check: vi.fn(),
+    uncheck: vi.fn(),
+    setInputFiles: vi.fn(),
+    keyboard: { press: vi.fn(), type: vi.fn() },
+    mouse: { move: vi.fn() },
+    locator: vi.fn(selector => ({
+      selector,
+      dragTo: vi.fn(),
+      first() {
+        return {
+          scrollIntoViewIfNeeded: vi.fn().mockResolvedValue(),
+          boundingBox: vi.fn().mockResolvedValue({ x: 10, y: 20, width: 100, height: 40 }),
+          evaluate: vi.fn().mockResolvedValue(),
+        }
+      },
+    })),
+    on: vi.fn(),
+    off: vi.fn(),
+    waitForLoadState: vi.fn().mockResolvedValue(),
+    waitForFunction: vi.fn().mockResolvedValue(),
+    waitForSelector: vi.fn(),
+    waitForResponse: vi.fn(),
+  }
+}
+
+function createContext(overrides = {}) {
+  return {
+    page: createMockPage(),
+    config: { baseUrl: 'http://localhost:3000', showCursor: false },
+    step: { name: 'Step' },
+    stepIndex: 0,
+    artifactsDir: '/tmp/artifacts',
+    slideshow: null,
+    fileName: base => `${base}-desktop`,
+    addArtifact: vi.fn(),
+    recordCheck: vi.fn(),
+    ...overrides,
+  }
+}
+
+describe('Action engine', () => {
+  describe('registerAction', () => {
+    it('should register built-in action types', () => {
+      expect(getActionTypes()).toEqual(
+        expect.arrayContaining(['screenshot', 'click', 'type', 'scroll', 'wait', 'navigate']),
+      )
+    })
+
+    it('should dispatch custom action types to their handler', async () => {
+      const handler = vi.fn()
+      registerAction('loginAsTestUser', handler)
+
+      const ctx = createContext()
+      const action = { type: 'loginAsTestUser', user: 'qa' }
+      await executeAction(ctx, action)
+
+      expect(handler).toHaveBeenCalledWith(ctx, action)
+    })
+
+    it('should reject invalid registrations', () => {
+      expect(() => registerAction('', () => {})).toThrow('type must be a non-empty string')
+      expect(() => registerAction('noop', null)).toThrow('must be a function')
+    })
+  })
+
+  describe('executeAction', () => {
+    it('should throw on unknown action types', async () => {
+      await expect(executeAction(createContext(), { type: 'teleport' })).rejects.toThrow(
+        'Unknown action type: teleport',
+      )
+    })
+
+    it('should add explicit screenshots to the slideshow', async () => {
+      const slideshow = { frames: [] }
+      const ctx = createContext({ slideshow })
+
+      await executeAction(ctx, { type: 'screenshot', name: 'home' })
+
+      const expectedPath = path.join('/tmp/artifacts', 'home-desktop.png')
+      expect(ctx.page.screenshot).toHaveBeenCalledWith({ path: expectedPath, fullPage: true })
+      expect(ctx.addArtifact).toHaveBeenCalledWith({
+        type: 'screenshot',
+        name: 'home',
+        path: expectedPath,
+      })
+      expect(slideshow.frames).toEqual([expectedPath])
+    })
+
+    it('should resolve navigate URLs against the base URL', async () => {
+      const ctx = createContext()
+
+      await executeAction(ctx, { type: 'navigate', url: '/pricing' })
+
+      expect(ctx.page.goto).toHaveBeenCalledWith('http://localhost:3000/pricing', {
+        waitUntil: 'networkidle',
+      })
+    })
+
+    it('should navigate within the action timeout', async () => {
+      const ctx = createContext()
+      let defaultTimeout = 30000
+      ctx.page.setDefaultTimeout = vi.fn(timeout => {
+        defaultTimeout = timeout
+      })
+      const gotoTimeouts = []
+      ctx.page.goto.mockImplementation(async (url, options) => {
+        gotoTimeouts.push(options.timeout ?? defaultTimeout)
+      })
+
+      for (const timeout of [60000, 5000]) {
+        const action = { type: 'navigate', url: '/slow', timeout }
+        await runWithRetries(ctx, action, () => executeAction(ctx, action))
+      }
+
+      expect(gotoTimeouts).toEqual([60000, 5000])
+    })
+  })
+
+  describe('screenshot options', () => {
+    it('should capture a single element with masked regions', async () => {
+      const element = { screenshot: vi.fn() }
+      const ctx = createContext()
+      ctx.page.locator = vi.fn(selector => ({ selector, first: () => element }))
+
+      await executeAction(ctx, {
+        type: 'screenshot',
+        name: 'pricing-card',
+        selector: '.pricing-card',
+        mask: ['.timestamp', '.avatar'],
+        framed: false,
+      })
+
+      expect(element.screenshot).toHaveBeenCalledWith({
+        path: path.join('/tmp/artifacts', 'pricing-card-desktop.png'),
+        mask: [
+          expect.objectContaining({ selector: '.timestamp' }),
+          expect.objectContaining({ selector: '.avatar' }),
+        ],
+      })
+      expect(ctx.addArtifact).toHaveBeenCalledWith(expect.objectContaining({ framed: false }))
+    })
+
+    it('should pad element shots using their document position', async () => {
+      const element = {
+        scrollIntoViewIfNeeded: vi.fn(),
+        boundingBox: vi.fn().mockResolvedValue({ x: 10, y: 20, width: 100, height: 50 }),
+      }
+      const ctx = createContext()
+      ctx.page.locator = vi.fn(() => ({ first: () => element }))
+      ctx.page.evaluate.mockResolvedValue({ x: 0, y: 400 })
+
+      await executeAction(ctx, { type: 'screenshot', selector: '.card', padding: 16 })
+
+      expect(ctx.page.screenshot).toHaveBeenCalledWith(
+        expect.objectContaining({
+          fullPage: true,
+          clip: { x: 0, y: 404, width: 126, height: 82 },
+        }),
+      )
+    })
+
+    it('should capture clip rectangles', async () => {
+      const ctx = createContext()
+
+      await executeAction(ctx, {
+        type: 'screenshot',
+        clip: { x: 100, y: 100, width: 300, height: 200 },
+        padding: 10,
+        fullPage: false,
+      })
+
+      expect(ctx.page.screenshot).toHaveBeenCalledWith(
+        expect.objectContaining({
+          fullPage: false,
+          clip: { x: 90, y: 90, width: 320, height: 220 },
+        }),
+      )
+    })
+  })
+
+  describe('interaction actions', () => {
+    it('should glide the cursor to and highlight the element before hovering', async () => {
+      const ctx = createContext({ config: { showCursor: true }, recording: true })
+
+      await executeAction(ctx, { type: 'hover', selector: 'nav .menu' })
+
+      expect(ctx.page.mouse.move).toHaveBeenCalledWith(60, 40)
+      expect(ctx.page.locator).toHaveBeenCalledWith('nav .menu')
+      expect(ctx.page.hover).toHaveBeenCalledWith('nav .menu')
+    })
+
+    it('should replay recorded role= and text= selectors with the cursor on', async () => {
+      const recording = createRecording('http://localhost:3000/')
+      recording.navigated('http://localhost:3000/', 0)
+      recording.add({ type: 'click', selector: 'text="Pricing"' }, 100)
+      recording.add({ type: 'type', selector: 'role=textbox[name="Email"]', text: 'qa@x.io' }, 200)
+      recording.add({ type: 'check', selector: 'role=checkbox[name="Beta"]' }, 300)
+      recording.add({ type: 'select', selector: 'role=combobox[name="Plan"]', value: 'pro' }, 400)
+      const [step] = recording.toConfig({ title: 'Recorded' }).steps
+      // document.querySelector rejects these selectors, as it does in a real page
+      const page = createMockPage()
+      page.evaluate.mockImplementation(async (_fn, arg) => {
+        if (typeof arg === 'string' && /^(role|text)=/.test(arg)) {
+          throw new SyntaxError(`'${arg}' is not a valid selector`)
+        }
+      })
+      const ctx = createContext({ page, step, config: { showCursor: true } })
+
+      for (const action of step.actions) {
+        await executeAction(ctx, action)
+      }
+
+      expect(page.click).toHaveBeenCalledWith('text="Pricing"', { force: true })
+      expect(page.fill).toHaveBeenCalledWith('role=textbox[name="Email"]', 'qa@x.io')
+      expect(page.check).toHaveBeenCalledWith('role=checkbox[name="Beta"]')
+      expect(page.selectOption).toHaveBeenCalledWith('role=combobox[name="Plan"]', 'pro')
+      const highlighted = page.locator.mock.calls.map(([selector]) => selector)
+      expect(highlighted).toEqual(expect.arrayContaining(step.actions.map(a => a.selector)))
+    })
+
+    it('should type character by character and capture slideshow frames', async () => {
+      const input = { fill: vi.fn(), focus: vi.fn(), press: vi.fn() }
+      const ctx = createContext({
+        config: { typing: { delayMs: 50 } },
+        slideshow: { frames: [], capture: vi.fn() },
+      })
+      ctx.page.locator = vi.fn(() => ({ first: () => input }))
+
+      await executeAction(ctx, {
+        type: 'type',
+        selector: '#search',
+        text: 'running shoes',
+        clear: true,
+        pressEnter: true,
+      })
+
+      expect(ctx.page.fill).not.toHaveBeenCalled()
+      expect(input.fill).toHaveBeenCalledWith('')
+      expect(input.focus).toHaveBeenCalled()
+      expect(ctx.page.keyboard.type).toHaveBeenCalledTimes(13)
+      expect(ctx.page.keyboard.type.mock.calls.map(([key]) => key).join('')).toBe('running shoes')
+      expect(ctx.page.waitForTimeout).toHaveBeenCalledWith(50)
+      // One frame every 3 characters, but none for the finished text
+      expect(ctx.slideshow.capture).toHaveBeenCalledTimes(4)
+      expect(input.press).toHaveBeenCalledWith('Enter')
+    })
+
+    it('should fill instantly when typing is turned off for the action', async () => {
+      const ctx = createContext({ config: { typing: true } })
+
+      await executeAction(ctx, { type: 'type', selector: '#email', text: 'a@b.co', typing: false })
+
+      expect(ctx.page.fill).toHaveBeenCalledWith('#email', 'a@b.co')
+      expect(ctx.page.keyboard.type).not.toHaveBeenCalled()
+    })
+
+    it('should select dropdown options by label', async () => {
+      const ctx = createContext()
+
+      await executeAction(ctx, { type: 'select', selector: '#country', label: 'Germany' })
+
+      expect(ctx.page.selectOption).toHaveBeenCalledWith('#country', { label: 'Germany' })
+    })
+
+    it('should press key combos on the page when no selector is given', async () => {
+      const ctx = createContext()
+
+      await executeAction(ctx, { type: 'press', key: 'Control+K' })
+      await executeAction(ctx, { type: 'press', selector: '#search', key: 'Enter' })
+
+      expect(ctx.page.keyboard.press).toHaveBeenCalledWith('Control+K')
+      expect(ctx.page.press).toHaveBeenCalledWith('#search', 'Enter')
+    })
+
+    it('should check and uncheck checkboxes', async () => {
+      const ctx = createContext()
+
+      await executeAction(ctx, { type: 'check', selector: '#terms' })
+      await executeAction(ctx, { type: 'uncheck', selector: '#newsletter' })
+
+      expect(ctx.page.check).toHaveBeenCalledWith('#terms')
+      expect(ctx.page.uncheck).toHaveBeenCalledWith('#newsletter')
+    })
+
+    it('should upload fixture files resolved from the working directory', async () => {
+      const ctx = createContext()
+
+      await executeAction(ctx, {
+        type: 'upload',
+        selector: 'input[type=file]',
+        file: 'tests/fixtures/sample-config.json',
+      })
+
+      expect(ctx.page.setInputFiles).toHaveBeenCalledWith('input[type=file]', [
+        path.resolve('tests/fixtures/sample-config.json'),
+      ])
+    })
+
+    it('should resolve upload fixtures against the config file directory', async () => {
+      const ctx = createContext({ config: { configDir: path.resolve('tests') } })
+
+      await executeAction(ctx, {
+        type: 'upload',
+        selector: 'input[type=file]',
+        files: ['fixtures/sample-config.json', 'fixtures/custom-actions.mjs'],
+      })
+
+      expect(ctx.page.setInputFiles).toHaveBeenCalledWith('input[type=file]', [
+        path.resolve('tests/fixtures/sample-config.json'),
+        path.resolve('tests/fixtures/custom-actions.mjs'),
+      ])
+    })
+
+    it('should fail uploads whose fixture file is missing', async () => {
+      await expect(
+        executeAction(createContext(), { type: 'upload', selector: 'input', file: 'nope.png' }),
+      ).rejects.toThrow('Upload fixture not found')
+    })
+
+    it('should drag an element onto its target', async () => {
+      const ctx = createContext()
+
+      await executeAction(ctx, { type: 'dragTo', selector: '#item-1', target: '#item-3' })
+
+      const source = ctx.page.locator.mock.results[0].value
+      expect(source.selector).toBe('#item-1')
+      expect(source.dragTo).toHaveBeenCalledWith(expect.objectContaining({ selector: '#item-3' }))
+    })
+  })
+
+  describe('assertion actions', () => {
+    function withLocator(ctx, locator) {
+      ctx.page.locator = vi.fn(() => ({ first: () => locator, ...locator }))
+      return ctx
+    }
+
+    it('should record a passing text expectation', async () => {
+      const ctx = withLocator(createContext(), {
+        allTextContents: vi.fn().mockResolvedValue(['  Welcome back, Ada  ']),
+      })
+
+      await executeAction(ctx, { type: 'expectText', selector: 'h1', text: 'Welcome back' })
+
+      expect(ctx.recordCheck).toHaveBeenCalledWith(
+        expect.objectContaining({ passed: true, actual: 'Welcome back, Ada' }),
+      )
+    })
+
+    it('should record failures with the actual value instead of throwing', async () => {
+      const ctx = withLocator(createContext(), { count: vi.fn().mockResolvedValue(2) })
+
+      await executeAction(ctx, {
+        type: 'expectCount',
+        selector: '.cart-item',
+        count: 3,
+        timeout: 0,
+      })
+
+      expect(ctx.recordCheck).toHaveBeenCalledWith({
+        passed: false,
+        expectation: 'Expected 3 × .cart-item',
+        actual: 2,
+        message: 'Expected 3 × .cart-item (got 2)',
+      })
+    })
+
+    it('should retry until the expectation passes', async () => {
+      const isVisible = vi.fn().mockResolvedValueOnce(false).mockResolvedValue(true)
+      const ctx = withLocator(createContext(), { isVisible })
+
+      await executeAction(ctx, { type: 'expectVisible', selector: '.toast' })
+
+      expect(isVisible).toHaveBeenCalledTimes(2)
+      expect(ctx.recordCheck).toHaveBeenCalledWith(expect.objectContaining({ passed: true }))
+    })
+
+    it('should compare URLs against the base URL', async () => {
+      const ctx = createContext()
+      ctx.page.url = vi.fn(() => 'http://localhost:3000/checkout')
+
+      await executeAction(ctx, { type: 'expectUrl', url: '/checkout' })
+      await executeAction(ctx, { type: 'expectUrl', matches: '/thank-you$', timeout: 0 })
+
+      expect(ctx.recordCheck.mock.calls[0][0].passed).toBe(true)
+      expect(ctx.recordCheck.mock.calls[1][0].passed).toBe(false)
+    })
+
+    it('should check attribute values', async () => {
+      const ctx = withLocator(createContext(), {
+        count: vi.fn().mockResolvedValue(1),
+        getAttribute: vi.fn().mockResolvedValue('true'),
+      })
+
+      await executeAction(ctx, {
+        type: 'expectAttribute',
+        selector: '#menu',
+        name: 'aria-expanded',
+        value: 'true',
+      })
+
+      expect(ctx.recordCheck).toHaveBeenCalledWith(
+        expect.objectContaining({
+          passed: true,
+          expectation: 'Expected #menu [aria-expanded] to equal "true"',
+        }),
+      )
+    })
+  })
+
+  describe('waiting', () => {
+    it('should keep fixed sleeps when no waitUntil strategy is configured', async () => {
+      const ctx = createContext()
+
+      await executeAction(ctx, { type: 'click', selector: '#save' })
+
+      expect(ctx.page.waitForTimeout).toHaveBeenCalledWith(500)
+      expect(ctx.page.waitForLoadState).not.toHaveBeenCalled()
+    })
+
+    it('should wait for load state and animations instead of sleeping', async () => {
+      const ctx = createContext({ step: { name: 'Step', waitUntil: 'load' } })
+
+      await executeAction(ctx, { type: 'click', selector: '#save' })
+
+      expect(ctx.page.waitForLoadState).toHaveBeenCalledWith('load', { timeout: 10000 })
+      expect(ctx.page.waitForFunction).toHaveBeenCalled()
+      expect(ctx.page.waitForTimeout).not.toHaveBeenCalled()
+    })
+
+    it('should let actions override the step strategy', () => {
+      const config = { waitUntil: 'networkidle' }
+      const step = { waitUntil: 'load' }
+
+      expect(resolveWaitStrategy(config, step, { waitUntil: 'none' })).toBe('none')
+      expect(resolveWaitStrategy(config, step)).toBe('load')
+      expect(resolveWaitStrategy(config, {})).toBe('networkidle')
+      expect(() => resolveWaitStrategy({ waitUntil: 'eventually' })).toThrow(
+        'Unknown waitUntil strategy',
+      )
+    })
+
+    it('should start waiting for a response before running its trigger', async () => {
+      const ctx = createContext()
+      const order = []
+      ctx.page.waitForResponse.mockImplementation(() => {
+        order.push('listen')
+        return Promise.resolve()
+      })
+      ctx.page.click.mockImplementation(() => order.push('click'))
+
+      await executeAction(ctx, {
+        type: 'waitForResponse',
+        url: '**/api/cart',
+        trigger: { type: 'click', selector: '#add' },
+      })
+
+      expect(order).toEqual(['listen', 'click'])
+    })
+
+    it('should pass selector and function waits through to Playwright', async () => {
+      const ctx = createContext()
+
+      await executeAction(ctx, { type: 'waitForSelector', selector: '.toast', state: 'hidden' })
+      await executeAction(ctx, { type: 'waitForFunction', expression: 'window.appReady' })
+
+      expect(ctx.page.waitForSelector).toHaveBeenCalledWith('.toast', {
+        state: 'hidden',
+        timeout: undefined,
+      })
+      expect(ctx.page.waitForFunction).toHaveBeenCalledWith('window.appReady', undefined, {
+        timeout: undefined,
+        polling: undefined,
+      })
+    })
+  })
+
+  describe('toUrlMatcher', () => {
+    it('should match globs, regexes and substrings', () => {
+      expect(toUrlMatcher('**/api/cart')('https://shop.test/api/cart')).toBe(true)
+      expect(toUrlMatcher('**/api/*')('https://shop.test/api/cart/items')).toBe(false)
+      expect(toUrlMatcher('/\\/items\\?page=\\d+/')('https://shop.test/items?page=2')).toBe(true)
+      expect(toUrlMatcher('/api/cart')('https://shop.test/api/cart?x=1')).toBe(true)
+    })
+  })
+
+  describe('loadActionModules', () => {
+    it('should register actions from modules listed in the config', async () => {
+      await loadActionModules({
+        actionModules: [path.join('tests', 'fixtures', 'custom-actions.mjs')],
+      })
+
+      expect(getActionTypes()).toContain('seedCart')
+    })
+
+    it('should resolve module paths against the config file directory', async () => {
+      await loadActionModules({
+        actionModules: ['fixtures/custom-actions.mjs'],
+        configDir: 'tests',
+      })
+
+      expect(getActionTypes()).toContain('seedCart')
+    })
+
+    it('should report modules that cannot be loaded', async () => {
+      await expect(loadActionModules({ actionModules: ['missing-actions.mjs'] })).rejects.toThrow(
+        'Failed to load action module missing-actions.mjs',
+      )
+    })
+  })
+
+  describe('resolveUrl', () => {
+    it('should leave absolute URLs untouched', () => {
+      expect(resolveUrl('https://example.com/a', 'http://localhost')).toBe('https://example.com/a')
+      expect(resolveUrl('/a', 'http://localhost')).toBe('http://localhost/a')
+    })
+  })
+})
@@ -0,0 +1,71 @@
+import { describe, it, expect, vi } from 'vitest'
+
+import { getDocumentRect, drawAnnotations, clearAnnotations } from '../src/annotations.mjs'
+
+// Page whose elements are looked up from a selector → bounding box map
+function createMockPage(boxes, scroll = { x: 0, y: 0 }) {
+  return {
+    locator: vi.fn(selector => ({
+      first: () => ({ boundingBox: vi.fn().mockResolvedValue(boxes[selector] || null) }),
+    })),
+    evaluate: vi.fn((fn, arg) => (arg === undefined ? scroll : undefined)),
+  }
+}
+
+describe('Annotations', () => {
+  describe('getDocumentRect', () => {
+    it('should offset viewport boxes by the scroll position', async () => {
+      const page = createMockPage(
+        { '.price': { x: 40, y: 100, width: 200, height: 30 } },
+        { x: 0, y: 1200 },
+      )
+
+      const rect = await getDocumentRect(page, '.price')
+
+      expect(rect).toEqual({ x: 40, y: 1300, width: 200, height: 30 })
+    })
+  })
+
+  describe('drawAnnotations', () => {
+    it('should number callouts and skip elements that are not found', async () => {
+      const page = createMockPage({
+        '.price': { x: 40, y: 100, width: 200, height: 30 },
+        '.cta': { x: 40, y: 200, width: 120, height: 40 },
+      })
+
+      const callouts = await drawAnnotations(page, [
+        { selector: '.price', label: 'New price format' },
+        { selector: '.missing', label: 'Gone' },
+        { selector: '.cta', label: 'Bigger button', style: 'arrow' },
+      ])
+
+      expect(callouts).toEqual([
+        { number: 1, label: 'New price format', style: 'box' },
+        { number: 3, label: 'Bigger button', style: 'arrow' },
+      ])
+      const [, overlay] = page.evaluate.mock.calls.at(-1)
+      expect(overlay.items[1]).toEqual(
+        expect.objectContaining({ number: 3, rect: { x: 40, y: 200, width: 120, height: 40 } }),
+      )
+    })
+
+    it('should reject unknown styles', async () => {
+      await expect(
+        drawAnnotations(createMockPage({}), [{ selector: '.a', style: 'sparkles' }]),
+      ).rejects.toThrow('Unknown annotation style "sparkles"')
+    })
+  })
+
+  describe('clearAnnotations', () => {
+    it('should remove the overlay by id', async () => {
+      const page = createMockPage({})
+
+      await clearAnnotations(page)
+
+      expect(page.evaluate).toHaveBeenCalledWith(
+        expect.any(Function),
+        '__browser-review-annotations',
+      )
+    })
+  })
+})
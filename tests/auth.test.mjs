@@ -0,0 +1,161 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { authCacheFile, normalizeCookies, withLocalStorage, resolveAuth } from '../src/auth.mjs'
+
+describe('auth', () => {
+  let tmpDir
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'browser-review-auth-'))
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+  })
+
+  afterEach(async () => {
+    vi.restoreAllMocks()
+    await fs.rm(tmpDir, { recursive: true, force: true })
+  })
+
+  it('should scope cookies without a url or domain to the base URL origin', () => {
+    const cookies = normalizeCookies(
+      [
+        { name: 'session', value: 'abc' },
+        { name: 'tracking', value: 'off', domain: '.example.com', path: '/' },
+      ],
+      'http://localhost:3000/app',
+    )
+
+    expect(cookies).toEqual([
+      { name: 'session', value: 'abc', url: 'http://localhost:3000' },
+      { name: 'tracking', value: 'off', domain: '.example.com', path: '/' },
+    ])
+  })
+
+  it('should merge localStorage entries into the storage state for the base URL', () => {
+    const state = {
+      cookies: [],
+      origins: [
+        {
+          origin: 'http://localhost:3000',
+          localStorage: [
+            { name: 'theme', value: 'light' },
+            { name: 'token', value: 'old' },
+          ],
+        },
+      ],
+    }
+
+    const merged = withLocalStorage(
+      state,
+      { token: 'new', flags: { beta: true } },
+      'http://localhost:3000',
+    )
+
+    expect(merged.origins[0].localStorage).toEqual([
+      { name: 'theme', value: 'light' },
+      { name: 'token', value: 'new' },
+      { name: 'flags', value: '{"beta":true}' },
+    ])
+    expect(withLocalStorage(null, undefined, 'http://localhost:3000')).toBeNull()
+  })
+
+  it('should return null without an auth block', async () => {
+    expect(await resolveAuth({ baseUrl: 'http://localhost:3000' })).toBeNull()
+  })
+
+  it('should build context options from a storage state file and HTTP credentials', async () => {
+    const statePath = path.join(tmpDir, 'state.json')
+    await fs.writeFile(statePath, JSON.stringify({ cookies: [{ name: 'sid' }], origins: [] }))
+
+    const auth = await resolveAuth({
+      baseUrl: 'http://localhost:3000',
+      auth: {
+        storageState: statePath,
+        httpCredentials: { username: 'client', password: 'preview' },
+      },
+    })
+
+    expect(auth.contextOptions).toEqual({
+      storageState: { cookies: [{ name: 'sid' }], origins: [] },
+      httpCredentials: { username: 'client', password: 'preview' },
+    })
+  })
+
+  it('should read the storage state file relative to the config file', async () => {
+    await fs.writeFile(
+      path.join(tmpDir, 'state.json'),
+      JSON.stringify({ cookies: [], origins: [] }),
+    )
+
+    const auth = await resolveAuth({
+      baseUrl: 'http://localhost:3000',
+      configDir: tmpDir,
+      auth: { storageState: 'state.json' },
+    })
+
+    expect(auth.contextOptions.storageState).toEqual({ cookies: [], origins: [] })
+  })
+
+  it('should report a missing storage state file', async () => {
+    await expect(
+      resolveAuth({
+        baseUrl: 'http://localhost:3000',
+        auth: { storageState: path.join(tmpDir, 'missing.json') },
+      }),
+    ).rejects.toThrow('Auth storageState file not found')
+  })
+
+  it('should cache logins per baseUrl origin unless a cacheFile is set', () => {
+    const auth = { setupSteps: [{ url: '/login' }] }
+
+    expect(authCacheFile({ baseUrl: 'http://localhost:3000/app', auth })).toBe(
+      '.browser-review/auth-state-localhost-3000.json',
+    )
+    expect(authCacheFile({ baseUrl: 'https://staging.example.com', auth })).toBe(
+      '.browser-review/auth-state-staging.example.com.json',
+    )
+    expect(
+      authCacheFile({ baseUrl: 'http://localhost:3000', auth: { ...auth, cacheFile: 'a.json' } }),
+    ).toBe('a.json')
+  })
+
+  it('should run setup steps once and reuse the cached state', async () => {
+    const cacheFile = path.join(tmpDir, 'auth-state.json')
+    const config = {
+      baseUrl: 'http://localhost:3000',
+      auth: { cacheFile, setupSteps: [{ url: '/login', actions: [] }] },
+    }
+    const loggedIn = { cookies: [{ name: 'session', value: 'xyz' }], origins: [] }
+    const runSetup = vi.fn().mockResolvedValue(loggedIn)
+
+    const first = await resolveAuth(config, { runSetup })
+    const second = await resolveAuth(config, { runSetup })
+
+    expect(runSetup).toHaveBeenCalledTimes(1)
+    expect(first.contextOptions.storageState).toEqual(loggedIn)
+    expect(second.contextOptions.storageState).toEqual(loggedIn)
+    expect(JSON.parse(await fs.readFile(cacheFile, 'utf-8'))).toEqual(loggedIn)
+
+    await resolveAuth(config, { runSetup, refresh: true })
+    expect(runSetup).toHaveBeenCalledTimes(2)
+  })
+
+  it('should rerun setup steps once the cache is older than maxAge', async () => {
+    const cacheFile = path.join(tmpDir, 'auth-state.json')
+    await fs.writeFile(cacheFile, JSON.stringify({ cookies: [], origins: [] }))
+    const hourAgo = new Date(Date.now() - 60 * 60 * 1000)
+    await fs.utimes(cacheFile, hourAgo, hourAgo)
+    const runSetup = vi.fn().mockResolvedValue({ cookies: [], origins: [] })
+
+    await resolveAuth(
+      {
+        baseUrl: 'http://localhost:3000',
+        auth: { cacheFile, maxAge: 30, setupSteps: [{ actions: [] }] },
+      },
+      { runSetup },
+    )
+
+    expect(runSetup).toHaveBeenCalledTimes(1)
+  })
+})
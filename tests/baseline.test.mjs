@@ -0,0 +1,167 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { PNG } from 'pngjs'
+import {
+  resolveBaselineDir,
+  compareImages,
+  compareWithBaseline,
+  updateBaseline,
+} from '../src/baseline.mjs'
+
+// Write a solid white PNG, with optional red pixels at [x, y]
+async function writePng(filePath, { width = 10, height = 10, red = [] } = {}) {
+  const png = new PNG({ width, height })
+  png.data.fill(255)
+  for (const [x, y] of red) {
+    const index = (y * width + x) * 4
+    png.data[index + 1] = 0
+    png.data[index + 2] = 0
+  }
+  await fs.mkdir(path.dirname(filePath), { recursive: true })
+  await fs.writeFile(filePath, PNG.sync.write(png))
+  return filePath
+}
+
+describe('baseline', () => {
+  let tmpDir
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'browser-review-baseline-'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true })
+  })
+
+  describe('compareImages', () => {
+    it('should count changed pixels and write a diff image', async () => {
+      const before = await writePng(path.join(tmpDir, 'before.png'))
+      const after = await writePng(path.join(tmpDir, 'after.png'), {
+        red: [
+          [1, 1],
+          [2, 2],
+        ],
+      })
+      const diffPath = path.join(tmpDir, 'diff.png')
+
+      const result = await compareImages(after, before, diffPath)
+
+      expect(result).toEqual({ diffPixels: 2, mismatch: 2, sizeChanged: false })
+      const diff = PNG.sync.read(await fs.readFile(diffPath))
+      expect(diff.width).toBe(10)
+    })
+
+    it('should leave ignored regions out of the diff', async () => {
+      const before = await writePng(path.join(tmpDir, 'before.png'))
+      const after = await writePng(path.join(tmpDir, 'after.png'), {
+        red: [
+          [1, 1],
+          [8, 8],
+        ],
+      })
+
+      const result = await compareImages(after, before, path.join(tmpDir, 'diff.png'), {
+        ignore: [{ x: 0, y: 0, width: 5, height: 5 }],
+      })
+
+      expect(result.diffPixels).toBe(1)
+    })
+
+    it('should count the extra area of a taller capture as changed', async () => {
+      const before = await writePng(path.join(tmpDir, 'before.png'))
+      const after = await writePng(path.join(tmpDir, 'after.png'), { height: 20 })
+
+      const result = await compareImages(after, before, path.join(tmpDir, 'diff.png'))
+
+      expect(result).toEqual({ diffPixels: 100, mismatch: 50, sizeChanged: true })
+    })
+  })
+
+  describe('resolveBaselineDir', () => {
+    it('should use the artifacts folder of a previous run output', async () => {
+      await fs.mkdir(path.join(tmpDir, 'artifacts'))
+
+      expect(await resolveBaselineDir(tmpDir)).toBe(path.join(tmpDir, 'artifacts'))
+      expect(await resolveBaselineDir(path.join(tmpDir, 'artifacts'))).toBe(
+        path.join(tmpDir, 'artifacts'),
+      )
+    })
+  })
+
+  describe('compareWithBaseline', () => {
+    it('should match screenshots by file name and fail over maxDiffPercent', async () => {
+      const baselineDir = path.join(tmpDir, 'previous')
+      const artifactsDir = path.join(tmpDir, 'current', 'artifacts')
+      await writePng(path.join(baselineDir, 'artifacts', 'home-desktop.png'))
+      await writePng(path.join(baselineDir, 'artifacts', 'cart-desktop.png'))
+      const artifacts = [
+        {
+          type: 'screenshot',
+          name: 'home',
+          stepIndex: 0,
+          stepName: 'Home',
+          viewport: 'desktop',
+          path: await writePng(path.join(artifactsDir, 'home-desktop.png'), { red: [[0, 0]] }),
+        },
+        {
+          type: 'screenshot',
+          name: 'cart',
+          stepIndex: 1,
+          stepName: 'Cart',
+          viewport: 'desktop',
+          path: await writePng(path.join(artifactsDir, 'cart-desktop.png')),
+        },
+        {
+          type: 'screenshot',
+          name: 'checkout',
+          stepIndex: 2,
+          stepName: 'Checkout',
+          viewport: 'desktop',
+          path: await writePng(path.join(artifactsDir, 'checkout-desktop.png')),
+        },
+      ]
+      const results = { checks: [] }
+      const config = { baseline: baselineDir, visualDiff: { maxDiffPercent: 0.5 } }
+
+      const compared = await compareWithBaseline(config, artifacts, results, artifactsDir)
+
+      expect(compared).toEqual({ changed: 1, unchanged: 1, new: 1 })
+      expect(artifacts[0].comparison).toMatchObject({
+        status: 'changed',
+        mismatch: 1,
+        baselinePath: path.join(artifactsDir, 'home-desktop-baseline.png'),
+        diffPath: path.join(artifactsDir, 'home-desktop-diff.png'),
+      })
+      expect(artifacts[2].comparison).toEqual({ status: 'new' })
+      await expect(fs.access(path.join(artifactsDir, 'home-desktop-diff.png'))).resolves.toBe(
+        undefined,
+      )
+      expect(results.checks.map(check => [check.stepIndex, check.passed])).toEqual([
+        [0, false],
+        [1, true],
+      ])
+      expect(results.checks[0].message).toBe('home: 1% changed, over 0.5%')
+    })
+  })
+
+  describe('updateBaseline', () => {
+    it('should copy the raw screenshots into the baseline directory', async () => {
+      const artifactsDir = path.join(tmpDir, 'current')
+      const artifacts = [
+        {
+          type: 'screenshot',
+          path: await writePng(path.join(artifactsDir, 'home-desktop.png')),
+          annotatedPath: path.join(artifactsDir, 'home-desktop-annotated.png'),
+        },
+        { type: 'video', path: path.join(artifactsDir, 'flow.webm') },
+      ]
+
+      const promoted = await updateBaseline(path.join(tmpDir, 'baseline'), artifacts)
+
+      expect(promoted).toEqual({ dir: path.join(tmpDir, 'baseline'), count: 1 })
+      expect(await fs.readdir(path.join(tmpDir, 'baseline'))).toEqual(['home-desktop.png'])
+    })
+  })
+})
@@ -0,0 +1,74 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest'
+
+const { launchChromium, launchFirefox } = vi.hoisted(() => ({
+  launchChromium: vi.fn(),
+  launchFirefox: vi.fn(),
+}))
+
+vi.mock('playwright', () => ({
+  chromium: { launch: launchChromium },
+  firefox: { launch: launchFirefox },
+  webkit: { launch: vi.fn() },
+}))
+
+const { resolveBrowsers, getLaunchOptions, adaptContextOptions, launchBrowser } = await import(
+  '../src/browsers.mjs'
+)
+
+describe('browsers', () => {
+  beforeEach(() => {
+    vi.clearAllMocks()
+  })
+
+  it('should default to chromium', () => {
+    expect(resolveBrowsers({})).toEqual(['chromium'])
+  })
+
+  it('should normalize and dedupe browser names', () => {
+    expect(resolveBrowsers({ browsers: ['Chromium', 'webkit', 'chromium'] })).toEqual([
+      'chromium',
+      'webkit',
+    ])
+    expect(resolveBrowsers({ browsers: 'firefox, webkit' })).toEqual(['firefox', 'webkit'])
+  })
+
+  it('should reject unknown engines', () => {
+    expect(() => resolveBrowsers({ browsers: ['safari'] })).toThrow(
+      'Unknown browser "safari". Use one of: chromium, firefox, webkit',
+    )
+  })
+
+  it('should only pass sandbox args to chromium', () => {
+    expect(getLaunchOptions('chromium', {}).args).toContain('--no-sandbox')
+    expect(getLaunchOptions('firefox', {})).toEqual({ headless: true })
+    expect(getLaunchOptions('webkit', { headless: false })).toEqual({ headless: false })
+  })
+
+  it('should drop isMobile for firefox only', () => {
+    const options = { viewport: { width: 390, height: 664 }, isMobile: true, hasTouch: true }
+
+    expect(adaptContextOptions('firefox', options)).toEqual({
+      viewport: { width: 390, height: 664 },
+      hasTouch: true,
+    })
+    expect(adaptContextOptions('webkit', options)).toBe(options)
+  })
+
+  it('should launch the requested engine', async () => {
+    launchFirefox.mockResolvedValue({ name: 'firefox-browser' })
+
+    const browser = await launchBrowser('firefox', { headless: true })
+
+    expect(browser).toEqual({ name: 'firefox-browser' })
+    expect(launchFirefox).toHaveBeenCalledWith({ headless: true })
+    expect(launchChromium).not.toHaveBeenCalled()
+  })
+
+  it('should explain how to install a missing engine', async () => {
+    launchFirefox.mockRejectedValue(new Error("Executable doesn't exist"))
+
+    await expect(launchBrowser('firefox', {})).rejects.toThrow(
+      'npx playwright install firefox',
+    )
+  })
+})
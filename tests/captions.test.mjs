@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'vitest'
+import fs from 'fs/promises'
+import {
+  resolveCaptionOptions,
+  validateCaptions,
+  actionCaption,
+  createCaptionTrack,
+  slideshowOverlay,
+  videoOverlay,
+  buildOverlayFilter,
+  writeOverlayFilter,
+} from '../src/captions.mjs'
+
+const textFiles = { title: '/tmp/c/title.txt', segments: ['/tmp/c/caption-0.txt'] }
+
+describe('captions', () => {
+  describe('resolveCaptionOptions', () => {
+    it('should be off by default and let a step override the config', () => {
+      expect(resolveCaptionOptions({})).toBeNull()
+      expect(resolveCaptionOptions({ captions: true }, { captions: false })).toBeNull()
+      expect(resolveCaptionOptions({}, { captions: { titleCard: true, progress: true } })).toEqual({
+        titleCard: 2,
+        progress: true,
+        fontSize: 28,
+        fontFile: null,
+      })
+    })
+  })
+
+  describe('validateCaptions', () => {
+    it('should reject malformed options', () => {
+      expect(() => validateCaptions(true, 'Config')).not.toThrow()
+      expect(() => validateCaptions('yes', 'Config')).toThrow(
+        'Config: captions must be true, false or an options object',
+      )
+      expect(() => validateCaptions({ fontSize: 0 }, 'Step "Checkout"')).toThrow(
+        'Step "Checkout": captions.fontSize must be a positive number',
+      )
+    })
+  })
+
+  describe('actionCaption', () => {
+    it('should prefer the action caption and otherwise describe the action', () => {
+      expect(actionCaption({ type: 'click', selector: '#buy', caption: 'Add to cart' })).toBe(
+        'Add to cart',
+      )
+      expect(actionCaption({ type: 'click', selector: '#buy' })).toBe('Click: #buy')
+      expect(actionCaption({ type: 'type', selector: '#email', text: 'a@b.co' })).toBe(
+        'Type into #email',
+      )
+      expect(actionCaption({ type: 'waitForTimeout', ms: 500 })).toBe('Wait for timeout: 500 ms')
+      expect(actionCaption({ type: 'dragTo', selector: '.card', target: '.done' })).toBe(
+        'Drag to: .card → .done',
+      )
+      expect(actionCaption({ type: 'scroll' })).toBe('Scroll')
+    })
+  })
+
+  it('should keep typed secrets out of captions', () => {
+    const password = { type: 'type', selector: '#password', text: 'hunter2' }
+    const track = createCaptionTrack({ fontSize: 28, titleCard: 0, progress: false })
+    track.add(password, 1)
+
+    expect(actionCaption(password)).toBe('Type into #password')
+    expect(JSON.stringify(slideshowOverlay(track, 'Login', 2, 1))).not.toContain('hunter2')
+  })
+
+  describe('overlays', () => {
+    it('should time slideshow captions by frame', () => {
+      const track = createCaptionTrack({ fontSize: 28, titleCard: 0, progress: false })
+      track.add({ type: 'click', selector: '#a' }, 1)
+      track.add({ type: 'hover', selector: '#b' }, 3)
+
+      expect(slideshowOverlay(track, 'Checkout', 6, 2).segments).toEqual([
+        { text: 'Click: #a', start: 0.5, end: 1.5 },
+        { text: 'Hover: #b', start: 1.5, end: 3 },
+      ])
+    })
+
+    it('should time video captions from the start of the recording', () => {
+      const track = createCaptionTrack({ fontSize: 28 }, Date.now() - 1000)
+      track.add({ type: 'click', selector: '#a' })
+
+      const overlay = videoOverlay(track, 'Checkout', track.startedAt + 4000)
+
+      expect(overlay.title).toBe('Checkout')
+      expect(overlay.duration).toBe(4)
+      expect(overlay.segments[0].start).toBeGreaterThanOrEqual(1)
+      expect(overlay.segments[0].end).toBe(4)
+    })
+  })
+
+  describe('buildOverlayFilter', () => {
+    const overlay = {
+      title: 'Checkout',
+      fontSize: 20,
+      titleCard: 0,
+      progress: false,
+      duration: 3,
+      segments: [{ text: 'Click: #a', start: 0.5, end: 3 }],
+    }
+
+    it('should draw the title bar and each caption while its action runs', () => {
+      expect(buildOverlayFilter(overlay, textFiles)).toBe(
+        [
+          'drawbox=x=0:y=0:w=iw:h=36:color=black@0.6:t=fill',
+          "drawtext=textfile='/tmp/c/title.txt':expansion=none:fontsize=20:fontcolor=white:" +
+            'x=24:y=(36-th)/2',
+          "drawbox=x=0:y=ih-36:w=iw:h=36:color=black@0.6:t=fill:enable='between(t,0.5,3)'",
+          "drawtext=textfile='/tmp/c/caption-0.txt':expansion=none:fontsize=20:fontcolor=white:" +
+            "x=(w-tw)/2:y=h-36+(36-th)/2:enable='between(t,0.5,3)'",
+        ].join(','),
+      )
+    })
+
+    it('should shift captions after a title card and slide in a progress bar', () => {
+      const filter = buildOverlayFilter({ ...overlay, titleCard: 2, progress: true }, textFiles)
+
+      expect(filter).toMatch(/^tpad=start_duration=2:start_mode=clone,/)
+      expect(filter).toContain("enable='between(t,2.5,5)'")
+      expect(filter).toContain("[captioned][progress]overlay=x='W*t/5-w':y=H-h:shortest=1")
+    })
+  })
+
+  it('should write caption text to files and remove them on cleanup', async () => {
+    const { filter, cleanup } = await writeOverlayFilter({
+      title: "Bob's checkout: 100%",
+      fontSize: 28,
+      duration: 1,
+      segments: [{ text: 'Click: #buy', start: 0, end: 1 }],
+    })
+    const titleFile = filter.match(/textfile='([^']+)'/)[1]
+
+    expect(await fs.readFile(titleFile, 'utf8')).toBe("Bob's checkout: 100%")
+    await cleanup()
+    await expect(fs.access(titleFile)).rejects.toThrow()
+  })
+})
@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest'
+import { rebaseUrl, resolveSides, validateCompare, pairSides } from '../src/compare.mjs'
+
+describe('compare', () => {
+  describe('rebaseUrl', () => {
+    it('should keep the path, query and hash on the new base URL', () => {
+      expect(
+        rebaseUrl('http://localhost:3000/pricing?plan=pro#faq', 'https://staging.example.com/'),
+      ).toBe('https://staging.example.com/pricing?plan=pro#faq')
+    })
+  })
+
+  describe('resolveSides', () => {
+    it('should run once without compare', () => {
+      const config = { baseUrl: 'http://localhost:3000' }
+
+      expect(resolveSides(config)).toEqual([{ name: null, config }])
+    })
+
+    it('should give each side its own base URL and login cache', () => {
+      const config = {
+        baseUrl: 'http://localhost:3000',
+        url: 'http://localhost:3000/pricing',
+        compare: { before: 'https://example.com', after: 'https://staging.example.com' },
+        auth: { setupSteps: [{ url: '/login' }] },
+      }
+
+      const [before, after] = resolveSides(config)
+
+      expect(before.name).toBe('before')
+      expect(before.config.baseUrl).toBe('https://example.com')
+      expect(before.config.url).toBe('https://example.com/pricing')
+      expect(before.config.auth.cacheFile).toBe(
+        '.browser-review/auth-state-example.com-before.json',
+      )
+      expect(after.config.baseUrl).toBe('https://staging.example.com')
+      expect(after.config.auth.cacheFile).toBe(
+        '.browser-review/auth-state-staging.example.com-after.json',
+      )
+      expect(config.auth.cacheFile).toBeUndefined()
+    })
+
+    it('should move absolute URLs on the primary origin onto each side', () => {
+      const config = {
+        baseUrl: 'http://localhost:3000',
+        compare: { before: 'https://example.com', after: 'https://staging.example.com' },
+        steps: [
+          {
+            name: 'Pricing',
+            url: 'http://localhost:3000/pricing?plan=pro',
+            actions: [
+              { type: 'navigate', url: 'http://localhost:3000/checkout' },
+              { type: 'expectUrl', url: 'http://localhost:3000/checkout' },
+              { type: 'navigate', url: 'https://docs.example.org/help' },
+              { type: 'navigate', url: '/account' },
+            ],
+          },
+        ],
+      }
+
+      const [, after] = resolveSides(config)
+
+      expect(after.config.steps[0].url).toBe('https://staging.example.com/pricing?plan=pro')
+      expect(after.config.steps[0].actions.map(action => action.url)).toEqual([
+        'https://staging.example.com/checkout',
+        'https://staging.example.com/checkout',
+        'https://docs.example.org/help',
+        '/account',
+      ])
+      expect(config.steps[0].url).toBe('http://localhost:3000/pricing?plan=pro')
+    })
+
+    it('should apply the same rule to the page URL and nested trigger actions', () => {
+      const config = {
+        baseUrl: 'http://localhost:3000',
+        url: 'https://docs.example.org/start',
+        compare: { before: 'https://example.com', after: 'https://staging.example.com' },
+        steps: [
+          {
+            name: 'Checkout',
+            actions: [
+              {
+                type: 'waitForResponse',
+                url: 'http://localhost:3000/api/order',
+                trigger: { type: 'navigate', url: 'http://localhost:3000/checkout' },
+              },
+            ],
+          },
+        ],
+      }
+
+      const [, after] = resolveSides(config)
+
+      expect(after.config.url).toBe('https://docs.example.org/start')
+      expect(after.config.steps[0].actions[0]).toEqual({
+        type: 'waitForResponse',
+        url: 'https://staging.example.com/api/order',
+        trigger: { type: 'navigate', url: 'https://staging.example.com/checkout' },
+      })
+    })
+  })
+
+  describe('validateCompare', () => {
+    it('should require valid before and after base URLs', () => {
+      expect(() => validateCompare(undefined)).not.toThrow()
+      expect(() => validateCompare('https://example.com')).toThrow('compare must be an object')
+      expect(() => validateCompare({ before: 'https://example.com', after: 'staging' })).toThrow(
+        'compare.after must be a valid base URL',
+      )
+    })
+  })
+
+  describe('pairSides', () => {
+    it('should merge matching before and after screenshots and keep the rest', () => {
+      const shot = { type: 'screenshot', stepIndex: 0, name: 'home', viewport: 'desktop' }
+      const before = { ...shot, side: 'before', path: '/a/home-desktop-before.png' }
+      const after = { ...shot, side: 'after', path: '/a/home-desktop-after.png' }
+      const mobileBefore = { ...before, viewport: 'mobile', path: '/a/home-mobile-before.png' }
+      const video = {
+        type: 'video',
+        stepIndex: 0,
+        name: 'flow',
+        side: 'after',
+        path: '/a/flow.webm',
+      }
+
+      const paired = pairSides([before, mobileBefore, after, video])
+
+      expect(paired).toEqual([mobileBefore, { ...after, before }, video])
+    })
+  })
+})
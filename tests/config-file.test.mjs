@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import {
+  readConfigFile,
+  writeConfigFile,
+  checkConfig,
+  formatProblems,
+} from '../src/config-file.mjs'
+
+const ACTION_TYPES = ['click', 'navigate', 'select', 'screenshot']
+
+describe('config files', () => {
+  let tmpDir
+
+  beforeEach(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'config-file-'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(tmpDir, { recursive: true, force: true })
+  })
+
+  describe('readConfigFile', () => {
+    it('should read YAML by extension and JSON otherwise', async () => {
+      await fs.writeFile(
+        path.join(tmpDir, 'review.yaml'),
+        ['title: Checkout', 'steps:', '  - name: Cart', '    record: true', ''].join('\n'),
+      )
+      await fs.writeFile(path.join(tmpDir, 'review.json'), '{ "title": "Checkout" }')
+
+      expect(await readConfigFile(path.join(tmpDir, 'review.yaml'))).toEqual({
+        title: 'Checkout',
+        steps: [{ name: 'Cart', record: true }],
+      })
+      expect(await readConfigFile(path.join(tmpDir, 'review.json'))).toEqual({ title: 'Checkout' })
+    })
+
+    it('should write configs in the format of their extension', async () => {
+      const config = { title: 'Checkout', steps: [{ name: 'Cart', url: '/cart' }] }
+
+      for (const file of ['review.yml', 'review.json']) {
+        await writeConfigFile(path.join(tmpDir, file), config)
+        expect(await readConfigFile(path.join(tmpDir, file))).toEqual(config)
+      }
+      expect(await fs.readFile(path.join(tmpDir, 'review.yml'), 'utf8')).toContain(
+        'title: Checkout',
+      )
+    })
+
+    it('should name missing and malformed files', async () => {
+      const broken = path.join(tmpDir, 'broken.yml')
+      await fs.writeFile(broken, 'steps: [')
+
+      await expect(readConfigFile(path.join(tmpDir, 'missing.json'))).rejects.toThrow(
+        'Config file not found:',
+      )
+      await expect(readConfigFile(broken, 'included fragment file', 'broken.yml')).rejects.toThrow(
+        'Invalid YAML in included fragment file broken.yml:',
+      )
+    })
+  })
+
+  describe('checkConfig', () => {
+    it('should accept a valid config', () => {
+      const config = {
+        title: 'Checkout',
+        steps: [{ name: 'Cart', actions: [{ type: 'click', selector: '#buy', retries: 1 }] }],
+      }
+
+      expect(checkConfig(config, { actionTypes: ACTION_TYPES })).toEqual([])
+    })
+
+    it('should report every problem with its path, step and action', () => {
+      const config = {
+        videoFormat: 'avi',
+        steps: [
+          {
+            name: 'Cart',
+            actions: [
+              { type: 'click' },
+              { type: 'select', selector: '#size' },
+              { type: 'clik', selector: '#buy' },
+            ],
+          },
+          { url: '/' },
+        ],
+      }
+
+      expect(formatProblems(checkConfig(config, { actionTypes: ACTION_TYPES }))).toBe(
+        [
+          '  steps[0].actions[0].selector (Step 1 "Cart", action 1 (click)): is required',
+          '  steps[0].actions[1] (Step 1 "Cart", action 2 (select)): needs one of: value, values, label',
+          '  steps[1].name (Step 2): is required',
+          '  videoFormat: must be one of: slideshow, webm, mp4, gif, webp, apng',
+          '  steps[0].actions[2].type (Step 1 "Cart", action 3 (clik)): unknown action type "clik"',
+        ].join('\n'),
+      )
+    })
+
+    it('should accept browsers as a list or a comma-separated string', () => {
+      for (const browsers of [['chromium', 'webkit'], 'chromium, webkit', 'firefox']) {
+        expect(checkConfig({ browsers })).toEqual([])
+      }
+      expect(checkConfig({ browsers: 'chromium,chrome' })).toEqual([
+        expect.objectContaining({ path: 'browsers' }),
+      ])
+    })
+
+    it('should leave action types unchecked without a list of registered types', () => {
+      const config = { steps: [{ name: 'Cart', actions: [{ type: 'openDrawer' }] }] }
+
+      expect(checkConfig(config)).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,55 @@
+import { describe, it, expect, vi } from 'vitest'
+import { HIDE_CURSOR_CSS, moveCursor } from '../src/cursor.mjs'
+
+function createPage(box) {
+  const element = {
+    scrollIntoViewIfNeeded: vi.fn().mockResolvedValue(),
+    boundingBox: vi.fn().mockResolvedValue(box),
+  }
+  return {
+    element,
+    locator: vi.fn(() => ({ first: () => element })),
+    mouse: { move: vi.fn() },
+    waitForTimeout: vi.fn(),
+  }
+}
+
+describe('cursor', () => {
+  describe('moveCursor', () => {
+    it('should move the mouse to the element centre and wait for the glide', async () => {
+      const page = createPage({ x: 100, y: 40, width: 80, height: 20 })
+
+      await moveCursor({ page, config: { showCursor: true }, recording: true }, 'button.buy')
+
+      expect(page.locator).toHaveBeenCalledWith('button.buy')
+      expect(page.element.scrollIntoViewIfNeeded).toHaveBeenCalled()
+      expect(page.mouse.move).toHaveBeenCalledWith(140, 50)
+      expect(page.waitForTimeout).toHaveBeenCalledWith(450)
+    })
+
+    it('should skip hidden elements and do nothing when showCursor is off', async () => {
+      const hidden = createPage(null)
+      await moveCursor({ page: hidden, config: { showCursor: true }, recording: true }, '.missing')
+      expect(hidden.mouse.move).not.toHaveBeenCalled()
+
+      const off = createPage({ x: 0, y: 0, width: 10, height: 10 })
+      await moveCursor({ page: off, config: { showCursor: false }, recording: true }, 'button')
+      expect(off.locator).not.toHaveBeenCalled()
+    })
+
+    it('should not move or wait in steps that are not recorded', async () => {
+      const page = createPage({ x: 0, y: 0, width: 10, height: 10 })
+
+      await moveCursor({ page, config: { showCursor: true }, recording: false }, 'button')
+
+      expect(page.mouse.move).not.toHaveBeenCalled()
+      expect(page.waitForTimeout).not.toHaveBeenCalled()
+    })
+  })
+
+  it('should hide the cursor and ripples from explicit screenshots', () => {
+    expect(HIDE_CURSOR_CSS).toBe(
+      '#__browser-review-cursor, .__browser-review-cursor-ripple { display: none !important; }',
+    )
+  })
+})
@@ -0,0 +1,150 @@
+import { describe, it, expect } from 'vitest'
+import { resolveConsoleOptions, createDiagnostics, countByLevel } from '../src/diagnostics.mjs'
+
+// Minimal BrowserContext stand-in that lets tests emit events
+function createMockContext() {
+  const listeners = {}
+  return {
+    on: (event, handler) => {
+      listeners[event] = handler
+    },
+    emit: (event, payload) => listeners[event](payload),
+  }
+}
+
+function consoleMessage(type, text) {
+  return {
+    type: () => type,
+    text: () => text,
+    location: () => ({ url: 'http://localhost:3000/app.js', lineNumber: 12 }),
+  }
+}
+
+const step = { name: 'Checkout', actions: [{ type: 'navigate' }, { type: 'click' }] }
+const activity = {
+  step,
+  stepIndex: 2,
+  browserName: 'webkit',
+  viewport: { name: 'mobile' },
+  actionIndex: 1,
+}
+
+describe('diagnostics', () => {
+  it('should default to capturing warnings and errors', () => {
+    expect(resolveConsoleOptions({})).toEqual({ level: 'warning', failOnError: false, ignore: [] })
+    expect(() => resolveConsoleOptions({ console: { level: 'debug' } })).toThrow(
+      'console.level must be one of: error, warning, info',
+    )
+  })
+
+  it('should attribute entries to the active step and action', () => {
+    const results = { checks: [] }
+    const diagnostics = createDiagnostics({}, results, () => activity)
+    const context = createMockContext()
+    diagnostics.attach(context)
+
+    context.emit('console', consoleMessage('error', 'Cannot read properties of undefined'))
+
+    expect(results.console).toEqual([
+      expect.objectContaining({
+        type: 'console',
+        level: 'error',
+        message: 'Cannot read properties of undefined',
+        url: 'http://localhost:3000/app.js:12',
+        stepIndex: 2,
+        stepName: 'Checkout',
+        browser: 'webkit',
+        viewport: 'mobile',
+        actionIndex: 1,
+        action: 'click',
+      }),
+    ])
+    expect(results.checks).toEqual([])
+  })
+
+  it('should attribute entries to the compare side', () => {
+    const results = { checks: [] }
+    const diagnostics = createDiagnostics({}, results, () => ({ ...activity, side: 'after' }))
+    const context = createMockContext()
+    diagnostics.attach(context)
+
+    context.emit('console', consoleMessage('error', 'Cannot read properties of undefined'))
+
+    expect(results.console).toEqual([expect.objectContaining({ stepIndex: 2, side: 'after' })])
+  })
+
+  it('should capture uncaught exceptions and failed requests outside steps', () => {
+    const results = { checks: [] }
+    const diagnostics = createDiagnostics({}, results)
+    const context = createMockContext()
+    diagnostics.attach(context)
+
+    context.emit('weberror', {
+      error: () => new Error('boom'),
+      page: () => ({ url: () => 'http://localhost:3000/' }),
+    })
+    context.emit('requestfailed', {
+      method: () => 'GET',
+      url: () => 'http://localhost:3000/api/cart',
+      failure: () => ({ errorText: 'net::ERR_CONNECTION_REFUSED' }),
+    })
+
+    expect(results.console.map(entry => [entry.type, entry.stepIndex, entry.message])).toEqual([
+      ['pageerror', -1, 'boom'],
+      ['requestfailed', -1, 'GET http://localhost:3000/api/cart (net::ERR_CONNECTION_REFUSED)'],
+    ])
+  })
+
+  it('should filter by level and ignore patterns', () => {
+    const results = { checks: [] }
+    const diagnostics = createDiagnostics(
+      { console: { level: 'error', ignore: ['ResizeObserver'] } },
+      results,
+    )
+    const context = createMockContext()
+    diagnostics.attach(context)
+
+    context.emit('console', consoleMessage('warning', 'Deprecated API'))
+    context.emit('console', consoleMessage('log', 'hello'))
+    context.emit('console', consoleMessage('error', 'ResizeObserver loop limit exceeded'))
+    context.emit('console', consoleMessage('error', 'Real failure'))
+
+    expect(results.console.map(entry => entry.message)).toEqual(['Real failure'])
+  })
+
+  it('should record failed checks for errors when failOnError is set', () => {
+    const results = { checks: [] }
+    const diagnostics = createDiagnostics(
+      { console: { failOnError: true } },
+      results,
+      () => activity,
+    )
+    const context = createMockContext()
+    diagnostics.attach(context)
+
+    context.emit('console', consoleMessage('warning', 'Deprecated API'))
+    context.emit('console', consoleMessage('error', 'Real failure'))
+
+    expect(results.checks).toEqual([
+      {
+        stepIndex: 2,
+        stepName: 'Checkout',
+        browser: 'webkit',
+        viewport: 'mobile',
+        actionIndex: 1,
+        action: 'click',
+        passed: false,
+        expectation: 'noConsoleErrors',
+        message: 'Console error: Real failure',
+      },
+    ])
+  })
+
+  it('should count entries per level', () => {
+    expect(countByLevel([{ level: 'error' }, { level: 'error' }, { level: 'info' }])).toEqual({
+      error: 2,
+      warning: 0,
+      info: 1,
+    })
+  })
+})
@@ -0,0 +1,105 @@
+import { describe, it, expect, vi } from 'vitest'
+
+vi.mock('playwright', () => ({
+  devices: {
+    'Pixel 7': {
+      userAgent: 'Mozilla/5.0 (Linux; Android 14; Pixel 7)',
+      viewport: { width: 412, height: 839 },
+      deviceScaleFactor: 2.625,
+      isMobile: true,
+      hasTouch: true,
+      defaultBrowserType: 'chromium',
+    },
+  },
+}))
+
+const {
+  getDevicePreset,
+  pickEmulation,
+  needsOwnContext,
+  buildContextOptions,
+  validateEmulation,
+  describeEmulation,
+} = await import('../src/emulation.mjs')
+
+const viewport = { name: 'desktop', width: 1440, height: 900, isMobile: false, emulation: {} }
+
+describe('emulation', () => {
+  it('should look up device presets and suggest close matches', () => {
+    expect(getDevicePreset('Pixel 7').isMobile).toBe(true)
+    expect(() => getDevicePreset('Pixel 9')).toThrow('Did you mean: Pixel 7?')
+  })
+
+  it('should pick only emulation settings', () => {
+    expect(pickEmulation({ name: 'mobile', width: 390, locale: 'de-DE', colorScheme: 'dark' })).toEqual({
+      locale: 'de-DE',
+      colorScheme: 'dark',
+    })
+    expect(pickEmulation(undefined)).toEqual({})
+  })
+
+  it('should only need a separate context for context-level settings', () => {
+    expect(needsOwnContext({ colorScheme: 'dark', reducedMotion: 'reduce' })).toBe(false)
+    expect(needsOwnContext({ locale: 'de-DE' })).toBe(true)
+  })
+
+  it('should build context options from the viewport and its emulation', () => {
+    const options = buildContextOptions({
+      ...viewport,
+      emulation: { colorScheme: 'dark', timezoneId: 'Europe/Berlin' },
+    })
+
+    expect(options).toEqual({
+      viewport: { width: 1440, height: 900 },
+      colorScheme: 'dark',
+      timezoneId: 'Europe/Berlin',
+    })
+  })
+
+  it('should apply device presets without the browser type', () => {
+    const options = buildContextOptions(viewport, { device: 'Pixel 7', locale: 'de-DE' })
+
+    expect(options).toMatchObject({
+      viewport: { width: 412, height: 839 },
+      isMobile: true,
+      deviceScaleFactor: 2.625,
+      locale: 'de-DE',
+    })
+    expect(options).not.toHaveProperty('defaultBrowserType')
+  })
+
+  it('should keep an explicit viewport size over the preset size', () => {
+    const options = buildContextOptions({
+      ...viewport,
+      width: 400,
+      height: 800,
+      emulation: { device: 'Pixel 7' },
+    })
+
+    expect(options.viewport).toEqual({ width: 400, height: 800 })
+    expect(options.hasTouch).toBe(true)
+  })
+
+  it('should validate emulation values', () => {
+    expect(() => validateEmulation({ colorScheme: 'dim' }, 'Step "Dark"')).toThrow(
+      'Step "Dark": colorScheme must be one of: light, dark, no-preference',
+    )
+    expect(() => validateEmulation({ deviceScaleFactor: 0 }, 'Config')).toThrow(
+      'deviceScaleFactor must be a positive number',
+    )
+    expect(() => validateEmulation({ device: 'Pixel 7', reducedMotion: 'reduce' }, 'Config')).not.toThrow()
+  })
+
+  it('should describe emulation combinations', () => {
+    expect(
+      describeEmulation({
+        device: 'Pixel 7',
+        colorScheme: 'dark',
+        locale: 'de-DE',
+        timezoneId: 'Europe/Berlin',
+        reducedMotion: 'reduce',
+      }),
+    ).toBe('Pixel 7 · dark · de-DE · Europe/Berlin · reduced motion')
+    expect(describeEmulation({})).toBe('')
+  })
+})
@@ -0,0 +1,85 @@
+import { describe, it, expect, vi } from 'vitest'
+import { runWithRetries, captureFailure, validateErrorHandling } from '../src/failures.mjs'
+
+describe('failures', () => {
+  describe('runWithRetries', () => {
+    it('should retry a failing action and apply its timeout while it runs', async () => {
+      const page = { setDefaultTimeout: vi.fn() }
+      const execute = vi
+        .fn()
+        .mockRejectedValueOnce(new Error('Timeout 2000ms exceeded.\nCall log:\n  - waiting'))
+        .mockResolvedValueOnce('done')
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {})
+
+      const result = await runWithRetries(
+        { page },
+        { type: 'click', retries: 2, timeout: 2000 },
+        execute,
+      )
+
+      expect(result).toBe('done')
+      expect(execute).toHaveBeenCalledTimes(2)
+      expect(warn).toHaveBeenCalledWith(
+        '   ⚠️  click failed (attempt 1 of 3), retrying: Timeout 2000ms exceeded.',
+      )
+      expect(page.setDefaultTimeout.mock.calls).toEqual([[2000], [30000], [2000], [30000]])
+      warn.mockRestore()
+    })
+
+    it('should throw the last error once retries run out', async () => {
+      const execute = vi.fn().mockRejectedValue(new Error('No element matches #buy'))
+
+      await expect(runWithRetries({ page: {} }, { type: 'click' }, execute)).rejects.toThrow(
+        'No element matches #buy',
+      )
+      expect(execute).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('captureFailure', () => {
+    it('should screenshot the page and keep the first line of the message', async () => {
+      const page = { screenshot: vi.fn().mockResolvedValue() }
+      const error = new Error('page.click: Timeout 30000ms exceeded.\nCall log:\n  - waiting')
+
+      const failure = await captureFailure(page, error, '/out/checkout-failure-desktop.png')
+
+      expect(page.screenshot).toHaveBeenCalledWith({
+        path: '/out/checkout-failure-desktop.png',
+        timeout: 5000,
+      })
+      expect(failure.message).toBe('page.click: Timeout 30000ms exceeded.')
+      expect(failure.stack).toBe(error.stack)
+      expect(failure.screenshot).toBe('/out/checkout-failure-desktop.png')
+    })
+
+    it('should still describe the failure when the page cannot be captured', async () => {
+      const page = { screenshot: vi.fn().mockRejectedValue(new Error('Target closed')) }
+
+      const failure = await captureFailure(page, new Error('Page crashed'), '/out/x.png')
+
+      expect(failure.message).toBe('Page crashed')
+      expect(failure.screenshot).toBeNull()
+    })
+  })
+
+  describe('validateErrorHandling', () => {
+    it('should reject malformed retries, timeouts and flags', () => {
+      const label = 'Step "Checkout"'
+      expect(() =>
+        validateErrorHandling(
+          { continueOnError: true, actions: [{ type: 'click', retries: 2, timeout: 5000 }] },
+          label,
+        ),
+      ).not.toThrow()
+      expect(() => validateErrorHandling({ continueOnError: 'yes' }, label)).toThrow(
+        'Step "Checkout": continueOnError must be true or false',
+      )
+      expect(() =>
+        validateErrorHandling({ actions: [{ type: 'click', retries: 1.5 }] }, label),
+      ).toThrow('Step "Checkout", action 1: retries must be a non-negative whole number')
+      expect(() =>
+        validateErrorHandling({ actions: [{ type: 'click', timeout: 0 }] }, label),
+      ).toThrow('Step "Checkout", action 1: timeout must be a positive number of milliseconds')
+    })
+  })
+})
@@ -0,0 +1,5 @@
+export default function register({ registerAction }) {
+  registerAction('seedCart', async (ctx, action) => {
+    await ctx.page.evaluate(items => items, action.items)
+  })
+}
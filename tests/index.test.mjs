@@ -16,6 +16,21 @@ vi.mock('playwright', () => ({
   chromium: {
     launch: vi.fn(),
   },
+  firefox: {
+    launch: vi.fn(),
+  },
+  webkit: {
+    launch: vi.fn(),
+  },
+  devices: {
+    'iPhone 14': {
+      viewport: { width: 390, height: 664 },
+      deviceScaleFactor: 3,
+      isMobile: true,
+      hasTouch: true,
+      defaultBrowserType: 'webkit',
+    },
+  },
 }))
 
 vi.mock('child_process', () => ({
@@ -78,6 +93,90 @@ describe('Browser Review Tool', () => {
       process.argv = originalArgv
     })
 
+    it('should let --browser override the config file browsers', async () => {
+      mockReadFile.mockResolvedValue(JSON.stringify({ browsers: ['chromium'] }))
+
+      const originalArgv = process.argv
+      process.argv = [
+        'node',
+        'index.mjs',
+        '--browser',
+        'firefox,webkit',
+        '--config',
+        'test-config.json',
+      ]
+
+      const { parseArgs } = await import('../src/index.mjs')
+
+      const config = await parseArgs()
+      expect(config.browsers).toEqual(['firefox', 'webkit'])
+
+      process.argv = originalArgv
+    })
+
+    it('should parse --baseline and --update-baseline', async () => {
+      const originalArgv = process.argv
+      process.argv = ['node', 'index.mjs', '--baseline', 'review-baseline', '--update-baseline']
+
+      const { parseArgs } = await import('../src/index.mjs')
+
+      const config = await parseArgs()
+      expect(config.baseline).toBe('review-baseline')
+      expect(config.updateBaseline).toBe(true)
+
+      process.argv = originalArgv
+    })
+
+    it('should fill config variables from vars and --var overrides', async () => {
+      mockReadFile.mockResolvedValue(
+        JSON.stringify({
+          vars: { plan: 'free', seats: 5 },
+          steps: [{ name: 'Upgrade to ${vars.plan}', url: '/billing?seats=${vars.seats}' }],
+        }),
+      )
+
+      const originalArgv = process.argv
+      process.argv = ['node', 'index.mjs', '--var', 'plan=pro', '--config', 'test-config.json']
+
+      const { parseArgs } = await import('../src/index.mjs')
+
+      const config = await parseArgs()
+      expect(config.steps).toEqual([{ name: 'Upgrade to pro', url: '/billing?seats=5' }])
+      expect(config.vars).toEqual({ plan: 'pro', seats: 5 })
+
+      process.argv = originalArgv
+    })
+
+    it('should keep the config file directory for the files it names', async () => {
+      mockReadFile.mockResolvedValue(JSON.stringify({ actionModules: ['./review-actions.mjs'] }))
+
+      const originalArgv = process.argv
+      process.argv = ['node', 'index.mjs', '--config', 'reviews/checkout.json']
+
+      const { parseArgs } = await import('../src/index.mjs')
+
+      const config = await parseArgs()
+      expect(config.actionModules).toEqual(['./review-actions.mjs'])
+      expect(config.configDir).toBe(path.resolve('reviews'))
+
+      process.argv = originalArgv
+    })
+
+    it('should read YAML config files', async () => {
+      mockReadFile.mockResolvedValue('title: YAML Title\nsteps:\n  - name: Home\n    url: /\n')
+
+      const originalArgv = process.argv
+      process.argv = ['node', 'index.mjs', '--config', 'review.yaml']
+
+      const { parseArgs } = await import('../src/index.mjs')
+
+      const config = await parseArgs()
+      expect(config.title).toBe('YAML Title')
+      expect(config.steps).toEqual([{ name: 'Home', url: '/' }])
+
+      process.argv = originalArgv
+    })
+
     it('should parse config file argument', async () => {
       const configData = { title: 'Config Title', baseUrl: 'http://config.com' }
       mockReadFile.mockResolvedValue(JSON.stringify(configData))
@@ -214,6 +313,34 @@ describe('Browser Review Tool', () => {
       expect(htmlContent).toContain('Duration: 5s')
     })
 
+    it('should play MP4 recordings as video/mp4 and show animated WebP as an image', async () => {
+      const error = new Error('Directory does not exist')
+      error.code = 'ENOENT'
+      mockAccess.mockRejectedValue(error)
+      mockMkdir.mockResolvedValue()
+      mockWriteFile.mockResolvedValue()
+
+      const { generateHTMLReport } = await import('../src/index.mjs')
+
+      const config = {
+        title: 'Formats Test',
+        outputDir: path.join(process.cwd(), 'review-reports'),
+      }
+      const artifacts = [
+        { type: 'video', name: 'Checkout', path: '/a/checkout-desktop.mp4', timestamp: Date.now() },
+        { type: 'animation', name: 'Menu', path: '/a/menu-desktop.webp', timestamp: Date.now() },
+      ]
+
+      await generateHTMLReport(config, artifacts)
+
+      const htmlContent = mockWriteFile.mock.calls[0][1]
+      expect(htmlContent).toContain('<source src="artifacts/checkout-desktop.mp4" type="video/mp4">')
+      expect(htmlContent).toContain('<img src="artifacts/menu-desktop.webp" alt="Menu" />')
+      expect(htmlContent).toMatch(
+        /summary-item-value">2<\/div>\s*<div class="summary-item-label">Recordings/,
+      )
+    })
+
     it('should handle empty artifacts array', async () => {
       const error = new Error('Directory does not exist')
       error.code = 'ENOENT'
@@ -238,6 +365,774 @@ describe('Browser Review Tool', () => {
     })
   })
 
+  describe('resolveViewports', () => {
+    it('should name viewports without a name by their width', async () => {
+      const { resolveViewports } = await import('../src/index.mjs')
+
+      const viewports = resolveViewports({
+        viewports: [{ width: 1440, height: 900 }, { width: 390, height: 844 }],
+      })
+
+      expect(viewports).toEqual([
+        { name: 'desktop', width: 1440, height: 900, isMobile: false, emulation: {} },
+        { name: 'mobile', width: 390, height: 844, isMobile: true, emulation: {} },
+      ])
+    })
+
+    it('should fall back to the single viewport option', async () => {
+      const { resolveViewports } = await import('../src/index.mjs')
+
+      const viewports = resolveViewports({ viewport: { width: 1280, height: 720 } })
+
+      expect(viewports).toEqual([
+        { name: 'desktop', width: 1280, height: 720, isMobile: false, emulation: {} },
+      ])
+    })
+
+    it('should size device presets and layer viewport emulation over config.emulation', async () => {
+      const { resolveViewports } = await import('../src/index.mjs')
+
+      const viewports = resolveViewports({
+        emulation: { colorScheme: 'dark', locale: 'en-US' },
+        viewports: [{ device: 'iPhone 14', locale: 'de-DE' }],
+      })
+
+      expect(viewports).toEqual([
+        {
+          name: 'iphone-14',
+          width: 390,
+          height: 664,
+          isMobile: true,
+          emulation: { device: 'iPhone 14', colorScheme: 'dark', locale: 'de-DE' },
+        },
+      ])
+    })
+
+    it('should reject unknown device presets', async () => {
+      const { resolveViewports } = await import('../src/index.mjs')
+
+      expect(() => resolveViewports({ viewports: [{ device: 'iPhone 99' }] })).toThrow(
+        'Unknown device preset "iPhone 99"',
+      )
+    })
+  })
+
+  describe('generateHTMLReport viewports', () => {
+    it('should group each step capture across viewports side by side', async () => {
+      mockAccess.mockResolvedValue()
+      mockWriteFile.mockResolvedValue()
+
+      const { generateHTMLReport } = await import('../src/index.mjs')
+
+      const config = {
+        title: 'Viewport Test',
+        outputDir: path.join(process.cwd(), 'review-reports'),
+        steps: [{ name: 'Homepage' }],
+      }
+      const artifacts = [
+        {
+          type: 'screenshot',
+          name: 'homepage',
+          path: '/path/to/homepage-desktop.png',
+          stepIndex: 0,
+          viewport: 'desktop',
+        },
+        {
+          type: 'screenshot',
+          name: 'homepage',
+          path: '/path/to/homepage-mobile.png',
+          stepIndex: 0,
+          viewport: 'mobile',
+        },
+      ]
+
+      await generateHTMLReport(config, artifacts)
+
+      const htmlContent = mockWriteFile.mock.calls[0][1]
+      expect(htmlContent.match(/class="capture-group"/g)).toHaveLength(1)
+      expect(htmlContent).toContain('homepage-desktop.png')
+      expect(htmlContent).toContain('homepage-mobile.png')
+      expect(htmlContent).toContain('device-macbook-pro')
+      expect(htmlContent).toContain('device-iphone-14')
+    })
+
+    it('should render a row per browser when captures come from several engines', async () => {
+      mockAccess.mockResolvedValue()
+      mockWriteFile.mockResolvedValue()
+
+      const { generateHTMLReport } = await import('../src/index.mjs')
+
+      const config = {
+        title: 'Browser Test',
+        outputDir: path.join(process.cwd(), 'review-reports'),
+        steps: [{ name: 'Homepage' }],
+      }
+      const artifacts = ['chromium', 'webkit'].map(browser => ({
+        type: 'screenshot',
+        name: 'homepage',
+        path: `/path/to/homepage-${browser}-desktop.png`,
+        stepIndex: 0,
+        browser,
+        viewport: 'desktop',
+      }))
+
+      await generateHTMLReport(config, artifacts)
+
+      const htmlContent = mockWriteFile.mock.calls[0][1]
+      expect(htmlContent.match(/class="capture-group"/g)).toHaveLength(1)
+      expect(htmlContent).toContain('<div class="browser-label">chromium</div>')
+      expect(htmlContent).toContain('<div class="browser-label">webkit</div>')
+      expect(htmlContent).toContain('<strong>Browsers:</strong> chromium, webkit')
+    })
+
+    it('should label captures with their emulated environment', async () => {
+      mockAccess.mockResolvedValue()
+      mockWriteFile.mockResolvedValue()
+
+      const { generateHTMLReport } = await import('../src/index.mjs')
+
+      const config = {
+        title: 'Environment Test',
+        outputDir: path.join(process.cwd(), 'review-reports'),
+        steps: [{ name: 'Checkout' }],
+      }
+      const artifacts = [
+        {
+          type: 'screenshot',
+          name: 'checkout',
+          path: '/path/to/checkout-iphone-14.png',
+          stepIndex: 0,
+          viewport: 'iphone-14',
+          mobile: true,
+          environment: 'iPhone 14 · dark · de-DE',
+        },
+      ]
+
+      await generateHTMLReport(config, artifacts)
+
+      const htmlContent = mockWriteFile.mock.calls[0][1]
+      expect(htmlContent).toContain('iphone-14 · iPhone 14 · dark · de-DE')
+      expect(htmlContent).toContain('device-iphone-14')
+    })
+  })
+
+  describe('generateHTMLReport element shots', () => {
+    it('should render unframed screenshots without a device frame', async () => {
+      mockAccess.mockResolvedValue()
+      mockWriteFile.mockResolvedValue()
+
+      const { generateHTMLReport } = await import('../src/index.mjs')
+
+      const config = {
+        title: 'Element Test',
+        outputDir: path.join(process.cwd(), 'review-reports'),
+      }
+      const artifacts = [
+        { type: 'screenshot', name: 'Card', path: '/path/to/card.png', framed: false },
+      ]
+
+      await generateHTMLReport(config, artifacts)
+
+      const htmlContent = mockWriteFile.mock.calls[0][1]
+      expect(htmlContent).toContain('<div class="artifact-unframed">')
+      expect(htmlContent).not.toContain('device-macbook-pro')
+    })
+  })
+
+  describe('generateHTMLReport annotations', () => {
+    it('should show the annotated image and list its callouts', async () => {
+      mockAccess.mockResolvedValue()
+      mockWriteFile.mockResolvedValue()
+
+      const { generateHTMLReport } = await import('../src/index.mjs')
+
+      const config = {
+        title: 'Annotation Test',
+        outputDir: path.join(process.cwd(), 'review-reports'),
+      }
+      const artifacts = [
+        {
+          type: 'screenshot',
+          name: 'Pricing',
+          path: '/path/to/pricing.png',
+          annotatedPath: '/path/to/pricing-annotated.png',
+          annotations: [{ number: 1, label: 'New price format', style: 'box' }],
+        },
+      ]
+
+      await generateHTMLReport(config, artifacts)
+
+      const htmlContent = mockWriteFile.mock.calls[0][1]
+      expect(htmlContent).toContain('<img src="artifacts/pricing-annotated.png"')
+      expect(htmlContent).toContain('<span class="callout-number">1</span>New price format')
+      expect(htmlContent).toContain('href="artifacts/pricing.png"')
+    })
+
+    it('should escape callout labels', async () => {
+      mockAccess.mockResolvedValue()
+      mockWriteFile.mockResolvedValue()
+
+      const { generateHTMLReport } = await import('../src/index.mjs')
+
+      const config = {
+        title: 'Annotation Test',
+        outputDir: path.join(process.cwd(), 'review-reports'),
+      }
+      const artifacts = [
+        {
+          type: 'screenshot',
+          name: 'Pricing',
+          path: '/path/to/pricing.png',
+          annotatedPath: '/path/to/pricing-annotated.png',
+          annotations: [{ number: 1, label: '<b>Tax & fees</b>', style: 'box' }],
+        },
+      ]
+
+      await generateHTMLReport(config, artifacts)
+
+      const htmlContent = mockWriteFile.mock.calls[0][1]
+      expect(htmlContent).toContain('1</span>&lt;b&gt;Tax &amp; fees&lt;/b&gt;</li>')
+      expect(htmlContent).not.toContain('<b>Tax')
+    })
+  })
+
+  describe('generateHTMLReport baseline', () => {
+    it('should show before, after and diff with the mismatch for changed screenshots', async () => {
+      mockAccess.mockResolvedValue()
+      mockWriteFile.mockResolvedValue()
+
+      const { generateHTMLReport } = await import('../src/index.mjs')
+
+      const config = {
+        title: 'Baseline Test',
+        outputDir: path.join(process.cwd(), 'review-reports'),
+      }
+      const artifacts = [
+        {
+          type: 'screenshot',
+          name: 'Header',
+          path: '/path/to/header.png',
+          comparison: {
+            status: 'changed',
+            baselinePath: '/path/to/header-baseline.png',
+            diffPath: '/path/to/header-diff.png',
+            diffPixels: 1200,
+            mismatch: 1.25,
+            sizeChanged: false,
+          },
+        },
+        {
+          type: 'screenshot',
+          name: 'Footer',
+          path: '/path/to/footer.png',
+          comparison: { status: 'new' },
+        },
+      ]
+
+      await generateHTMLReport(config, artifacts)
+
+      const htmlContent = mockWriteFile.mock.calls[0][1]
+      expect(htmlContent).toContain('1.25% of pixels changed')
+      expect(htmlContent).toContain('<img src="artifacts/header-baseline.png" alt="Before" />')
+      expect(htmlContent).toContain('<img src="artifacts/header-diff.png" alt="Diff" />')
+      expect(htmlContent).toContain('New: no baseline screenshot')
+      expect(htmlContent).toMatch(/>1<\/div>\s*<div class="summary-item-label">Visual Changes/)
+    })
+  })
+
+  describe('generateHTMLReport compare', () => {
+    it('should pair before and after captures in a slider', async () => {
+      mockAccess.mockResolvedValue()
+      mockWriteFile.mockResolvedValue()
+
+      const { generateHTMLReport } = await import('../src/index.mjs')
+
+      const config = {
+        title: 'Compare Test',
+        outputDir: path.join(process.cwd(), 'review-reports'),
+        compare: { before: 'https://example.com', after: 'https://staging.example.com' },
+        steps: [{ name: 'Homepage', url: '/' }],
+      }
+      const shot = { type: 'screenshot', name: 'home', stepIndex: 0, viewport: 'desktop' }
+      const artifacts = [
+        { ...shot, side: 'before', path: '/path/to/home-desktop-before.png' },
+        { ...shot, side: 'after', path: '/path/to/home-desktop-after.png' },
+      ]
+
+      await generateHTMLReport(config, artifacts)
+
+      const htmlContent = mockWriteFile.mock.calls[0][1]
+      expect(htmlContent).toContain('<strong>Before:</strong> https://example.com')
+      expect(htmlContent).toContain('<strong>After:</strong> https://staging.example.com')
+      expect(htmlContent).toContain(
+        'class="compare-before" src="artifacts/home-desktop-before.png"',
+      )
+      expect(htmlContent).toContain(
+        '<img src="artifacts/home-desktop-after.png" alt="home (after)"',
+      )
+      expect(htmlContent.match(/class="compare-view"/g)).toHaveLength(1)
+      expect(htmlContent).toContain("document.querySelectorAll('.compare-view')")
+    })
+  })
+
+  describe('generateHTMLReport status', () => {
+    it('should render pass/fail badges and count steps in the summary', async () => {
+      mockAccess.mockResolvedValue()
+      mockWriteFile.mockResolvedValue()
+
+      const { generateHTMLReport } = await import('../src/index.mjs')
+
+      const config = {
+        title: 'Status Test',
+        outputDir: path.join(process.cwd(), 'review-reports'),
+        steps: [{ name: 'Login' }, { name: 'Checkout' }],
+      }
+      const results = {
+        checks: [
+          { stepIndex: 0, viewport: 'desktop', passed: true, message: 'Expected h1 visible' },
+          {
+            stepIndex: 1,
+            viewport: 'mobile',
+            passed: false,
+            message: 'Expected 3 × .cart-item (got 2)',
+          },
+        ],
+      }
+
+      await generateHTMLReport(config, [], null, results)
+
+      const htmlContent = mockWriteFile.mock.calls[0][1]
+      expect(htmlContent).toContain('<span class="status-badge status-pass">Passed</span>')
+      expect(htmlContent).toContain('<span class="status-badge status-fail">Failed</span>')
+      expect(htmlContent).toContain('[mobile] Expected 3 × .cart-item (got 2)')
+      expect(htmlContent).toMatch(/>1<\/div>\s*<div class="summary-item-label">Passed Steps/)
+      expect(htmlContent).toMatch(/>1<\/div>\s*<div class="summary-item-label">Failed Steps/)
+    })
+
+    it('should show the error, failure screenshot and stack of a failed step', async () => {
+      mockAccess.mockResolvedValue()
+      mockWriteFile.mockResolvedValue()
+
+      const { generateHTMLReport } = await import('../src/index.mjs')
+
+      const config = {
+        title: 'Failure Test',
+        outputDir: path.join(process.cwd(), 'review-reports'),
+        steps: [{ name: 'Checkout' }, { name: 'Receipt' }],
+      }
+      const results = {
+        checks: [{ stepIndex: 1, viewport: 'desktop', passed: true, message: 'Expected h1' }],
+        failures: [
+          {
+            stepIndex: 0,
+            viewport: 'desktop',
+            actionIndex: 2,
+            action: 'click',
+            message: 'page.click: Timeout 30000ms exceeded.',
+            stack: 'Error: page.click: Timeout 30000ms exceeded.\n    at <anonymous>',
+            screenshot: '/out/artifacts/checkout-failure-action-3-desktop.png',
+          },
+        ],
+      }
+
+      await generateHTMLReport(config, [], null, results)
+
+      const htmlContent = mockWriteFile.mock.calls[0][1]
+      expect(htmlContent).toContain(
+        'Action 3 (click) failed: <code>page.click: Timeout 30000ms exceeded.</code>',
+      )
+      expect(htmlContent).toContain('src="artifacts/checkout-failure-action-3-desktop.png"')
+      expect(htmlContent).toContain('<pre>Error: page.click: Timeout 30000ms exceeded.')
+      expect(htmlContent).toMatch(/>1<\/div>\s*<div class="summary-item-label">Passed Steps/)
+      expect(htmlContent).toMatch(/>1<\/div>\s*<div class="summary-item-label">Failed Steps/)
+    })
+  })
+
+  describe('generateHTMLReport console', () => {
+    it('should render a console panel per step and count severities in the summary', async () => {
+      mockAccess.mockResolvedValue()
+      mockWriteFile.mockResolvedValue()
+
+      const { generateHTMLReport } = await import('../src/index.mjs')
+
+      const config = {
+        title: 'Console Test',
+        outputDir: path.join(process.cwd(), 'review-reports'),
+        steps: [{ name: 'Checkout' }],
+      }
+      const results = {
+        checks: [],
+        console: [
+          {
+            type: 'console',
+            level: 'error',
+            message: 'Uncaught <TypeError>',
+            stepIndex: 0,
+            viewport: 'desktop',
+            actionIndex: 1,
+            action: 'click',
+          },
+          { type: 'console', level: 'warning', message: 'Deprecated', stepIndex: 0 },
+        ],
+      }
+
+      await generateHTMLReport(config, [], null, results)
+
+      const htmlContent = mockWriteFile.mock.calls[0][1]
+      expect(htmlContent).toContain('<details class="console-panel" open>')
+      expect(htmlContent).toContain('1 error · 1 warning')
+      expect(htmlContent).toContain('desktop, action 2 (click)')
+      expect(htmlContent).toContain('Uncaught &lt;TypeError&gt;')
+      expect(htmlContent).toMatch(/>1<\/div>\s*<div class="summary-item-label">Console Errors/)
+      expect(htmlContent).toMatch(/>1<\/div>\s*<div class="summary-item-label">Console Warnings/)
+    })
+  })
+
+  describe('generateHTMLReport network', () => {
+    it('should render a network table per step with failed and slow rows highlighted', async () => {
+      mockAccess.mockResolvedValue()
+      mockWriteFile.mockResolvedValue()
+
+      const { generateHTMLReport } = await import('../src/index.mjs')
+
+      const config = {
+        title: 'Network Test',
+        outputDir: path.join(process.cwd(), 'review-reports'),
+        steps: [{ name: 'Search' }],
+      }
+      const request = {
+        stepIndex: 0,
+        method: 'GET',
+        resourceType: 'fetch',
+        status: 200,
+        size: 2048,
+        duration: 80,
+        failed: false,
+        slow: false,
+      }
+      const results = {
+        checks: [],
+        network: [
+          { ...request, url: 'http://localhost:3000/api/search?q=<b>' },
+          { ...request, url: 'http://localhost:3000/api/slow', duration: 2400, slow: true },
+          { ...request, url: 'http://localhost:3000/api/missing', status: 404, failed: true },
+        ],
+      }
+
+      await generateHTMLReport(config, [], null, results)
+
+      const htmlContent = mockWriteFile.mock.calls[0][1]
+      expect(htmlContent).toContain('<details class="network-panel" open>')
+      expect(htmlContent).toContain('3 requests · 1 failed · 1 slow · 6.0 KB')
+      expect(htmlContent).toContain('/api/search?q=&lt;b&gt;')
+      expect(htmlContent).toContain('<tr class="network-slow">')
+      expect(htmlContent).toContain('<tr class="network-failed">')
+      expect(htmlContent).toContain('artifacts/network-log.json')
+      expect(htmlContent).toMatch(/>1<\/div>\s*<div class="summary-item-label">Failed Requests/)
+    })
+  })
+
+  describe('generateHTMLReport performance', () => {
+    it('should render metric cards and mark metrics over budget', async () => {
+      mockAccess.mockResolvedValue()
+      mockWriteFile.mockResolvedValue()
+
+      const { generateHTMLReport } = await import('../src/index.mjs')
+
+      const config = {
+        title: 'Performance Test',
+        outputDir: path.join(process.cwd(), 'review-reports'),
+        budgets: { cls: 0.1 },
+        steps: [{ name: 'Homepage', url: '/', budgets: { lcp: 2500 } }],
+      }
+      const results = {
+        checks: [],
+        metrics: [
+          {
+            stepIndex: 0,
+            browser: 'chromium',
+            viewport: 'desktop',
+            metrics: { ttfb: 90, fcp: 400, lcp: 3100, cls: 0.05, tbt: null, load: 1200 },
+          },
+        ],
+      }
+
+      await generateHTMLReport(config, [], null, results)
+
+      const htmlContent = mockWriteFile.mock.calls[0][1]
+      expect(htmlContent).toContain('<h4>Performance</h4>')
+      expect(htmlContent).toContain('chromium · desktop')
+      expect(htmlContent).toMatch(/metric-card metric-over">\s*<div class="metric-value">3100/)
+      expect(htmlContent).toMatch(/metric-card metric-ok">\s*<div class="metric-value">0.05/)
+      expect(htmlContent).not.toContain('<div class="metric-label">TBT</div>')
+    })
+  })
+
+  describe('generateHTMLReport accessibility', () => {
+    it('should list violations with selectors and total them in the summary', async () => {
+      mockAccess.mockResolvedValue()
+      mockWriteFile.mockResolvedValue()
+
+      const { generateHTMLReport } = await import('../src/index.mjs')
+
+      const config = {
+        title: 'Accessibility Test',
+        outputDir: path.join(process.cwd(), 'review-reports'),
+        steps: [{ name: 'Homepage', url: '/', audit: 'a11y' }],
+      }
+      const results = {
+        checks: [],
+        audits: [
+          {
+            stepIndex: 0,
+            stepName: 'Homepage',
+            browser: 'chromium',
+            viewport: 'desktop',
+            url: 'http://localhost:3000/',
+            counts: { critical: 1, serious: 0, moderate: 0, minor: 0 },
+            violations: [
+              {
+                rule: 'image-alt',
+                impact: 'critical',
+                help: 'Images must have alternative text',
+                helpUrl: 'https://dequeuniversity.com/rules/axe/4.10/image-alt',
+                nodes: [{ selector: 'img[src="<hero>"]', html: '<img>' }],
+              },
+            ],
+            screenshot: 'accessibility-desktop-annotated.png',
+          },
+        ],
+      }
+
+      await generateHTMLReport(config, [], null, results)
+
+      const htmlContent = mockWriteFile.mock.calls[0][1]
+      expect(htmlContent).toContain('<h2>Accessibility</h2>')
+      expect(htmlContent).toContain('Homepage · chromium · desktop')
+      expect(htmlContent).toContain('<code>img[src=&quot;&lt;hero&gt;&quot;]</code>')
+      expect(htmlContent).toContain('href="artifacts/accessibility-desktop-annotated.png"')
+      expect(htmlContent).toMatch(
+        />1<\/div>\s*<div class="summary-item-label">Accessibility Violations/,
+      )
+    })
+  })
+
+  describe('runReview', () => {
+    // A browser whose pages fail clicks on `#missing`
+    async function launchMockBrowser() {
+      const { chromium } = await import('playwright')
+      const page = {
+        goto: vi.fn().mockResolvedValue(),
+        url: vi.fn(() => 'http://localhost:7777/'),
+        click: vi.fn(async selector => {
+          if (selector === '#missing') {
+            throw new Error('Timeout 30000ms exceeded.\n  waiting for locator("#missing")')
+          }
+        }),
+        screenshot: vi.fn().mockResolvedValue(),
+        evaluate: vi.fn().mockResolvedValue(),
+        waitForLoadState: vi.fn().mockResolvedValue(),
+        waitForTimeout: vi.fn().mockResolvedValue(),
+        setDefaultTimeout: vi.fn(),
+        on: vi.fn(),
+      }
+      const context = {
+        newPage: vi.fn().mockResolvedValue(page),
+        addInitScript: vi.fn(),
+        on: vi.fn(),
+        close: vi.fn(),
+      }
+      const browser = {
+        browserType: () => ({ name: () => 'chromium' }),
+        newContext: vi.fn().mockResolvedValue(context),
+        close: vi.fn(),
+      }
+      chromium.launch.mockResolvedValue(browser)
+      return page
+    }
+
+    const config = {
+      title: 'Checkout',
+      baseUrl: 'http://localhost:7777',
+      outputDir: '/tmp/review',
+      viewports: [{ name: 'desktop', width: 1280, height: 720 }],
+      videoFormat: 'slideshow',
+      useAI: false,
+      showCursor: false,
+      performance: false,
+      waitUntil: 'none',
+      steps: [
+        {
+          name: 'Broken cart',
+          url: '/cart',
+          actions: [
+            { type: 'click', selector: '#missing' },
+            { type: 'click', selector: '#never' },
+          ],
+        },
+        { name: 'Checkout', url: '/checkout', actions: [{ type: 'click', selector: '#pay' }] },
+      ],
+    }
+
+    it('should record a failed action and its screenshot, then run later steps', async () => {
+      const page = await launchMockBrowser()
+      mockAccess.mockResolvedValue()
+      mockReadFile.mockRejectedValue(Object.assign(new Error('missing'), { code: 'ENOENT' }))
+
+      const { runReview, reportOutcome } = await import('../src/index.mjs')
+      const { results } = await runReview(config)
+
+      // The rest of the failed step is skipped, the next step still runs
+      expect(page.click).not.toHaveBeenCalledWith('#never', expect.anything())
+      expect(page.click).toHaveBeenCalledWith('#pay', { force: true })
+      expect(page.goto).toHaveBeenCalledWith('http://localhost:7777/checkout', expect.anything())
+
+      expect(results.failures).toEqual([
+        expect.objectContaining({
+          stepIndex: 0,
+          stepName: 'Broken cart',
+          viewport: 'desktop',
+          actionIndex: 0,
+          action: 'click',
+          message: 'Timeout 30000ms exceeded.',
+          stack: expect.stringContaining('waiting for locator("#missing")'),
+          screenshot: path.join(
+            '/tmp/review',
+            'artifacts',
+            'broken-cart-failure-action-1-desktop.png',
+          ),
+        }),
+      ])
+      expect(page.screenshot).toHaveBeenCalledWith(
+        expect.objectContaining({ path: results.failures[0].screenshot }),
+      )
+      const report = mockWriteFile.mock.calls.find(([file]) => file.endsWith('.html'))[1]
+      expect(report).toContain('broken-cart-failure-action-1-desktop.png')
+      expect(reportOutcome(results)).toBe(1)
+    })
+
+    it('should keep going past every action of a continueOnError step', async () => {
+      const page = await launchMockBrowser()
+      mockAccess.mockResolvedValue()
+      mockReadFile.mockRejectedValue(Object.assign(new Error('missing'), { code: 'ENOENT' }))
+      const steps = [{ ...config.steps[0], continueOnError: true }]
+
+      const { runReview, reportOutcome } = await import('../src/index.mjs')
+      const { results } = await runReview({ ...config, steps })
+
+      expect(page.click).toHaveBeenCalledWith('#never', { force: true })
+      expect(results.failures).toHaveLength(1)
+      expect(reportOutcome(results)).toBe(1)
+    })
+
+    it('should tell compare sides apart in checks and report labels', async () => {
+      const page = await launchMockBrowser()
+      page.url.mockReturnValue('http://localhost:7777/cart')
+      mockAccess.mockResolvedValue()
+      mockReadFile.mockRejectedValue(Object.assign(new Error('missing'), { code: 'ENOENT' }))
+      const steps = [
+        {
+          name: 'Checkout',
+          actions: [{ type: 'expectUrl', matches: '/thank-you$', timeout: 0 }],
+        },
+      ]
+      const compare = { before: 'http://localhost:7777', after: 'http://localhost:8888' }
+      const error = vi.spyOn(console, 'error').mockImplementation(() => {})
+
+      const { runReview, reportOutcome } = await import('../src/index.mjs')
+      const { results } = await runReview({ ...config, steps, compare })
+
+      expect(results.checks.map(check => [check.side, check.passed])).toEqual([
+        ['before', false],
+        ['after', false],
+      ])
+      const report = mockWriteFile.mock.calls.find(([file]) => file.endsWith('.html'))[1]
+      expect(report).toContain('chromium · desktop · before')
+      expect(report).toContain('chromium · desktop · after')
+      expect(reportOutcome(results)).toBe(1)
+      expect(error).toHaveBeenCalledWith(
+        expect.stringContaining('Step 1 (chromium · desktop · after): Expected URL'),
+      )
+      error.mockRestore()
+    })
+
+    it('should replay a multi-page recording with a video format', async () => {
+      const { chromium } = await import('playwright')
+      const page = await launchMockBrowser()
+      mockAccess.mockResolvedValue()
+      mockReadFile.mockRejectedValue(Object.assign(new Error('missing'), { code: 'ENOENT' }))
+      const { createRecording } = await import('../src/recorder.mjs')
+      const recording = createRecording('http://localhost:7777/pricing')
+      recording.navigated('http://localhost:7777/pricing', 0)
+      recording.add({ type: 'click', selector: 'text="Pro"' }, 100)
+      recording.navigated('http://localhost:7777/checkout', 300)
+      recording.add({ type: 'click', selector: 'role=button[name="Pay"]' }, 1000)
+      const { steps } = recording.toConfig({ title: 'Upgrade' })
+
+      const { runReview } = await import('../src/index.mjs')
+      const { results } = await runReview({ ...config, videoFormat: 'webm', steps })
+
+      // The checkout step carries on from the click on the main page, in the same session
+      const browser = await chromium.launch.mock.results[0].value
+      expect(browser.newContext).toHaveBeenCalledTimes(1)
+      expect(page.goto).toHaveBeenCalledTimes(1)
+      expect(page.click.mock.calls.map(([selector]) => selector)).toEqual([
+        'text="Pro"',
+        'role=button[name="Pay"]',
+      ])
+      expect(results.failures).toEqual([])
+    })
+
+    it('should report success when every action passes', async () => {
+      await launchMockBrowser()
+      mockAccess.mockResolvedValue()
+      mockReadFile.mockRejectedValue(Object.assign(new Error('missing'), { code: 'ENOENT' }))
+
+      const { runReview, reportOutcome } = await import('../src/index.mjs')
+      const { results } = await runReview({ ...config, steps: [config.steps[1]] })
+
+      expect(results.failures).toEqual([])
+      expect(reportOutcome(results)).toBe(0)
+    })
+
+    it('should measure page loads before the actions that follow them', async () => {
+      const page = await launchMockBrowser()
+      page.evaluate.mockImplementation(async fn =>
+        fn.name === 'readPerformanceMetrics' ? { url: 'http://localhost:7777/', lcp: 900 } : null,
+      )
+      mockAccess.mockResolvedValue()
+      mockReadFile.mockRejectedValue(Object.assign(new Error('missing'), { code: 'ENOENT' }))
+      const steps = [
+        config.steps[1],
+        {
+          name: 'Product',
+          actions: [
+            { type: 'click', selector: '#menu' },
+            { type: 'navigate', url: '/products/42' },
+            { type: 'click', selector: '#buy' },
+            { type: 'navigate', url: '/cart' },
+          ],
+        },
+      ]
+
+      const { runReview } = await import('../src/index.mjs')
+      const { results } = await runReview({ ...config, performance: true, steps })
+
+      expect(results.metrics.map(entry => entry.stepName)).toEqual(['Checkout', 'Product'])
+      const measuredAt = page.evaluate.mock.calls
+        .map(([fn], call) => [fn.name, page.evaluate.mock.invocationCallOrder[call]])
+        .filter(([name]) => name === 'readPerformanceMetrics')
+        .map(([, order]) => order)
+      const clickedAt = selector =>
+        page.click.mock.invocationCallOrder[
+          page.click.mock.calls.findIndex(([clicked]) => clicked === selector)
+        ]
+      expect(measuredAt[0]).toBeLessThan(clickedAt('#pay'))
+      expect(measuredAt[1]).toBeGreaterThan(clickedAt('#menu'))
+      expect(measuredAt[1]).toBeLessThan(clickedAt('#buy'))
+    })
+  })
+
   describe('checkFFmpeg', () => {
     it('should return true when ffmpeg is available', async () => {
       const cpMock = await import('child_process')
@@ -0,0 +1,132 @@
+import { describe, it, expect } from 'vitest'
+import { resolveNetworkOptions, createNetworkLog, summarizeRequests } from '../src/network.mjs'
+
+// Minimal BrowserContext stand-in that lets tests emit events
+function createMockContext() {
+  const listeners = {}
+  return {
+    on: (event, handler) => {
+      listeners[event] = handler
+    },
+    emit: (event, payload) => listeners[event](payload),
+  }
+}
+
+function createMockRequest({
+  url = 'http://localhost:3000/api/cart',
+  method = 'GET',
+  resourceType = 'fetch',
+  status = 200,
+  responseEnd = 120,
+  failure = null,
+} = {}) {
+  return {
+    url: () => url,
+    method: () => method,
+    resourceType: () => resourceType,
+    response: async () => (failure ? null : { status: () => status }),
+    sizes: async () => ({ responseBodySize: 2048, responseHeadersSize: 200 }),
+    timing: () => ({ responseEnd }),
+    failure: () => (failure ? { errorText: failure } : null),
+  }
+}
+
+const activity = {
+  step: { name: 'Checkout', actions: [{ type: 'click' }] },
+  stepIndex: 1,
+  browserName: 'chromium',
+  viewport: { name: 'desktop' },
+  actionIndex: 0,
+}
+
+describe('network log', () => {
+  it('should be enabled by default with a 1s slow threshold', () => {
+    expect(resolveNetworkOptions({})).toEqual({ slowMs: 1000, resourceTypes: null })
+    expect(resolveNetworkOptions({ network: false })).toBeNull()
+  })
+
+  it('should record requests attributed to the step active when they started', async () => {
+    const results = {}
+    let current = activity
+    const log = createNetworkLog({}, results, () => current)
+    const context = createMockContext()
+    log.attach(context)
+
+    const request = createMockRequest()
+    context.emit('request', request)
+    current = null
+    context.emit('requestfinished', request)
+    await log.flush()
+
+    expect(results.network).toEqual([
+      {
+        stepIndex: 1,
+        stepName: 'Checkout',
+        browser: 'chromium',
+        viewport: 'desktop',
+        actionIndex: 0,
+        action: 'click',
+        method: 'GET',
+        url: 'http://localhost:3000/api/cart',
+        resourceType: 'fetch',
+        status: 200,
+        size: 2248,
+        duration: 120,
+        failure: undefined,
+        failed: false,
+        slow: false,
+      },
+    ])
+  })
+
+  it('should flag error statuses, failures and slow requests', async () => {
+    const results = {}
+    const log = createNetworkLog({ network: { slowMs: 500 } }, results)
+    const context = createMockContext()
+    log.attach(context)
+
+    const notFound = createMockRequest({ status: 404 })
+    const slow = createMockRequest({ url: 'http://localhost:3000/api/search', responseEnd: 2300 })
+    const refused = createMockRequest({ failure: 'net::ERR_CONNECTION_REFUSED', responseEnd: -1 })
+    for (const request of [notFound, slow, refused]) {
+      context.emit('request', request)
+    }
+    context.emit('requestfinished', notFound)
+    context.emit('requestfinished', slow)
+    context.emit('requestfailed', refused)
+    await log.flush()
+
+    expect(results.network.map(({ status, failed, slow, failure }) => [status, failed, slow, failure]))
+      .toEqual([
+        [404, true, false, undefined],
+        [200, false, true, undefined],
+        [null, true, false, 'net::ERR_CONNECTION_REFUSED'],
+      ])
+  })
+
+  it('should skip data URLs and filtered resource types', async () => {
+    const results = {}
+    const log = createNetworkLog({ network: { resourceTypes: ['fetch'] } }, results)
+    const context = createMockContext()
+    log.attach(context)
+
+    const image = createMockRequest({ url: 'http://localhost:3000/hero.png', resourceType: 'image' })
+    const inline = createMockRequest({ url: 'data:image/png;base64,AAAA' })
+    for (const request of [image, inline]) {
+      context.emit('request', request)
+      context.emit('requestfinished', request)
+    }
+    await log.flush()
+
+    expect(results.network).toEqual([])
+  })
+
+  it('should summarize counts and bytes', () => {
+    expect(
+      summarizeRequests([
+        { failed: true, slow: false, size: 100 },
+        { failed: false, slow: true, size: null },
+      ]),
+    ).toEqual({ total: 2, failed: 1, slow: 1, bytes: 100 })
+  })
+})
@@ -0,0 +1,67 @@
+import { describe, it, expect, vi } from 'vitest'
+import { collectMetrics, checkBudgets } from '../src/performance.mjs'
+
+describe('performance', () => {
+  describe('collectMetrics', () => {
+    it('should round times and keep unsupported metrics as null', async () => {
+      const page = {
+        evaluate: vi.fn().mockResolvedValue({
+          url: 'http://localhost:3000/',
+          ttfb: 85.4,
+          fcp: 412.6,
+          lcp: 1830.2,
+          cls: 0.04567,
+          tbt: null,
+          longTasks: null,
+          domContentLoaded: 640.1,
+          load: 1210.9,
+        }),
+      }
+
+      const metrics = await collectMetrics(page)
+
+      expect(metrics).toEqual({
+        url: 'http://localhost:3000/',
+        ttfb: 85,
+        fcp: 413,
+        lcp: 1830,
+        cls: 0.046,
+        tbt: null,
+        longTasks: null,
+        domContentLoaded: 640,
+        load: 1211,
+      })
+    })
+  })
+
+  describe('checkBudgets', () => {
+    const metrics = { lcp: 3120, cls: 0.02, tbt: null, load: 1500 }
+
+    it('should pass and fail metrics against their budgets', () => {
+      const checks = checkBudgets(metrics, { lcp: 2500, cls: 0.1 })
+
+      expect(checks).toEqual([
+        {
+          passed: false,
+          expectation: 'budget',
+          metric: 'lcp',
+          actual: 3120,
+          budget: 2500,
+          message: 'LCP 3120 ms exceeds budget of 2500 ms',
+        },
+        {
+          passed: true,
+          expectation: 'budget',
+          metric: 'cls',
+          actual: 0.02,
+          budget: 0.1,
+          message: 'CLS 0.02 within budget of 0.1',
+        },
+      ])
+    })
+
+    it('should skip metrics the engine could not measure', () => {
+      expect(checkBudgets(metrics, { tbt: 200 })).toEqual([])
+    })
+  })
+})
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest'
+import { PASSWORD_PLACEHOLDER, createRecording, parseRecordArgs } from '../src/recorder.mjs'
+
+const START = 'http://localhost:7777/login'
+
+describe('recorder', () => {
+  describe('createRecording', () => {
+    it('should turn a session into steps, one per page', () => {
+      const recording = createRecording(START)
+      recording.navigated(START, 0)
+      recording.add({ type: 'visit', title: 'Sign in' }, 100)
+      recording.add({ type: 'click', selector: 'role=textbox[name="Email"]' }, 200)
+      recording.add({ type: 'type', selector: 'role=textbox[name="Email"]', text: 'q' }, 300)
+      recording.add({ type: 'type', selector: 'role=textbox[name="Email"]', text: 'qa@x.io' }, 400)
+      recording.add({ type: 'type', selector: '#password', text: 'hunter2', password: true }, 500)
+      recording.add({ type: 'press', key: 'Enter', selector: '#password' }, 600)
+      // Reached by pressing Enter, then redirected
+      recording.navigated('http://localhost:7777/session', 900)
+      recording.navigated('http://localhost:7777/dashboard', 1200)
+      recording.add({ type: 'visit', title: 'Dashboard' }, 1300)
+      recording.add({ type: 'scroll', y: 300 }, 2000)
+      recording.add({ type: 'scroll', y: 200 }, 2500)
+      recording.add({ type: 'screenshot' }, 3000)
+      recording.add({ type: 'select', selector: 'select[name="range"]', value: '30d' }, 3500)
+
+      expect(recording.toConfig({ title: 'Login flow' })).toEqual({
+        title: 'Login flow',
+        baseUrl: 'http://localhost:7777',
+        steps: [
+          {
+            name: 'Sign in',
+            url: '/login',
+            actions: [
+              { type: 'type', selector: 'role=textbox[name="Email"]', text: 'qa@x.io' },
+              { type: 'type', selector: '#password', text: PASSWORD_PLACEHOLDER, pressEnter: true },
+            ],
+          },
+          {
+            name: 'Dashboard',
+            actions: [
+              { type: 'scroll', y: 500 },
+              { type: 'screenshot', name: 'screenshot-1' },
+              { type: 'select', selector: 'select[name="range"]', value: '30d' },
+            ],
+          },
+        ],
+      })
+    })
+
+    it('should give pages opened by hand their url and drop empty pages reached by actions', () => {
+      const recording = createRecording(START)
+      recording.navigated(START, 0)
+      recording.add({ type: 'click', selector: 'text="Pricing"' }, 1000)
+      recording.navigated('http://localhost:7777/pricing', 1500)
+      // Typed into the address bar long after the last action
+      recording.navigated('https://docs.example.com/start', 60000)
+      recording.add({ type: 'check', selector: 'role=checkbox[name="Beta"]' }, 61000)
+
+      expect(recording.toConfig({ title: 'Pricing' }).steps).toEqual([
+        {
+          name: '/login',
+          url: '/login',
+          actions: [{ type: 'click', selector: 'text="Pricing"' }],
+        },
+        {
+          name: 'https://docs.example.com/start',
+          url: 'https://docs.example.com/start',
+          actions: [{ type: 'check', selector: 'role=checkbox[name="Beta"]' }],
+        },
+      ])
+    })
+
+    it('should keep step names unique', () => {
+      const recording = createRecording(START)
+      recording.navigated(START, 0)
+      recording.add({ type: 'click', selector: '#next', title: 'Wizard' }, 100)
+      recording.navigated('http://localhost:7777/wizard/2', 200)
+      recording.add({ type: 'click', selector: '#next', title: 'Wizard' }, 300)
+
+      expect(recording.toConfig({ title: 'Wizard' }).steps.map(step => step.name)).toEqual([
+        'Wizard',
+        'Wizard (2)',
+      ])
+    })
+  })
+
+  describe('parseRecordArgs', () => {
+    it('should require a valid --url and default the output and title', () => {
+      expect(parseRecordArgs(['--url', 'http://localhost:7777/'])).toEqual({
+        url: 'http://localhost:7777/',
+        output: 'review-config.json',
+        title: 'Review of localhost:7777',
+      })
+      expect(() => parseRecordArgs([])).toThrow('record requires --url <url>')
+      expect(() => parseRecordArgs(['--url', 'localhost'])).toThrow('--url must be a valid URL')
+      expect(() => parseRecordArgs(['--url', START, '--headless'])).toThrow(
+        'Unknown record option: --headless',
+      )
+    })
+  })
+})
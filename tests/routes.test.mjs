@@ -0,0 +1,143 @@
+import { describe, it, expect, vi } from 'vitest'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import { createRouteHandler, applyRoutes, createHarRecorder } from '../src/routes.mjs'
+
+function createMockRoute(method = 'GET') {
+  return {
+    request: () => ({ method: () => method }),
+    fulfill: vi.fn(),
+    abort: vi.fn(),
+    fallback: vi.fn(),
+  }
+}
+
+function createMockContext() {
+  return { route: vi.fn(), routeFromHAR: vi.fn() }
+}
+
+describe('routes', () => {
+  describe('createRouteHandler', () => {
+    it('should fulfill inline JSON', async () => {
+      const route = createMockRoute()
+
+      await createRouteHandler({ url: '/api/cart', json: { items: [] }, status: 201 })(route)
+
+      expect(route.fulfill).toHaveBeenCalledWith({
+        status: 201,
+        headers: undefined,
+        json: { items: [] },
+      })
+    })
+
+    it('should fulfill from a local file resolved from the working directory', async () => {
+      const route = createMockRoute()
+
+      await createRouteHandler({ url: '**/logo.png', file: 'fixtures/logo.png' })(route)
+
+      expect(route.fulfill).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 200, path: path.resolve('fixtures/logo.png') }),
+      )
+    })
+
+    it('should abort with the given error code', async () => {
+      const route = createMockRoute()
+
+      await createRouteHandler({ url: 'analytics', abort: 'blockedbyclient' })(route)
+
+      expect(route.abort).toHaveBeenCalledWith('blockedbyclient')
+    })
+
+    it('should delay and then let latency-only routes through', async () => {
+      vi.useFakeTimers()
+      const route = createMockRoute()
+
+      const handled = createRouteHandler({ url: '/api/', delay: 1500 })(route)
+      await vi.advanceTimersByTimeAsync(1499)
+      expect(route.fallback).not.toHaveBeenCalled()
+      await vi.advanceTimersByTimeAsync(1)
+      await handled
+
+      expect(route.fallback).toHaveBeenCalled()
+      vi.useRealTimers()
+    })
+
+    it('should fall back for requests with a different method', async () => {
+      const route = createMockRoute('GET')
+
+      await createRouteHandler({ url: '/api/cart', method: 'post', json: {} })(route)
+
+      expect(route.fallback).toHaveBeenCalled()
+      expect(route.fulfill).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('applyRoutes', () => {
+    it('should install HAR replay first and match routes by pattern', async () => {
+      const context = createMockContext()
+
+      await applyRoutes(context, {
+        har: { path: 'fixtures/staging.har', url: '/\\/api\\//' },
+        routes: [{ url: '**/api/cart', json: {} }],
+      })
+
+      expect(context.routeFromHAR).toHaveBeenCalledWith(path.resolve('fixtures/staging.har'), {
+        url: /\/api\//,
+        notFound: 'fallback',
+      })
+      const matcher = context.route.mock.calls[0][0]
+      expect(matcher(new URL('http://localhost:3000/api/cart'))).toBe(true)
+      expect(matcher(new URL('http://localhost:3000/api/user'))).toBe(false)
+    })
+
+    it('should resolve HAR files and route files against the config file directory', async () => {
+      const context = createMockContext()
+
+      await applyRoutes(context, {
+        configDir: '/work/reviews',
+        har: 'fixtures/staging.har',
+        routes: [{ url: '**/logo.png', file: 'fixtures/logo.png' }],
+      })
+      const route = createMockRoute()
+      await context.route.mock.calls[0][1](route)
+
+      expect(context.routeFromHAR).toHaveBeenCalledWith(
+        path.resolve('/work/reviews/fixtures/staging.har'),
+        expect.anything(),
+      )
+      expect(route.fulfill).toHaveBeenCalledWith(
+        expect.objectContaining({ path: path.resolve('/work/reviews/fixtures/logo.png') }),
+      )
+    })
+
+    it('should skip HAR replay while recording', async () => {
+      const context = createMockContext()
+
+      await applyRoutes(context, { har: 'fixtures/staging.har', recordHar: 'fixtures/new.har' })
+
+      expect(context.routeFromHAR).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('createHarRecorder', () => {
+    it('should merge the HAR of every context into one file', async () => {
+      const tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'browser-review-routes-'))
+      const target = path.join(tmpDir, 'out', 'staging.har')
+      const recorder = createHarRecorder(target)
+
+      const first = await recorder.contextOptions()
+      const second = await recorder.contextOptions()
+      const har = entries => JSON.stringify({ log: { version: '1.2', pages: [], entries } })
+      await fs.writeFile(first.recordHar.path, har([{ request: { url: 'a' } }]))
+      await fs.writeFile(second.recordHar.path, har([{ request: { url: 'b' } }]))
+
+      const result = await recorder.finish()
+
+      expect(result).toEqual({ path: target, entries: 2 })
+      const merged = JSON.parse(await fs.readFile(target, 'utf-8'))
+      expect(merged.log.entries.map(entry => entry.request.url)).toEqual(['a', 'b'])
+      await fs.rm(tmpDir, { recursive: true, force: true })
+    })
+  })
+})
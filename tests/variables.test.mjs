@@ -0,0 +1,150 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import {
+  parseVar,
+  interpolate,
+  expandFragments,
+  resolveConfigVariables,
+} from '../src/variables.mjs'
+
+describe('variables', () => {
+  describe('parseVar', () => {
+    it('should split on the first equals sign', () => {
+      expect(parseVar('query=a=b')).toEqual(['query', 'a=b'])
+      expect(() => parseVar('=value')).toThrow('--var must look like name=value')
+    })
+  })
+
+  describe('interpolate', () => {
+    it('should fill placeholders in nested strings and keep whole-value types', () => {
+      const scope = { env: { EMAIL: 'qa@example.com' }, vars: { count: 3, user: { id: 'u1' } } }
+
+      expect(
+        interpolate(
+          { text: 'Sign in as ${env.EMAIL}', count: '${vars.count}', path: ['/u/${vars.user.id}'] },
+          scope,
+        ),
+      ).toEqual({ text: 'Sign in as qa@example.com', count: 3, path: ['/u/u1'] })
+    })
+
+    it('should leave other placeholders alone and report missing ones', () => {
+      expect(interpolate('${params.email} ${other}', { vars: {} })).toBe('${params.email} ${other}')
+      expect(() => interpolate('${env.MISSING}', { env: {} })).toThrow(
+        'Config uses ${env.MISSING}, but MISSING is not set in the environment',
+      )
+      expect(() => interpolate('${vars.plan}', { vars: {} })).toThrow(
+        'Config uses ${vars.plan}, but no vars.plan is defined',
+      )
+    })
+  })
+
+  describe('expandFragments', () => {
+    const fragments = {
+      login: {
+        params: { path: '/login' },
+        steps: [
+          {
+            name: 'Log in',
+            url: '${params.path}',
+            actions: [{ type: 'type', selector: '#email', text: '${params.email}' }],
+          },
+        ],
+      },
+      checkout: [{ use: 'login', params: { email: 'buyer@example.com' } }, { name: 'Pay' }],
+      loop: [{ use: 'loop' }],
+    }
+
+    it('should replace use steps with the fragment steps and their params', () => {
+      const steps = expandFragments(
+        [{ use: 'login', params: { email: '${vars.email}' } }, { name: 'Dashboard' }],
+        fragments,
+      )
+
+      expect(steps).toEqual([
+        {
+          name: 'Log in',
+          url: '/login',
+          actions: [{ type: 'type', selector: '#email', text: '${vars.email}' }],
+        },
+        { name: 'Dashboard' },
+      ])
+    })
+
+    it('should expand nested fragments and reject unknown or circular ones', () => {
+      expect(expandFragments([{ use: 'checkout' }], fragments).map(step => step.name)).toEqual([
+        'Log in',
+        'Pay',
+      ])
+      expect(() => expandFragments([{ use: 'signup' }], fragments)).toThrow(
+        'Unknown fragment "signup". Available: login, checkout, loop',
+      )
+      expect(() => expandFragments([{ use: 'loop' }], fragments)).toThrow(
+        'Fragment "loop" uses itself: loop → loop',
+      )
+    })
+  })
+
+  describe('resolveConfigVariables', () => {
+    let tmpDir
+
+    beforeEach(async () => {
+      tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'browser-review-vars-'))
+      process.env.BROWSER_REVIEW_TEST_PASSWORD = 'hunter2'
+    })
+
+    afterEach(async () => {
+      delete process.env.BROWSER_REVIEW_TEST_PASSWORD
+      await fs.rm(tmpDir, { recursive: true, force: true })
+    })
+
+    it('should load included fragments and let --var override config vars', async () => {
+      await fs.writeFile(
+        path.join(tmpDir, 'fragments.json'),
+        JSON.stringify({
+          login: [
+            {
+              name: 'Log in as ${params.email}',
+              actions: [
+                {
+                  type: 'type',
+                  selector: '#password',
+                  text: '${env.BROWSER_REVIEW_TEST_PASSWORD}',
+                },
+              ],
+            },
+          ],
+        }),
+      )
+      const config = {
+        title: 'Plan ${vars.plan}',
+        vars: { plan: 'free', email: 'qa@example.com' },
+        include: 'fragments.json',
+        steps: [{ use: 'login', params: { email: '${vars.email}' } }],
+      }
+
+      const resolved = await resolveConfigVariables(config, {
+        cliVars: { plan: 'pro' },
+        baseDir: tmpDir,
+      })
+
+      expect(resolved.title).toBe('Plan pro')
+      expect(resolved.steps).toEqual([
+        {
+          name: 'Log in as qa@example.com',
+          actions: [{ type: 'type', selector: '#password', text: 'hunter2' }],
+        },
+      ])
+    })
+
+    it('should reject params used outside a fragment and missing fragment files', async () => {
+      await expect(
+        resolveConfigVariables({ steps: [{ name: '${params.email}' }] }, { baseDir: tmpDir }),
+      ).rejects.toThrow('Config uses ${params.email}, but no params.email is defined')
+      await expect(
+        resolveConfigVariables({ include: ['missing.json'], steps: [] }, { baseDir: tmpDir }),
+      ).rejects.toThrow('Included fragment file not found: missing.json')
+    })
+  })
+})
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest'
+import {
+  recordingMimeType,
+  isAnimatedImage,
+  resolveVideoEdit,
+  validateVideoEdit,
+  editWindow,
+  editFilter,
+  retimeOverlay,
+} from '../src/video.mjs'
+
+describe('video', () => {
+  it('should pick the MIME type and element for each format', () => {
+    expect(recordingMimeType('artifacts/checkout-desktop.mp4')).toBe('video/mp4')
+    expect(recordingMimeType('artifacts/checkout-desktop.webm')).toBe('video/webm')
+    expect(isAnimatedImage('artifacts/checkout-desktop.webp')).toBe(true)
+    expect(isAnimatedImage('artifacts/checkout-desktop.apng')).toBe(true)
+    expect(isAnimatedImage('artifacts/checkout-desktop.mp4')).toBe(false)
+  })
+
+  describe('resolveVideoEdit', () => {
+    it('should be null without edits and let a step override the config', () => {
+      expect(resolveVideoEdit({ videoFormat: 'mp4' }, { name: 'Checkout' })).toBeNull()
+      expect(resolveVideoEdit({ speed: 2, trimStart: 1 }, { trimStart: 3 })).toEqual({
+        speed: 2,
+        trimStart: 3,
+      })
+    })
+  })
+
+  describe('validateVideoEdit', () => {
+    it('should reject non-positive speeds and negative trims', () => {
+      expect(() => validateVideoEdit({ speed: 1.5, trimEnd: 0 }, 'Config')).not.toThrow()
+      expect(() => validateVideoEdit({ speed: 0 }, 'Config')).toThrow(
+        'Config: speed must be a positive number',
+      )
+      expect(() => validateVideoEdit({ trimStart: -1 }, 'Step "Checkout"')).toThrow(
+        'Step "Checkout": trimStart must be a non-negative number of seconds',
+      )
+    })
+  })
+
+  describe('editWindow', () => {
+    it('should trim both ends and speed up the rest', () => {
+      const clip = editWindow({ trimStart: 1, trimEnd: 2, speed: 2 }, 11)
+
+      expect(clip).toEqual({ start: 1, end: 9, speed: 2, duration: 4 })
+      expect(editFilter(clip)).toBe('trim=start=1:end=9,setpts=(PTS-STARTPTS)/2')
+    })
+
+    it('should cap the output at maxDuration and give up when nothing is left', () => {
+      expect(editWindow({ speed: 2, maxDuration: 3 }, 20)).toEqual({
+        start: 0,
+        end: 6,
+        speed: 2,
+        duration: 3,
+      })
+      expect(editWindow({ trimStart: 5, trimEnd: 5 }, 8)).toBeNull()
+    })
+  })
+
+  it('should move captions onto the edited timeline', () => {
+    const overlay = {
+      title: 'Checkout',
+      duration: 10,
+      segments: [
+        { text: 'Open menu', start: 0, end: 2 },
+        { text: 'Click: #buy', start: 2, end: 6 },
+        { text: 'Wait: 3000 ms', start: 6, end: 10 },
+      ],
+    }
+
+    const retimed = retimeOverlay(overlay, { start: 2, end: 6, speed: 2, duration: 2 })
+
+    expect(retimed.duration).toBe(2)
+    expect(retimed.segments).toEqual([{ text: 'Click: #buy', start: 0, end: 2 }])
+  })
+})